@@ -1,6 +1,7 @@
 import { BrowserRouter, Routes, Route, Link } from 'react-router-dom';
 import Admin from './pages/Admin';
 import Visitor from './pages/Visitor';
+import Exhibition from './pages/Exhibition';
 
 // Helper to get subdomain
 const getSubdomain = () => {
@@ -43,6 +44,7 @@ function App() {
       <Routes>
         <Route path="/admin" element={<Admin />} />
         <Route path="/talk" element={<Visitor />} />
+        <Route path="/tour" element={<Exhibition />} />
         <Route path="/" element={
           <div style={{ textAlign: 'center', marginTop: '50px' }}>
             <h1>Art Expert Realtime Tool</h1>
@@ -0,0 +1,39 @@
+// Small wrapper around fetch for the curator API: prefixes the server URL and
+// attaches the signed-in curator's token.
+const TOKEN_KEY = 'artExpert.token';
+const USER_KEY = 'artExpert.user';
+
+export const getToken = () => localStorage.getItem(TOKEN_KEY);
+
+export const getStoredUser = () => {
+    try {
+        return JSON.parse(localStorage.getItem(USER_KEY));
+    } catch {
+        return null;
+    }
+};
+
+export const saveSession = (token, user) => {
+    localStorage.setItem(TOKEN_KEY, token);
+    localStorage.setItem(USER_KEY, JSON.stringify(user));
+};
+
+export const clearSession = () => {
+    localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(USER_KEY);
+};
+
+export const apiFetch = async (path, options = {}) => {
+    const token = getToken();
+    const headers = { ...(options.headers || {}) };
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    const res = await fetch(`${import.meta.env.VITE_API_URL}${path}`, { ...options, headers });
+
+    // Expired or revoked token: drop it so the Admin page shows the login form again
+    if (res.status === 401 && token) {
+        clearSession();
+        window.dispatchEvent(new Event('auth:logout'));
+    }
+    return res;
+};
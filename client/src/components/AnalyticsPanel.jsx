@@ -0,0 +1,113 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
+
+const formatDuration = (ms) => {
+    if (ms === null || ms === undefined) return '-';
+    const seconds = Math.round(ms / 1000);
+    const minutes = Math.floor(seconds / 60);
+    return minutes > 0 ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+};
+
+const cardStyle = { flex: 1, background: '#f8f9fa', border: '1px solid #ddd', borderRadius: '8px', padding: '15px', textAlign: 'center' };
+
+export default function AnalyticsPanel() {
+    const [days, setDays] = useState('30');
+    const [data, setData] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const query = days ? `?days=${days}` : '';
+        apiFetch(`/api/analytics${query}`)
+            .then(res => {
+                if (!res.ok) throw new Error('Failed to load analytics');
+                return res.json();
+            })
+            .then(json => {
+                setData(json);
+                setError('');
+            })
+            .catch(err => setError(err.message));
+    }, [days]);
+
+    if (error) return <p style={{ color: '#dc3545' }}>{error}</p>;
+    if (!data) return <p>Loading analytics...</p>;
+
+    const maxHour = Math.max(1, ...data.busiestHours.map(h => h.sessions));
+
+    return (
+        <div>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                <h2>Analytics</h2>
+                <select value={days} onChange={e => setDays(e.target.value)} style={{ padding: '6px' }}>
+                    <option value="7">Last 7 days</option>
+                    <option value="30">Last 30 days</option>
+                    <option value="365">Last year</option>
+                    <option value="">All time</option>
+                </select>
+            </div>
+
+            <div style={{ display: 'flex', gap: '15px', marginBottom: '30px' }}>
+                <div style={cardStyle}>
+                    <div style={{ fontSize: '28px', fontWeight: 'bold' }}>{data.totals.sessions}</div>
+                    <div style={{ fontSize: '12px', color: '#666' }}>Sessions</div>
+                </div>
+                <div style={cardStyle}>
+                    <div style={{ fontSize: '28px', fontWeight: 'bold' }}>{formatDuration(data.totals.averageDurationMs)}</div>
+                    <div style={{ fontSize: '12px', color: '#666' }}>Average duration</div>
+                </div>
+                <div style={cardStyle}>
+                    <div style={{ fontSize: '28px', fontWeight: 'bold' }}>{data.totals.withTranscript}</div>
+                    <div style={{ fontSize: '12px', color: '#666' }}>Shared transcripts</div>
+                </div>
+            </div>
+
+            <h3>Sessions per painting</h3>
+            <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: '30px' }}>
+                <thead>
+                    <tr style={{ textAlign: 'left', borderBottom: '1px solid #ddd' }}>
+                        <th style={{ padding: '8px' }}>Painting</th>
+                        <th style={{ padding: '8px' }}>Sessions</th>
+                        <th style={{ padding: '8px' }}>Avg. duration</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {data.perPainting.map(p => (
+                        <tr key={p.paintingId || 'none'} style={{ borderBottom: '1px solid #eee' }}>
+                            <td style={{ padding: '8px' }}>{p.title}</td>
+                            <td style={{ padding: '8px' }}>{p.sessions}</td>
+                            <td style={{ padding: '8px' }}>{formatDuration(p.averageDurationMs)}</td>
+                        </tr>
+                    ))}
+                    {data.perPainting.length === 0 && (
+                        <tr><td colSpan={3} style={{ padding: '8px', color: '#999' }}>No sessions yet.</td></tr>
+                    )}
+                </tbody>
+            </table>
+
+            <h3>Busiest hours</h3>
+            <div style={{ display: 'flex', alignItems: 'flex-end', gap: '2px', height: '120px', marginBottom: '5px' }}>
+                {data.busiestHours.map(h => (
+                    <div
+                        key={h.hour}
+                        title={`${h.hour}:00 – ${h.sessions} sessions`}
+                        style={{ flex: 1, background: '#007bff', height: `${(h.sessions / maxHour) * 100}%`, minHeight: h.sessions ? '2px' : 0 }}
+                    />
+                ))}
+            </div>
+            <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '11px', color: '#666', marginBottom: '30px' }}>
+                <span>0:00</span><span>6:00</span><span>12:00</span><span>18:00</span><span>23:00</span>
+            </div>
+
+            <h3>Most asked questions</h3>
+            <p style={{ fontSize: '12px', color: '#666' }}>From transcripts that visitors chose to share.</p>
+            <ol>
+                {data.topQuestions.map(q => (
+                    <li key={q.question} style={{ marginBottom: '6px' }}>
+                        {q.question} <span style={{ color: '#666', fontSize: '12px' }}>({q.count}× {q.paintings.length > 0 && `– ${q.paintings.join(', ')}`})</span>
+                    </li>
+                ))}
+            </ol>
+            {data.topQuestions.length === 0 && <p style={{ color: '#999' }}>No questions recorded yet.</p>}
+        </div>
+    );
+}
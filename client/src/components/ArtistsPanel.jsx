@@ -0,0 +1,194 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { apiFetch } from '../api';
+import { paintingImage } from '../images';
+
+const inputStyle = { padding: '10px', border: '1px solid #ddd', borderRadius: '4px' };
+const buttonStyle = { padding: '8px 14px', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' };
+
+const EMPTY_DRAFT = { id: null, name: '', birthYear: '', deathYear: '', movements: '', bio: '', imageUrl: null, images: null };
+
+// Stored artist -> form values (years and movements as typed)
+const draftOf = (artist) => ({
+    ...artist,
+    birthYear: artist.birthYear ? String(artist.birthYear) : '',
+    deathYear: artist.deathYear ? String(artist.deathYear) : '',
+    movements: (artist.movements || []).join(', ')
+});
+
+// Artist profiles shared by paintings (/api/artists). The guide gets the biography for
+// every linked painting, and visitors see the artist's other works on display.
+export default function ArtistsPanel({ canEdit }) {
+    const [artists, setArtists] = useState([]);
+    const [draft, setDraft] = useState(EMPTY_DRAFT);
+    const [portrait, setPortrait] = useState(null);
+    const [removePortrait, setRemovePortrait] = useState(false);
+    const [inputKey, setInputKey] = useState(0); // bumped to clear the file input
+
+    const loadArtists = useCallback(() => {
+        return apiFetch('/api/artists')
+            .then(res => res.json())
+            .then(list => {
+                setArtists(list);
+                return list;
+            });
+    }, []);
+
+    useEffect(() => {
+        loadArtists()
+            .then(list => setDraft(list[0] ? draftOf(list[0]) : EMPTY_DRAFT))
+            .catch(err => console.error('Failed to fetch artists', err));
+    }, [loadArtists]);
+
+    const select = (next) => {
+        setDraft(next);
+        setPortrait(null);
+        setRemovePortrait(false);
+        setInputKey(key => key + 1);
+    };
+
+    const dateError = draft.birthYear && draft.deathYear && Number(draft.deathYear) < Number(draft.birthYear)
+        ? 'The year of death cannot be before the year of birth'
+        : '';
+
+    const handleSave = async () => {
+        if (!draft.name.trim()) return alert('Artist name is required');
+        if (dateError) return alert(dateError);
+        const data = new FormData();
+        data.append('name', draft.name);
+        data.append('birthYear', draft.birthYear);
+        data.append('deathYear', draft.deathYear);
+        data.append('movements', JSON.stringify(draft.movements.split(',')));
+        data.append('bio', draft.bio);
+        if (portrait) data.append('image', portrait);
+        else if (removePortrait) data.append('removePortrait', 'true');
+        try {
+            const res = await apiFetch(draft.id ? `/api/artists/${draft.id}` : '/api/artists', {
+                method: draft.id ? 'PUT' : 'POST',
+                body: data
+            });
+            const json = await res.json();
+            if (!res.ok) throw new Error(json.error || 'Save failed');
+            const list = await loadArtists();
+            select(draftOf(list.find(a => a.id === json.id) || json));
+        } catch (err) {
+            alert(err.message);
+        }
+    };
+
+    const handleDelete = async () => {
+        const linked = draft.paintingCount ? ` ${draft.paintingCount} painting(s) will no longer be linked to them.` : '';
+        if (!window.confirm(`Delete artist "${draft.name}"?${linked}`)) return;
+        try {
+            const res = await apiFetch(`/api/artists/${draft.id}`, { method: 'DELETE' });
+            const json = await res.json();
+            if (!res.ok) throw new Error(json.error || 'Delete failed');
+            const list = await loadArtists();
+            select(list[0] ? draftOf(list[0]) : EMPTY_DRAFT);
+        } catch (err) {
+            alert(err.message);
+        }
+    };
+
+    return (
+        <div>
+            <h2>Artists</h2>
+            <p style={{ fontSize: '14px', color: '#666' }}>
+                Write an artist's biography once and link their paintings to it on the Create / Edit tab. The guide is told about
+                the artist and their other works on display, and visitors can go on to those works.
+            </p>
+
+            <div style={{ display: 'flex', gap: '5px', flexWrap: 'wrap', marginBottom: '15px' }}>
+                {artists.map(artist => (
+                    <button
+                        key={artist.id}
+                        onClick={() => select(draftOf(artist))}
+                        style={{ ...buttonStyle, background: draft.id === artist.id ? '#007bff' : '#eee', color: draft.id === artist.id ? 'white' : 'black' }}
+                    >
+                        {artist.name} ({artist.paintingCount})
+                    </button>
+                ))}
+                {canEdit && (
+                    <button onClick={() => select(EMPTY_DRAFT)} style={{ ...buttonStyle, background: '#28a745' }}>
+                        + New Artist
+                    </button>
+                )}
+            </div>
+
+            <div style={{ display: 'flex', gap: '20px', alignItems: 'flex-start' }}>
+                <div style={{ flex: 1, display: 'flex', flexDirection: 'column', gap: '10px', background: '#f9f9f9', padding: '20px', borderRadius: '8px' }}>
+                    <input
+                        placeholder="Name (e.g. Leonardo da Vinci)"
+                        value={draft.name}
+                        onChange={e => setDraft({ ...draft, name: e.target.value })}
+                        readOnly={!canEdit}
+                        style={inputStyle}
+                    />
+                    <div style={{ display: 'flex', gap: '10px' }}>
+                        <input
+                            type="number"
+                            placeholder="Year of birth"
+                            value={draft.birthYear}
+                            onChange={e => setDraft({ ...draft, birthYear: e.target.value })}
+                            readOnly={!canEdit}
+                            style={{ ...inputStyle, flex: 1 }}
+                        />
+                        <input
+                            type="number"
+                            placeholder="Year of death"
+                            value={draft.deathYear}
+                            onChange={e => setDraft({ ...draft, deathYear: e.target.value })}
+                            readOnly={!canEdit}
+                            style={{ ...inputStyle, flex: 1, borderColor: dateError ? '#dc3545' : '#ddd' }}
+                        />
+                    </div>
+                    {dateError && <span style={{ color: '#dc3545', fontSize: '12px' }}>{dateError}</span>}
+                    <input
+                        placeholder="Movements, separated by commas (e.g. High Renaissance)"
+                        value={draft.movements}
+                        onChange={e => setDraft({ ...draft, movements: e.target.value })}
+                        readOnly={!canEdit}
+                        style={inputStyle}
+                    />
+                    <textarea
+                        placeholder="Biography, given to the guide for every painting by this artist"
+                        value={draft.bio}
+                        onChange={e => setDraft({ ...draft, bio: e.target.value })}
+                        readOnly={!canEdit}
+                        rows={8}
+                        style={inputStyle}
+                    />
+                    {canEdit && (
+                        <label style={{ fontSize: '14px' }}>
+                            Portrait (optional):{' '}
+                            <input
+                                key={inputKey}
+                                type="file"
+                                accept="image/jpeg,image/png,image/webp,image/tiff"
+                                onChange={e => setPortrait(e.target.files[0] || null)}
+                            />
+                        </label>
+                    )}
+                    {canEdit && draft.imageUrl && !portrait && (
+                        <label style={{ fontSize: '14px' }}>
+                            <input type="checkbox" checked={removePortrait} onChange={e => setRemovePortrait(e.target.checked)} style={{ marginRight: '5px' }} />
+                            Remove the current portrait
+                        </label>
+                    )}
+
+                    {canEdit && (
+                        <div style={{ display: 'flex', gap: '10px', marginTop: '10px' }}>
+                            <button onClick={handleSave} style={{ ...buttonStyle, background: '#007bff' }}>Save Artist</button>
+                            {draft.id && <button onClick={handleDelete} style={{ ...buttonStyle, background: '#dc3545' }}>Delete</button>}
+                        </div>
+                    )}
+                </div>
+
+                {draft.imageUrl && (
+                    <div style={{ width: '200px', textAlign: 'center' }}>
+                        <img src={paintingImage(draft, 'thumbnail')} alt={draft.name} style={{ width: '200px', borderRadius: '8px', opacity: removePortrait ? 0.3 : 1 }} />
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
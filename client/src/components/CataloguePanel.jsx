@@ -0,0 +1,202 @@
+import React, { useState } from 'react';
+import { apiFetch } from '../api';
+import { download } from '../labels';
+
+const buttonStyle = { padding: '8px 12px', background: '#007bff', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' };
+const cellStyle = { padding: '6px', borderBottom: '1px solid #eee', textAlign: 'left', verticalAlign: 'top' };
+
+// A row's problems and notes, one per line
+const Messages = ({ errors, warnings }) => (
+    <>
+        {errors.map(message => <div key={message} style={{ color: '#dc3545' }}>{message}</div>)}
+        {warnings.map(message => <div key={message} style={{ color: '#b8860b' }}>{message}</div>)}
+        {errors.length === 0 && warnings.length === 0 && <span style={{ color: '#28a745' }}>✓ Ready</span>}
+    </>
+);
+
+// Bulk import (POST /api/import, checked with ?dryRun=true first) and export (GET /api/export).
+export default function CataloguePanel({ canEdit }) {
+    const [file, setFile] = useState(null);
+    const [preview, setPreview] = useState(null);
+    const [outcome, setOutcome] = useState(null);
+    const [busy, setBusy] = useState(false);
+    const [inputKey, setInputKey] = useState(0); // bumped to clear the file input after an import
+
+    const exportCatalogue = async () => {
+        setBusy(true);
+        try {
+            const res = await apiFetch('/api/export');
+            if (!res.ok) {
+                const json = await res.json().catch(() => ({}));
+                throw new Error(json.error || 'Export failed');
+            }
+            download(await res.blob(), `catalogue-${new Date().toISOString().slice(0, 10)}.zip`);
+        } catch (err) {
+            alert(err.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const sendArchive = async (dryRun) => {
+        const data = new FormData();
+        data.append('archive', file);
+        const res = await apiFetch(`/api/import${dryRun ? '?dryRun=true' : ''}`, { method: 'POST', body: data });
+        const json = await res.json();
+        if (!res.ok) throw new Error(json.error || 'Import failed');
+        return json;
+    };
+
+    const check = async () => {
+        setBusy(true);
+        setPreview(null);
+        setOutcome(null);
+        try {
+            setPreview(await sendArchive(true));
+        } catch (err) {
+            alert(err.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const runImport = async () => {
+        setBusy(true);
+        try {
+            setOutcome(await sendArchive(false));
+            setPreview(null);
+            setFile(null);
+            setInputKey(key => key + 1);
+        } catch (err) {
+            alert(err.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <div>
+            <h2>Import / Export</h2>
+
+            <h3>Export</h3>
+            <p style={{ fontSize: '14px', color: '#666' }}>
+                Downloads every painting (archived ones and unpublished changes too), exhibition and artist with the original images as a ZIP. Keep it as a backup, or import it into another installation.
+            </p>
+            <button onClick={exportCatalogue} disabled={busy} style={buttonStyle}>Download catalogue (ZIP)</button>
+
+            {canEdit && (
+                <>
+                    <h3 style={{ marginTop: '30px' }}>Import</h3>
+                    <p style={{ fontSize: '14px', color: '#666' }}>
+                        Upload a ZIP holding the images and a <code>paintings.csv</code> or <code>paintings.json</code> manifest (a catalogue export has one).
+                        CSV columns: <code>title</code>, <code>slug</code>, <code>description</code>, <code>facts</code>, <code>image</code> (path of the image in the ZIP),
+                        {' '}<code>openingLine</code>, <code>suggestedQuestions</code> (separated by |) and translations as <code>title.it</code>, <code>description.fr</code> and so on.
+                        Catalogue details go in <code>artist</code>, <code>dateFrom</code>, <code>dateTo</code>, <code>circa</code>, <code>medium</code>,
+                        {' '}<code>height</code>, <code>width</code>, <code>depth</code>, <code>unit</code>, <code>location</code>, <code>provenance</code>,
+                        {' '}<code>creditLine</code> and <code>tags</code> (separated by |). <code>artistId</code> links a painting to an artist profile.
+                        Nothing is saved until you have checked the file.
+                    </p>
+                    <div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
+                        <input
+                            key={inputKey}
+                            type="file"
+                            accept=".zip,application/zip"
+                            onChange={e => {
+                                setFile(e.target.files[0] || null);
+                                setPreview(null);
+                                setOutcome(null);
+                            }}
+                        />
+                        <button onClick={check} disabled={!file || busy} style={buttonStyle}>{busy ? 'Working...' : 'Check file'}</button>
+                    </div>
+
+                    {preview && (
+                        <div style={{ marginTop: '20px' }}>
+                            <p>
+                                <b>{preview.manifest}</b>: {preview.valid} painting(s) ready to import
+                                {preview.invalid > 0 && <span style={{ color: '#dc3545' }}>, {preview.invalid} with errors that will be skipped</span>}.
+                            </p>
+                            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+                                <thead>
+                                    <tr>
+                                        <th style={cellStyle}>Row</th>
+                                        <th style={cellStyle}>Title</th>
+                                        <th style={cellStyle}>Slug</th>
+                                        <th style={cellStyle}>Image</th>
+                                        <th style={cellStyle}>Status</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {preview.rows.map(row => (
+                                        <tr key={row.row} style={{ background: row.errors.length > 0 ? '#fff5f5' : 'white' }}>
+                                            <td style={cellStyle}>{row.row}</td>
+                                            <td style={cellStyle}>{row.title || <i>untitled</i>}{row.draft && <div style={{ fontSize: '12px', color: '#666' }}>with unpublished changes</div>}</td>
+                                            <td style={cellStyle}>{row.slug || '-'}</td>
+                                            <td style={{ ...cellStyle, wordBreak: 'break-all' }}>{row.image || '-'}</td>
+                                            <td style={cellStyle}><Messages errors={row.errors} warnings={row.warnings} /></td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+
+                            {preview.exhibitions.length > 0 && (
+                                <>
+                                    <h4>Exhibitions</h4>
+                                    <ul style={{ fontSize: '14px' }}>
+                                        {preview.exhibitions.map(e => (
+                                            <li key={e.row} style={{ marginBottom: '5px' }}>
+                                                <b>{e.title || <i>untitled</i>}</b> ({e.paintings} painting(s))
+                                                <Messages errors={e.errors} warnings={e.warnings} />
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </>
+                            )}
+
+                            {preview.artists.length > 0 && (
+                                <>
+                                    <h4>Artists</h4>
+                                    <ul style={{ fontSize: '14px' }}>
+                                        {preview.artists.map(a => (
+                                            <li key={a.row} style={{ marginBottom: '5px' }}>
+                                                <b>{a.name || <i>unnamed</i>}</b>{a.portrait && ` (portrait ${a.portrait})`}
+                                                <Messages errors={a.errors} warnings={a.warnings} />
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </>
+                            )}
+
+                            <button
+                                onClick={runImport}
+                                disabled={busy || preview.valid === 0}
+                                style={{ ...buttonStyle, marginTop: '15px', background: '#28a745' }}
+                            >
+                                Import {preview.valid} painting(s)
+                            </button>
+                        </div>
+                    )}
+
+                    {outcome && (
+                        <div style={{ marginTop: '20px', background: '#f8f9fa', padding: '15px', borderRadius: '8px', border: '1px solid #ddd' }}>
+                            <p style={{ marginTop: 0 }}>
+                                Imported {outcome.created.length} painting(s), {outcome.exhibitions.created.length} exhibition(s) and {outcome.artists.created.length} artist(s).
+                                Their QR codes are on the Manage Agents tab.
+                            </p>
+                            {[...outcome.skipped, ...outcome.exhibitions.skipped, ...outcome.artists.skipped].length > 0 && (
+                                <>
+                                    <p style={{ color: '#dc3545' }}>Skipped:</p>
+                                    <ul style={{ fontSize: '14px' }}>
+                                        {outcome.skipped.map(s => <li key={`p${s.row}`}>Row {s.row} ({s.title || 'untitled'}): {s.errors.join('; ')}</li>)}
+                                        {outcome.exhibitions.skipped.map(s => <li key={`e${s.row}`}>Exhibition {s.title || s.row}: {s.errors.join('; ')}</li>)}
+                                        {outcome.artists.skipped.map(s => <li key={`a${s.row}`}>Artist {s.name || s.row}: {s.errors.join('; ')}</li>)}
+                                    </ul>
+                                </>
+                            )}
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,181 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { apiFetch } from '../api';
+
+const inputStyle = { padding: '10px', border: '1px solid #ddd', borderRadius: '4px' };
+const buttonStyle = { padding: '8px 14px', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' };
+const smallButtonStyle = { padding: '2px 8px', border: '1px solid #ccc', borderRadius: '4px', background: 'white', cursor: 'pointer' };
+
+const EMPTY_DRAFT = { id: null, title: '', slug: '', description: '', paintingIds: [] };
+
+export default function ExhibitionsPanel({ canEdit }) {
+    const [exhibitions, setExhibitions] = useState([]);
+    const [paintings, setPaintings] = useState([]);
+    const [draft, setDraft] = useState(EMPTY_DRAFT);
+    const [addId, setAddId] = useState('');
+
+    const loadExhibitions = useCallback(() => {
+        return apiFetch('/api/exhibitions')
+            .then(res => res.json())
+            .then(list => {
+                setExhibitions(list);
+                return list;
+            });
+    }, []);
+
+    useEffect(() => {
+        loadExhibitions()
+            .then(list => setDraft(list[0] || EMPTY_DRAFT))
+            .catch(err => console.error('Failed to fetch exhibitions', err));
+        apiFetch('/api/paintings?fields=title&sort=title')
+            .then(res => res.json())
+            .then(setPaintings)
+            .catch(err => console.error('Failed to fetch paintings', err));
+    }, [loadExhibitions]);
+
+    const paintingTitle = (id) => (paintings.find(p => p.id === id) || {}).title || id;
+    const available = paintings.filter(p => !draft.paintingIds.includes(p.id));
+
+    const addPainting = () => {
+        if (!addId) return;
+        setDraft({ ...draft, paintingIds: [...draft.paintingIds, addId] });
+        setAddId('');
+    };
+
+    const removePainting = (id) => {
+        setDraft({ ...draft, paintingIds: draft.paintingIds.filter(pid => pid !== id) });
+    };
+
+    const movePainting = (index, delta) => {
+        const ids = [...draft.paintingIds];
+        const target = index + delta;
+        if (target < 0 || target >= ids.length) return;
+        [ids[index], ids[target]] = [ids[target], ids[index]];
+        setDraft({ ...draft, paintingIds: ids });
+    };
+
+    const handleSave = async () => {
+        try {
+            const { title, slug, description, paintingIds } = draft;
+            const res = await apiFetch(draft.id ? `/api/exhibitions/${draft.id}` : '/api/exhibitions', {
+                method: draft.id ? 'PUT' : 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ title, slug, description, paintingIds })
+            });
+            const json = await res.json();
+            if (!res.ok) throw new Error(json.error || 'Save failed');
+            await loadExhibitions();
+            setDraft(json);
+        } catch (err) {
+            alert(err.message);
+        }
+    };
+
+    const handleDelete = async () => {
+        if (!window.confirm(`Delete exhibition "${draft.title}"? The paintings themselves are kept.`)) return;
+        try {
+            const res = await apiFetch(`/api/exhibitions/${draft.id}`, { method: 'DELETE' });
+            const json = await res.json();
+            if (!res.ok) throw new Error(json.error || 'Delete failed');
+            const list = await loadExhibitions();
+            setDraft(list[0] || EMPTY_DRAFT);
+        } catch (err) {
+            alert(err.message);
+        }
+    };
+
+    return (
+        <div>
+            <h2>Exhibitions</h2>
+            <p style={{ fontSize: '14px', color: '#666' }}>
+                Group paintings into a tour. Each exhibition gets its own QR code for the room; visitors can step from one
+                painting to the next, and the guide knows about the other works in the tour.
+            </p>
+
+            <div style={{ display: 'flex', gap: '5px', flexWrap: 'wrap', marginBottom: '15px' }}>
+                {exhibitions.map(ex => (
+                    <button
+                        key={ex.id}
+                        onClick={() => setDraft(ex)}
+                        style={{ ...buttonStyle, background: draft.id === ex.id ? '#007bff' : '#eee', color: draft.id === ex.id ? 'white' : 'black' }}
+                    >
+                        {ex.title}
+                    </button>
+                ))}
+                {canEdit && (
+                    <button onClick={() => setDraft(EMPTY_DRAFT)} style={{ ...buttonStyle, background: '#28a745' }}>
+                        + New Exhibition
+                    </button>
+                )}
+            </div>
+
+            <div style={{ display: 'flex', gap: '20px', alignItems: 'flex-start' }}>
+                <div style={{ flex: 1, display: 'flex', flexDirection: 'column', gap: '10px', background: '#f9f9f9', padding: '20px', borderRadius: '8px' }}>
+                    <input
+                        placeholder="Exhibition title"
+                        value={draft.title}
+                        onChange={e => setDraft({ ...draft, title: e.target.value })}
+                        readOnly={!canEdit}
+                        style={inputStyle}
+                    />
+                    <input
+                        placeholder="Slug (optional, e.g. dutch-masters)"
+                        value={draft.slug || ''}
+                        onChange={e => setDraft({ ...draft, slug: e.target.value.toLowerCase().replace(/[^a-z0-9-]/g, '') })}
+                        readOnly={!canEdit}
+                        style={inputStyle}
+                    />
+                    <textarea
+                        placeholder="Description shown on the tour page and given to the guide"
+                        value={draft.description}
+                        onChange={e => setDraft({ ...draft, description: e.target.value })}
+                        readOnly={!canEdit}
+                        rows={3}
+                        style={inputStyle}
+                    />
+
+                    <h4 style={{ margin: '10px 0 0' }}>Works in tour order</h4>
+                    {draft.paintingIds.length === 0 && <p style={{ fontSize: '13px', color: '#666', margin: 0 }}>No paintings yet.</p>}
+                    <ol style={{ margin: 0, paddingLeft: '20px' }}>
+                        {draft.paintingIds.map((id, i) => (
+                            <li key={id} style={{ marginBottom: '4px' }}>
+                                {paintingTitle(id)}
+                                {canEdit && (
+                                    <span style={{ marginLeft: '10px' }}>
+                                        <button onClick={() => movePainting(i, -1)} disabled={i === 0} style={smallButtonStyle}>↑</button>{' '}
+                                        <button onClick={() => movePainting(i, 1)} disabled={i === draft.paintingIds.length - 1} style={smallButtonStyle}>↓</button>{' '}
+                                        <button onClick={() => removePainting(id)} style={smallButtonStyle}>Remove</button>
+                                    </span>
+                                )}
+                            </li>
+                        ))}
+                    </ol>
+                    {canEdit && (
+                        <div style={{ display: 'flex', gap: '10px' }}>
+                            <select value={addId} onChange={e => setAddId(e.target.value)} style={{ ...inputStyle, flex: 1 }}>
+                                <option value="">Add a painting…</option>
+                                {available.map(p => <option key={p.id} value={p.id}>{p.title}</option>)}
+                            </select>
+                            <button onClick={addPainting} disabled={!addId} style={{ ...buttonStyle, background: '#6c757d' }}>Add</button>
+                        </div>
+                    )}
+
+                    {canEdit && (
+                        <div style={{ display: 'flex', gap: '10px', marginTop: '10px' }}>
+                            <button onClick={handleSave} style={{ ...buttonStyle, background: '#007bff' }}>Save Exhibition</button>
+                            {draft.id && <button onClick={handleDelete} style={{ ...buttonStyle, background: '#dc3545' }}>Delete</button>}
+                        </div>
+                    )}
+                </div>
+
+                {draft.qrCodeDataUrl && (
+                    <div style={{ textAlign: 'center', width: '220px' }}>
+                        <img src={draft.qrCodeDataUrl} alt="Exhibition QR Code" style={{ width: '200px' }} />
+                        <p style={{ fontSize: '12px', wordBreak: 'break-all' }}>
+                            <a href={draft.visitorUrl} target="_blank" rel="noreferrer">{draft.visitorUrl}</a>
+                        </p>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
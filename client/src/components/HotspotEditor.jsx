@@ -0,0 +1,134 @@
+import React, { useState, useMemo, useEffect, useRef } from 'react';
+
+const inputStyle = { padding: '8px', border: '1px solid #ddd', borderRadius: '4px' };
+const MIN_SIZE = 0.02; // ignore accidental clicks
+
+const percent = (value) => `${value * 100}%`;
+const createHotspotId = () => `hs_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+// Edits painting.hotspots: drag on the image to draw a rectangle, then give it a
+// label and notes. Rectangles are stored as fractions of the image size.
+export default function HotspotEditor({ value, onChange, file, imageUrl }) {
+    const [selectedId, setSelectedId] = useState(null);
+    const [drag, setDrag] = useState(null); // { startX, startY, x, y, width, height }
+    const surfaceRef = useRef(null);
+
+    // Preview a newly chosen file before it is uploaded
+    const fileUrl = useMemo(() => (file ? URL.createObjectURL(file) : null), [file]);
+    useEffect(() => () => {
+        if (fileUrl) URL.revokeObjectURL(fileUrl);
+    }, [fileUrl]);
+    const src = fileUrl || imageUrl;
+
+    const pointAt = (e) => {
+        const rect = surfaceRef.current.getBoundingClientRect();
+        return {
+            x: Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)),
+            y: Math.min(1, Math.max(0, (e.clientY - rect.top) / rect.height))
+        };
+    };
+
+    const handlePointerDown = (e) => {
+        e.currentTarget.setPointerCapture(e.pointerId);
+        const { x, y } = pointAt(e);
+        setDrag({ startX: x, startY: y, x, y, width: 0, height: 0 });
+    };
+
+    const handlePointerMove = (e) => {
+        if (!drag) return;
+        const { x, y } = pointAt(e);
+        setDrag({
+            ...drag,
+            x: Math.min(x, drag.startX),
+            y: Math.min(y, drag.startY),
+            width: Math.abs(x - drag.startX),
+            height: Math.abs(y - drag.startY)
+        });
+    };
+
+    const handlePointerUp = () => {
+        if (drag && drag.width >= MIN_SIZE && drag.height >= MIN_SIZE) {
+            const id = createHotspotId();
+            const { x, y, width, height } = drag;
+            onChange([...value, { id, label: '', notes: '', x, y, width, height }]);
+            setSelectedId(id);
+        }
+        setDrag(null);
+    };
+
+    const update = (id, changes) => onChange(value.map(h => (h.id === id ? { ...h, ...changes } : h)));
+    const remove = (id) => onChange(value.filter(h => h.id !== id));
+
+    return (
+        <fieldset style={{ border: '1px solid #ddd', borderRadius: '4px', padding: '10px', display: 'flex', flexDirection: 'column', gap: '10px' }}>
+            <legend>Points of interest (optional)</legend>
+            {!src ? (
+                <p style={{ margin: 0, fontSize: '13px', color: '#666' }}>Choose an image to mark details on it.</p>
+            ) : (
+                <>
+                    <p style={{ margin: 0, fontSize: '13px', color: '#666' }}>
+                        Drag on the image to mark a detail. Visitors can tap it to ask the guide, and the notes are given to the guide.
+                    </p>
+                    <div
+                        ref={surfaceRef}
+                        onPointerDown={handlePointerDown}
+                        onPointerMove={handlePointerMove}
+                        onPointerUp={handlePointerUp}
+                        style={{ position: 'relative', maxWidth: '500px', cursor: 'crosshair', touchAction: 'none', userSelect: 'none' }}
+                    >
+                        <img src={src} alt="" draggable={false} style={{ display: 'block', width: '100%', borderRadius: '4px' }} />
+                        {[...value, ...(drag ? [{ id: 'drag', ...drag }] : [])].map((h, i) => (
+                            <div
+                                key={h.id}
+                                style={{
+                                    position: 'absolute',
+                                    left: percent(h.x),
+                                    top: percent(h.y),
+                                    width: percent(h.width),
+                                    height: percent(h.height),
+                                    border: `2px ${h.id === 'drag' ? 'dashed' : 'solid'} ${h.id === selectedId ? '#ffcc00' : '#007bff'}`,
+                                    background: 'rgba(0, 123, 255, 0.15)',
+                                    pointerEvents: 'none'
+                                }}
+                            >
+                                {h.id !== 'drag' && (
+                                    <span style={{ position: 'absolute', top: 0, left: 0, padding: '0 4px', background: '#007bff', color: 'white', fontSize: '11px' }}>
+                                        {i + 1}
+                                    </span>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                </>
+            )}
+
+            {value.map((h, i) => (
+                <div
+                    key={h.id}
+                    onFocus={() => setSelectedId(h.id)}
+                    style={{ display: 'flex', gap: '8px', alignItems: 'flex-start', padding: '8px', background: h.id === selectedId ? '#fff8e0' : 'white', borderRadius: '4px' }}
+                >
+                    <b style={{ paddingTop: '8px' }}>{i + 1}.</b>
+                    <div style={{ flex: 1, display: 'flex', flexDirection: 'column', gap: '5px' }}>
+                        <input
+                            placeholder="Label (e.g., The hands)"
+                            value={h.label}
+                            onChange={e => update(h.id, { label: e.target.value })}
+                            style={inputStyle}
+                        />
+                        <textarea
+                            placeholder="Notes for the guide about this detail"
+                            value={h.notes}
+                            onChange={e => update(h.id, { notes: e.target.value })}
+                            rows={2}
+                            style={inputStyle}
+                        />
+                    </div>
+                    <button type="button" onClick={() => remove(h.id)} style={{ padding: '5px 10px', background: '#dc3545', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}>
+                        Remove
+                    </button>
+                </div>
+            ))}
+        </fieldset>
+    );
+}
@@ -0,0 +1,61 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
+import { printLabels } from '../labels';
+
+const inputStyle = { padding: '6px', border: '1px solid #ddd', borderRadius: '4px' };
+const buttonStyle = { padding: '6px 14px', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' };
+
+export default function LabelPrintPanel({ selectedIds, onClearSelection }) {
+    const [exhibitions, setExhibitions] = useState([]);
+    const [source, setSource] = useState('all'); // all | selected | exhibition
+    const [exhibitionId, setExhibitionId] = useState('');
+    const [format, setFormat] = useState('pdf');
+    const [size, setSize] = useState('a4');
+
+    useEffect(() => {
+        apiFetch('/api/exhibitions')
+            .then(res => res.json())
+            .then(list => {
+                setExhibitions(list);
+                if (list[0]) setExhibitionId(list[0].id);
+            })
+            .catch(err => console.error('Failed to fetch exhibitions', err));
+    }, []);
+
+    const handlePrint = () => {
+        let query = `format=${format}&size=${size}`;
+        if (source === 'selected') query += `&ids=${selectedIds.join(',')}`;
+        if (source === 'exhibition') query += `&exhibition=${exhibitionId}`;
+        printLabels(`/api/labels?${query}`, { format, filename: 'labels' });
+    };
+
+    const disabled = (source === 'selected' && selectedIds.length === 0) || (source === 'exhibition' && !exhibitionId);
+
+    return (
+        <div style={{ display: 'flex', gap: '10px', alignItems: 'center', flexWrap: 'wrap', background: '#f9f9f9', padding: '12px', borderRadius: '8px', marginBottom: '20px', fontSize: '14px' }}>
+            <b>Print labels:</b>
+            <select value={source} onChange={e => setSource(e.target.value)} style={inputStyle}>
+                <option value="all">All paintings on display</option>
+                <option value="selected">Selected paintings ({selectedIds.length})</option>
+                <option value="exhibition" disabled={exhibitions.length === 0}>An exhibition</option>
+            </select>
+            {source === 'exhibition' && (
+                <select value={exhibitionId} onChange={e => setExhibitionId(e.target.value)} style={inputStyle}>
+                    {exhibitions.map(ex => <option key={ex.id} value={ex.id}>{ex.title}</option>)}
+                </select>
+            )}
+            <select value={size} onChange={e => setSize(e.target.value)} style={inputStyle}>
+                <option value="a4">A4</option>
+                <option value="letter">Letter</option>
+            </select>
+            <select value={format} onChange={e => setFormat(e.target.value)} style={inputStyle}>
+                <option value="pdf">PDF</option>
+                <option value="svg">SVG</option>
+            </select>
+            <button onClick={handlePrint} disabled={disabled} style={{ ...buttonStyle, background: '#007bff' }}>Print labels</button>
+            {selectedIds.length > 0 && (
+                <button onClick={onClearSelection} style={{ ...buttonStyle, background: '#6c757d' }}>Clear selection</button>
+            )}
+        </div>
+    );
+}
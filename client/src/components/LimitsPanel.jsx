@@ -0,0 +1,125 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
+
+const inputStyle = { padding: '8px', border: '1px solid #ddd', borderRadius: '4px', width: '120px' };
+const cardStyle = { flex: 1, background: '#f8f9fa', border: '1px solid #ddd', borderRadius: '8px', padding: '15px', textAlign: 'center' };
+
+const REFRESH_MS = 30000;
+
+const FIELDS = [
+    { key: 'perIpPerHour', label: 'New conversations per visitor (IP address) per hour', step: 1 },
+    { key: 'perPaintingPerHour', label: 'New conversations per painting per hour', step: 1 },
+    { key: 'maxSessionMinutes', label: 'Maximum conversation length (minutes)', step: 1 },
+    { key: 'dailyBudgetUsd', label: 'Daily budget (USD)', step: 0.5 },
+    { key: 'costPerMinuteUsd', label: 'Estimated cost per conversation minute (USD)', step: 0.01 }
+];
+
+const usd = (value) => `$${value.toFixed(2)}`;
+
+export default function LimitsPanel({ canEdit }) {
+    const [data, setData] = useState(null);
+    const [draft, setDraft] = useState(null);
+    const [error, setError] = useState('');
+
+    // Usage is polled; the form keeps whatever the curator is typing
+    useEffect(() => {
+        const load = () => apiFetch('/api/limits')
+            .then(res => {
+                if (!res.ok) throw new Error('Failed to load limits');
+                return res.json();
+            })
+            .then(json => {
+                setData(json);
+                setDraft(current => current || json.limits);
+                setError('');
+            })
+            .catch(err => setError(err.message));
+        load();
+        const timer = setInterval(load, REFRESH_MS);
+        return () => clearInterval(timer);
+    }, []);
+
+    const save = async () => {
+        try {
+            const res = await apiFetch('/api/limits', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(draft)
+            });
+            const json = await res.json();
+            if (!res.ok) throw new Error(json.error || 'Save failed');
+            setData(json);
+            setDraft(json.limits);
+            alert('Limits saved');
+        } catch (err) {
+            alert(err.message);
+        }
+    };
+
+    if (error && !data) return <p style={{ color: '#dc3545' }}>{error}</p>;
+    if (!data) return <p>Loading limits...</p>;
+
+    const { usage, limits } = data;
+    const budgetShare = limits.dailyBudgetUsd ? Math.min(1, usage.estimatedSpendUsd / limits.dailyBudgetUsd) : 0;
+    const refusedTotal = usage.refused.ip + usage.refused.painting + usage.refused.budget + usage.refused.reconnect;
+
+    return (
+        <div>
+            <h2>Session Limits</h2>
+            <p style={{ fontSize: '14px', color: '#666' }}>
+                Every conversation opens a paid realtime session. Over these limits visitors are told the guide is busy and to try again later. 0 turns a limit off.
+            </p>
+
+            <h3>Today</h3>
+            <div style={{ display: 'flex', gap: '15px', marginBottom: '15px' }}>
+                <div style={cardStyle}>
+                    <div style={{ fontSize: '28px', fontWeight: 'bold' }}>{usage.sessions}</div>
+                    <div style={{ fontSize: '12px', color: '#666' }}>Conversations ({usage.activeSessions} active)</div>
+                </div>
+                <div style={cardStyle}>
+                    <div style={{ fontSize: '28px', fontWeight: 'bold' }}>{usd(usage.estimatedSpendUsd)}</div>
+                    <div style={{ fontSize: '12px', color: '#666' }}>
+                        Estimated spend{limits.dailyBudgetUsd ? ` of ${usd(limits.dailyBudgetUsd)}` : ''} ({usage.minutes} min)
+                    </div>
+                </div>
+                <div style={cardStyle}>
+                    <div style={{ fontSize: '28px', fontWeight: 'bold' }}>{refusedTotal}</div>
+                    <div style={{ fontSize: '12px', color: '#666' }}>
+                        Turned away (per visitor {usage.refused.ip}, per painting {usage.refused.painting}, budget {usage.refused.budget}, reconnects {usage.refused.reconnect})
+                    </div>
+                </div>
+            </div>
+            {limits.dailyBudgetUsd > 0 && (
+                <div style={{ height: '10px', background: '#eee', borderRadius: '5px', overflow: 'hidden', marginBottom: '30px' }}>
+                    <div style={{ width: `${budgetShare * 100}%`, height: '100%', background: budgetShare >= 0.9 ? '#dc3545' : '#28a745' }} />
+                </div>
+            )}
+
+            <h3>Limits</h3>
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '10px', background: '#f9f9f9', padding: '15px', borderRadius: '8px' }}>
+                {FIELDS.map(f => (
+                    <label key={f.key} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: '14px' }}>
+                        {f.label}
+                        <input
+                            type="number"
+                            min="0"
+                            step={f.step}
+                            value={draft[f.key]}
+                            onChange={e => setDraft({ ...draft, [f.key]: e.target.value })}
+                            readOnly={!canEdit}
+                            style={inputStyle}
+                        />
+                    </label>
+                ))}
+                <p style={{ fontSize: '12px', color: '#666', margin: 0 }}>
+                    Spend is an estimate from the conversation minutes visitors report, each capped at the session length; conversations that never report an end count at the full length. Per-visitor and per-painting counts reset when the server restarts.
+                </p>
+                {canEdit && (
+                    <div>
+                        <button onClick={save} style={{ padding: '6px 12px', color: 'white', background: '#007bff', border: 'none', borderRadius: '4px', cursor: 'pointer' }}>Save</button>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,74 @@
+import React from 'react';
+import { DIMENSION_UNITS } from '../metadata';
+
+const inputStyle = { padding: '8px', border: '1px solid #ddd', borderRadius: '4px' };
+const labelStyle = { display: 'flex', flexDirection: 'column', gap: '3px', fontSize: '14px' };
+const errorStyle = { color: '#dc3545', fontSize: '12px' };
+
+function Field({ label, error, children, style }) {
+    return (
+        <label style={{ ...labelStyle, ...style }}>
+            {label}
+            {children}
+            {error && <span style={errorStyle}>{error}</span>}
+        </label>
+    );
+}
+
+// Edits the catalogue details in the form shape of metadataForm() (see ../metadata.js);
+// errors comes from metadataErrors() and is shown next to each field.
+export default function MetadataEditor({ value, onChange, errors }) {
+    const set = (key, fieldValue) => onChange({ ...value, [key]: fieldValue });
+    const bordered = (key, extra = {}) => ({ ...inputStyle, ...extra, borderColor: errors[key] ? '#dc3545' : '#ddd' });
+
+    return (
+        <fieldset style={{ border: '1px solid #ddd', borderRadius: '4px', padding: '10px', display: 'flex', flexDirection: 'column', gap: '10px' }}>
+            <legend>Catalogue details (optional)</legend>
+            <p style={{ fontSize: '12px', color: '#666', margin: 0 }}>
+                Shown as a caption under the title for visitors and given to the guide. Keep the story of the work in Facts.
+            </p>
+            <Field label="Artist">
+                <input value={value.artist} onChange={e => set('artist', e.target.value)} placeholder="e.g. Leonardo da Vinci" style={inputStyle} />
+            </Field>
+            <div style={{ display: 'flex', gap: '10px', alignItems: 'flex-start', flexWrap: 'wrap' }}>
+                <Field label="Year (or start year)" error={errors.dateFrom}>
+                    <input type="number" value={value.dateFrom} onChange={e => set('dateFrom', e.target.value)} placeholder="1503" style={bordered('dateFrom', { width: '110px' })} />
+                </Field>
+                <Field label="End year" error={errors.dateTo}>
+                    <input type="number" value={value.dateTo} onChange={e => set('dateTo', e.target.value)} placeholder="1519" style={bordered('dateTo', { width: '110px' })} />
+                </Field>
+                <label style={{ fontSize: '14px', alignSelf: 'center' }}>
+                    <input type="checkbox" checked={value.circa} onChange={e => set('circa', e.target.checked)} style={{ marginRight: '5px' }} />
+                    Approximate (c.)
+                </label>
+            </div>
+            <Field label="Medium">
+                <input value={value.medium} onChange={e => set('medium', e.target.value)} placeholder="e.g. Oil on poplar panel" style={inputStyle} />
+            </Field>
+            <div style={{ display: 'flex', gap: '10px', alignItems: 'flex-start', flexWrap: 'wrap' }}>
+                {[['height', 'Height'], ['width', 'Width'], ['depth', 'Depth (optional)']].map(([key, label]) => (
+                    <Field key={key} label={label} error={errors[key]}>
+                        <input type="number" min="0" step="any" value={value[key]} onChange={e => set(key, e.target.value)} style={bordered(key, { width: '100px' })} />
+                    </Field>
+                ))}
+                <Field label="Unit">
+                    <select value={value.unit} onChange={e => set('unit', e.target.value)} style={inputStyle}>
+                        {DIMENSION_UNITS.map(unit => <option key={unit} value={unit}>{unit}</option>)}
+                    </select>
+                </Field>
+            </div>
+            <Field label="Location / room">
+                <input value={value.location} onChange={e => set('location', e.target.value)} placeholder="e.g. Room 711, first floor" style={inputStyle} />
+            </Field>
+            <Field label="Provenance (one owner per line)">
+                <textarea value={value.provenance} onChange={e => set('provenance', e.target.value)} rows={3} style={inputStyle} />
+            </Field>
+            <Field label="Credit line">
+                <input value={value.creditLine} onChange={e => set('creditLine', e.target.value)} placeholder="e.g. Gift of the Smith family, 1954" style={inputStyle} />
+            </Field>
+            <Field label="Tags (separated by commas)" error={errors.tags}>
+                <input value={value.tags} onChange={e => set('tags', e.target.value)} placeholder="e.g. Renaissance, portrait" style={bordered('tags')} />
+            </Field>
+        </fieldset>
+    );
+}
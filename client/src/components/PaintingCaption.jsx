@@ -0,0 +1,41 @@
+import React from 'react';
+import { formatDate, formatDimensions } from '../metadata';
+
+// The catalogue details under the title, laid out like a wall label:
+// artist, date, medium and size, where to find the work, then the credit line,
+// provenance (folded away) and tags. artistName is the linked artist profile's,
+// used when the details don't name the artist.
+export default function PaintingCaption({ metadata: stored, artistName, t }) {
+    if (!stored && !artistName) return null;
+    const metadata = { ...stored, artist: (stored && stored.artist) || artistName };
+    const date = formatDate(metadata, t);
+    const details = [metadata.medium, metadata.dimensions && formatDimensions(metadata.dimensions)].filter(Boolean);
+
+    return (
+        <div style={{ margin: '-10px 0 20px', fontSize: '14px', color: '#444', lineHeight: 1.4 }}>
+            {(metadata.artist || date) && (
+                <div>
+                    {metadata.artist && <b>{metadata.artist}</b>}
+                    {metadata.artist && date && ', '}
+                    {date}
+                </div>
+            )}
+            {details.length > 0 && <div>{details.join(' · ')}</div>}
+            {metadata.location && <div style={{ color: '#666' }}>{metadata.location}</div>}
+            {metadata.creditLine && <div style={{ fontSize: '12px', color: '#666', marginTop: '4px' }}>{metadata.creditLine}</div>}
+            {metadata.provenance && (
+                <details style={{ fontSize: '12px', color: '#666', marginTop: '4px' }}>
+                    <summary style={{ cursor: 'pointer' }}>{t('provenance')}</summary>
+                    <div style={{ whiteSpace: 'pre-line', textAlign: 'left', marginTop: '4px' }}>{metadata.provenance}</div>
+                </details>
+            )}
+            {metadata.tags && (
+                <div style={{ display: 'flex', gap: '5px', justifyContent: 'center', flexWrap: 'wrap', marginTop: '6px' }}>
+                    {metadata.tags.map(tag => (
+                        <span key={tag} style={{ fontSize: '12px', padding: '2px 8px', background: '#eee', borderRadius: '10px' }}>{tag}</span>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,78 @@
+import React from 'react';
+
+const percent = (value) => `${value * 100}%`;
+
+// The painting image plus what the guide's tools draw on it: a highlight box
+// (highlight_region) and a magnified detail (open_detail_zoom), and the curator's
+// hotspots as tappable areas. Regions are fractions of the image so they line up
+// at any display size.
+export default function PaintingView({ src, alt, highlight, zoom, onCloseZoom, hotspots = [], onHotspotTap, t }) {
+    return (
+        <div style={{ marginBottom: '20px' }}>
+            <div style={{ position: 'relative' }}>
+                <img src={src} alt={alt} style={{ display: 'block', width: '100%', borderRadius: '8px' }} />
+                {hotspots.map(h => (
+                    <button
+                        key={h.id}
+                        onClick={() => onHotspotTap(h)}
+                        title={h.label}
+                        aria-label={h.label}
+                        style={{
+                            position: 'absolute',
+                            left: percent(h.x),
+                            top: percent(h.y),
+                            width: percent(h.width),
+                            height: percent(h.height),
+                            padding: 0,
+                            border: '2px dashed rgba(255, 255, 255, 0.8)',
+                            borderRadius: '4px',
+                            background: 'rgba(255, 255, 255, 0.08)',
+                            cursor: 'pointer'
+                        }}
+                    />
+                ))}
+                {highlight && (
+                    <div
+                        role="img"
+                        aria-label={highlight.label || ''}
+                        style={{
+                            position: 'absolute',
+                            left: percent(highlight.x),
+                            top: percent(highlight.y),
+                            width: percent(highlight.width),
+                            height: percent(highlight.height),
+                            border: '3px solid #ffcc00',
+                            borderRadius: '4px',
+                            boxShadow: '0 0 0 9999px rgba(0, 0, 0, 0.35)',
+                            pointerEvents: 'none'
+                        }}
+                    >
+                        {highlight.label && (
+                            <span style={{ position: 'absolute', top: '100%', left: 0, marginTop: '4px', padding: '2px 6px', background: '#ffcc00', color: 'black', fontSize: '12px', borderRadius: '3px', whiteSpace: 'nowrap' }}>
+                                {highlight.label}
+                            </span>
+                        )}
+                    </div>
+                )}
+            </div>
+
+            {zoom && (
+                <div style={{ marginTop: '10px' }}>
+                    <div style={{ position: 'relative', overflow: 'hidden', borderRadius: '8px', border: '2px solid #ffcc00' }}>
+                        <img
+                            src={src}
+                            alt={zoom.label || alt}
+                            style={{ display: 'block', width: '100%', transform: `scale(${zoom.zoom})`, transformOrigin: `${percent(zoom.x)} ${percent(zoom.y)}` }}
+                        />
+                    </div>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: '13px', marginTop: '4px' }}>
+                        <span style={{ color: '#666' }}>{zoom.label}</span>
+                        <button onClick={onCloseZoom} style={{ padding: '2px 10px', border: '1px solid #ccc', borderRadius: '4px', background: 'white', cursor: 'pointer' }}>
+                            {t('closeZoom')}
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,106 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
+
+const inputStyle = { padding: '8px', border: '1px solid #ddd', borderRadius: '4px' };
+const buttonStyle = { padding: '6px 12px', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' };
+
+function PersonaEditor({ persona, voices, canEdit, onSaved }) {
+    const [draft, setDraft] = useState(persona);
+
+    const save = async () => {
+        try {
+            const { name, description, audience, tone, instructions, voice } = draft;
+            const res = await apiFetch(`/api/personas/${persona.id}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name, description, audience, tone, instructions, voice })
+            });
+            const json = await res.json();
+            if (!res.ok) throw new Error(json.error || 'Save failed');
+            setDraft(json);
+            onSaved(json);
+        } catch (err) {
+            alert(err.message);
+        }
+    };
+
+    const reset = async () => {
+        if (!window.confirm(`Reset "${persona.name}" to its original wording and voice?`)) return;
+        try {
+            const res = await apiFetch(`/api/personas/${persona.id}`, { method: 'DELETE' });
+            const json = await res.json();
+            if (!res.ok) throw new Error(json.error || 'Reset failed');
+            setDraft(json);
+            onSaved(json);
+        } catch (err) {
+            alert(err.message);
+        }
+    };
+
+    const field = (key, label, rows) => (
+        <label style={{ display: 'flex', flexDirection: 'column', gap: '3px', fontSize: '13px' }}>
+            {label}
+            {rows ? (
+                <textarea value={draft[key]} onChange={e => setDraft({ ...draft, [key]: e.target.value })} readOnly={!canEdit} rows={rows} style={inputStyle} />
+            ) : (
+                <input value={draft[key]} onChange={e => setDraft({ ...draft, [key]: e.target.value })} readOnly={!canEdit} style={inputStyle} />
+            )}
+        </label>
+    );
+
+    return (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', background: '#f9f9f9', padding: '15px', borderRadius: '8px', marginBottom: '15px' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                <h3 style={{ margin: 0 }}>{draft.name} <span style={{ fontSize: '12px', color: '#666', fontWeight: 'normal' }}>({persona.id}{persona.customized ? ', customised' : ''})</span></h3>
+                <label style={{ fontSize: '13px' }}>
+                    Voice:{' '}
+                    <select value={draft.voice} onChange={e => setDraft({ ...draft, voice: e.target.value })} disabled={!canEdit} style={inputStyle}>
+                        {voices.map(v => <option key={v} value={v}>{v}</option>)}
+                    </select>
+                </label>
+            </div>
+            {field('name', 'Name shown to visitors')}
+            {field('description', 'Short description shown to visitors')}
+            {field('audience', 'Audience ({{audience}} in templates)')}
+            {field('tone', 'Tone ({{tone}} in templates)')}
+            {field('instructions', 'Extra guidance added to the prompt', 3)}
+            {canEdit && (
+                <div style={{ display: 'flex', gap: '10px' }}>
+                    <button onClick={save} style={{ ...buttonStyle, background: '#007bff' }}>Save</button>
+                    {persona.customized && <button onClick={reset} style={{ ...buttonStyle, background: '#6c757d' }}>Reset to default</button>}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default function PersonasPanel({ canEdit }) {
+    const [personas, setPersonas] = useState([]);
+    const [voices, setVoices] = useState([]);
+
+    useEffect(() => {
+        apiFetch('/api/personas')
+            .then(res => res.json())
+            .then(json => {
+                setPersonas(json.personas);
+                setVoices(json.voices);
+            })
+            .catch(err => console.error('Failed to fetch personas', err));
+    }, []);
+
+    const handleSaved = (updated) => {
+        setPersonas(personas.map(p => (p.id === updated.id ? updated : p)));
+    };
+
+    return (
+        <div>
+            <h2>Guide Personas</h2>
+            <p style={{ fontSize: '14px', color: '#666' }}>
+                Visitors choose one of these before starting a conversation. Enable or disable them per painting in the Create / Edit form.
+            </p>
+            {personas.map(p => (
+                <PersonaEditor key={`${p.id}-${p.customized}`} persona={p} voices={voices} canEdit={canEdit} onSaved={handleSaved} />
+            ))}
+        </div>
+    );
+}
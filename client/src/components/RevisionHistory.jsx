@@ -0,0 +1,206 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { apiFetch } from '../api';
+import { diffLines } from '../diff';
+import { paintingImage } from '../images';
+
+const DIFFED_FIELDS = [
+    { key: 'description', label: 'Description' },
+    { key: 'facts', label: 'Facts' },
+    { key: 'prompt', label: 'Prompt (English, default persona)' }
+];
+
+const FIELD_LABELS = {
+    title: 'title',
+    slug: 'slug',
+    description: 'description',
+    facts: 'facts',
+    translations: 'translations',
+    templateId: 'prompt template',
+    personaIds: 'personas',
+    hotspots: 'hotspots',
+    voiceSettings: 'voice settings',
+    openingLine: 'opening line',
+    suggestedQuestions: 'suggested questions',
+    metadata: 'catalogue details',
+    artistId: 'artist',
+    imageUrl: 'image'
+};
+
+const ACTION_LABELS = {
+    original: 'Before history was kept',
+    create: 'Created',
+    import: 'Imported',
+    update: 'Edited',
+    publish: 'Published draft',
+    unlinkArtist: 'Artist deleted'
+};
+
+const LINE_COLORS = { same: 'transparent', removed: '#ffe5e5', added: '#e3f7e3' };
+const LINE_MARKS = { same: ' ', removed: '-', added: '+' };
+
+const describe = (revision) => (revision.action === 'restore'
+    ? `Restored #${revision.restoredFrom}`
+    : ACTION_LABELS[revision.action] || revision.action);
+
+// Snapshot fields plus the rendered prompt, the same shape for every revision
+const versionOf = (revision) => ({ ...revision.snapshot, prompt: revision.prompt });
+
+function Diff({ label, before, after }) {
+    if ((before || '') === (after || '')) return null;
+    return (
+        <div style={{ marginBottom: '15px' }}>
+            <h4 style={{ margin: '0 0 5px' }}>{label}</h4>
+            <pre style={{ margin: 0, maxHeight: '300px', overflow: 'auto', border: '1px solid #ddd', borderRadius: '4px', fontSize: '12px', whiteSpace: 'pre-wrap' }}>
+                {diffLines(before, after).map((line, i) => (
+                    <div key={i} style={{ background: LINE_COLORS[line.type], padding: '0 5px' }}>
+                        {LINE_MARKS[line.type]} {line.text}
+                    </div>
+                ))}
+            </pre>
+        </div>
+    );
+}
+
+// Edit history of one painting (GET /api/paintings/:id/revisions): pick a revision to
+// see what changed against an earlier one, and restore it if needed.
+export default function RevisionHistory({ painting, canRestore, onClose, onRestored }) {
+    const [revisions, setRevisions] = useState(null);
+    const [selectedId, setSelectedId] = useState(null);
+    const [compareId, setCompareId] = useState(null);
+    const [error, setError] = useState('');
+    const panelRef = useRef(null);
+
+    const load = useCallback(() => apiFetch(`/api/paintings/${painting.id}/revisions`)
+        .then(res => {
+            if (!res.ok) throw new Error('Failed to load history');
+            return res.json();
+        })
+        .then(json => {
+            setRevisions(json.revisions);
+            setSelectedId(json.revisions[0] ? json.revisions[0].id : null);
+            setCompareId(json.revisions[1] ? json.revisions[1].id : null);
+            setError('');
+        })
+        .catch(err => setError(err.message)), [painting.id]);
+
+    useEffect(() => {
+        load();
+    }, [load]);
+
+    // Opened from a card further down the grid
+    useEffect(() => {
+        panelRef.current.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }, []);
+
+    const select = (revision) => {
+        const index = revisions.indexOf(revision);
+        setSelectedId(revision.id);
+        setCompareId(revisions[index + 1] ? revisions[index + 1].id : null);
+    };
+
+    const restore = async (revision) => {
+        if (!window.confirm(`Restore "${painting.title}" to revision #${revision.number}? The current version stays in the history.`)) return;
+        try {
+            const res = await apiFetch(`/api/paintings/${painting.id}/revisions/${revision.id}/restore`, { method: 'POST' });
+            const json = await res.json();
+            if (!res.ok) throw new Error(json.error || 'Restore failed');
+            await load();
+            if (onRestored) onRestored(json);
+        } catch (err) {
+            alert(err.message);
+        }
+    };
+
+    const selected = revisions && revisions.find(r => r.id === selectedId);
+    const compared = revisions && revisions.find(r => r.id === compareId);
+    const after = selected && versionOf(selected);
+    const before = compared ? versionOf(compared) : {};
+    const otherChanges = selected
+        ? Object.keys(FIELD_LABELS)
+            .filter(key => !DIFFED_FIELDS.some(f => f.key === key))
+            .filter(key => JSON.stringify(before[key] ?? null) !== JSON.stringify(after[key] ?? null))
+        : [];
+
+    return (
+        <div ref={panelRef} style={{ marginBottom: '20px', background: '#f8f9fa', padding: '15px', borderRadius: '8px', border: '1px solid #ddd' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                <h3 style={{ margin: 0 }}>History: {painting.title}</h3>
+                <button onClick={onClose} style={{ padding: '5px 10px' }}>Close</button>
+            </div>
+
+            {error && <p style={{ color: '#dc3545' }}>{error}</p>}
+            {!revisions && !error && <p>Loading history...</p>}
+            {revisions && revisions.length === 0 && (
+                <p style={{ fontSize: '14px', color: '#666' }}>No edits recorded yet. The first edit will keep the current version here.</p>
+            )}
+
+            {selected && (
+                <div style={{ display: 'flex', gap: '20px', marginTop: '15px', alignItems: 'flex-start' }}>
+                    <ul style={{ listStyle: 'none', padding: 0, margin: 0, width: '220px', flexShrink: 0, fontSize: '13px' }}>
+                        {revisions.map(revision => (
+                            <li key={revision.id}>
+                                <button
+                                    onClick={() => select(revision)}
+                                    style={{
+                                        width: '100%',
+                                        textAlign: 'left',
+                                        padding: '8px',
+                                        marginBottom: '5px',
+                                        border: '1px solid #ddd',
+                                        borderRadius: '4px',
+                                        cursor: 'pointer',
+                                        background: revision.id === selectedId ? '#e7f1ff' : 'white'
+                                    }}
+                                >
+                                    <b>#{revision.number}</b> {describe(revision)}
+                                    <div style={{ color: '#666' }}>
+                                        {new Date(revision.createdAt).toLocaleString()}
+                                        {revision.author && ` · ${revision.author.username}`}
+                                    </div>
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+
+                    <div style={{ flex: 1, minWidth: 0 }}>
+                        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '15px', gap: '10px' }}>
+                            <label style={{ fontSize: '14px' }}>
+                                #{selected.number} compared with{' '}
+                                <select value={compareId || ''} onChange={e => setCompareId(e.target.value || null)} style={{ padding: '4px' }}>
+                                    <option value="">nothing</option>
+                                    {revisions.filter(r => r.id !== selectedId).map(r => (
+                                        <option key={r.id} value={r.id}>#{r.number} ({describe(r)})</option>
+                                    ))}
+                                </select>
+                            </label>
+                            {canRestore && selected !== revisions[0] && (
+                                <button
+                                    onClick={() => restore(selected)}
+                                    style={{ padding: '5px 15px', background: '#ffc107', border: 'none', borderRadius: '4px', cursor: 'pointer' }}
+                                >
+                                    Restore #{selected.number}
+                                </button>
+                            )}
+                        </div>
+
+                        {otherChanges.length > 0 && (
+                            <p style={{ fontSize: '14px' }}>Also changed: {otherChanges.map(key => FIELD_LABELS[key]).join(', ')}</p>
+                        )}
+                        {otherChanges.includes('imageUrl') && (
+                            <div style={{ display: 'flex', gap: '10px', marginBottom: '15px' }}>
+                                {compared && <img src={paintingImage(before, 'thumbnail')} alt={`Revision #${compared.number}`} style={{ width: '120px', border: '3px solid #ffe5e5' }} />}
+                                <img src={paintingImage(after, 'thumbnail')} alt={`Revision #${selected.number}`} style={{ width: '120px', border: '3px solid #e3f7e3' }} />
+                            </div>
+                        )}
+                        {DIFFED_FIELDS.map(field => (
+                            <Diff key={field.key} label={field.label} before={before[field.key]} after={after[field.key]} />
+                        ))}
+                        {DIFFED_FIELDS.every(field => (before[field.key] || '') === (after[field.key] || '')) && (
+                            <p style={{ fontSize: '14px', color: '#666' }}>Description, facts and prompt are the same in both.</p>
+                        )}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,217 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { apiFetch } from '../api';
+import { LANGUAGES } from '../i18n';
+
+const inputStyle = { padding: '10px', border: '1px solid #ddd', borderRadius: '4px' };
+const buttonStyle = { padding: '8px 14px', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' };
+
+const EMPTY_DRAFT = { id: null, name: '', body: '' };
+
+export default function TemplatesPanel({ canEdit }) {
+    const [templates, setTemplates] = useState([]);
+    const [placeholders, setPlaceholders] = useState({});
+    const [paintings, setPaintings] = useState([]);
+    const [personas, setPersonas] = useState([]);
+    const [draft, setDraft] = useState(EMPTY_DRAFT);
+    const [preview, setPreview] = useState({ paintingId: '', lang: 'en', personaId: 'general', text: '' });
+
+    const loadTemplates = useCallback(() => {
+        return apiFetch('/api/templates')
+            .then(res => res.json())
+            .then(json => {
+                setTemplates(json.templates);
+                setPlaceholders(json.placeholders);
+                return json.templates;
+            });
+    }, []);
+
+    useEffect(() => {
+        loadTemplates()
+            .then(list => setDraft(list[0] || EMPTY_DRAFT))
+            .catch(err => console.error('Failed to fetch templates', err));
+        apiFetch('/api/paintings?fields=title&sort=title')
+            .then(res => res.json())
+            .then(list => {
+                setPaintings(list);
+                if (list[0]) setPreview(p => ({ ...p, paintingId: list[0].id }));
+            })
+            .catch(err => console.error('Failed to fetch paintings', err));
+        apiFetch('/api/personas')
+            .then(res => res.json())
+            .then(json => setPersonas(json.personas || []))
+            .catch(err => console.error('Failed to fetch personas', err));
+    }, [loadTemplates]);
+
+    const selected = templates.find(t => t.id === draft.id);
+    const readOnly = !canEdit || (selected && selected.builtIn);
+
+    const insertPlaceholder = (name) => {
+        setDraft({ ...draft, body: `${draft.body}{{${name}}}` });
+    };
+
+    const handleSave = async () => {
+        try {
+            const res = await apiFetch(draft.id ? `/api/templates/${draft.id}` : '/api/templates', {
+                method: draft.id ? 'PUT' : 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name: draft.name, body: draft.body })
+            });
+            const json = await res.json();
+            if (!res.ok) throw new Error(json.error || 'Save failed');
+            await loadTemplates();
+            setDraft(json);
+        } catch (err) {
+            alert(err.message);
+        }
+    };
+
+    const handleDelete = async () => {
+        if (!window.confirm(`Delete template "${draft.name}"? Paintings using it will fall back to the global default.`)) return;
+        try {
+            const res = await apiFetch(`/api/templates/${draft.id}`, { method: 'DELETE' });
+            const json = await res.json();
+            if (!res.ok) throw new Error(json.error || 'Delete failed');
+            const list = await loadTemplates();
+            setDraft(list[0] || EMPTY_DRAFT);
+        } catch (err) {
+            alert(err.message);
+        }
+    };
+
+    const handleSetDefault = async () => {
+        try {
+            const res = await apiFetch(`/api/templates/${draft.id}/default`, { method: 'PUT' });
+            if (!res.ok) throw new Error('Failed to set default');
+            await loadTemplates();
+        } catch (err) {
+            alert(err.message);
+        }
+    };
+
+    const handlePreview = async () => {
+        try {
+            const res = await apiFetch('/api/templates/preview', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ body: draft.body, paintingId: preview.paintingId, lang: preview.lang, personaId: preview.personaId })
+            });
+            const json = await res.json();
+            if (!res.ok) throw new Error(json.error || 'Preview failed');
+            setPreview({ ...preview, text: json.instructions });
+        } catch (err) {
+            setPreview({ ...preview, text: `Error: ${err.message}` });
+        }
+    };
+
+    return (
+        <div>
+            <h2>Prompt Templates</h2>
+            <p style={{ fontSize: '14px', color: '#666' }}>
+                Templates define what the guide is told at the start of every conversation. Assign one per painting in the
+                Create / Edit form, or mark one as the global default.
+            </p>
+
+            <div style={{ display: 'flex', gap: '5px', flexWrap: 'wrap', marginBottom: '15px' }}>
+                {templates.map(t => (
+                    <button
+                        key={t.id}
+                        onClick={() => setDraft(t)}
+                        style={{ ...buttonStyle, background: draft.id === t.id ? '#007bff' : '#eee', color: draft.id === t.id ? 'white' : 'black' }}
+                    >
+                        {t.name}{t.isDefault ? ' ★' : ''}
+                    </button>
+                ))}
+                {canEdit && (
+                    <button onClick={() => setDraft(EMPTY_DRAFT)} style={{ ...buttonStyle, background: '#28a745' }}>
+                        + New Template
+                    </button>
+                )}
+            </div>
+
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '10px', background: '#f9f9f9', padding: '20px', borderRadius: '8px' }}>
+                <input
+                    placeholder="Template name"
+                    value={draft.name}
+                    onChange={e => setDraft({ ...draft, name: e.target.value })}
+                    readOnly={readOnly}
+                    style={inputStyle}
+                />
+                <textarea
+                    value={draft.body}
+                    onChange={e => setDraft({ ...draft, body: e.target.value })}
+                    readOnly={readOnly}
+                    rows={12}
+                    style={{ ...inputStyle, fontFamily: 'monospace', fontSize: '13px' }}
+                />
+                <div style={{ fontSize: '12px', color: '#666' }}>
+                    Placeholders:{' '}
+                    {Object.entries(placeholders).map(([name, help]) => (
+                        <button
+                            key={name}
+                            type="button"
+                            title={help}
+                            disabled={readOnly}
+                            onClick={() => insertPlaceholder(name)}
+                            style={{ margin: '2px', padding: '2px 6px', fontFamily: 'monospace', fontSize: '12px', border: '1px solid #ccc', borderRadius: '4px', background: 'white', cursor: readOnly ? 'default' : 'pointer' }}
+                        >
+                            {`{{${name}}}`}
+                        </button>
+                    ))}
+                </div>
+                {selected && selected.builtIn && (
+                    <p style={{ fontSize: '12px', color: '#666', margin: 0 }}>
+                        Built-in templates are read-only. Create a new template to customise the wording.
+                    </p>
+                )}
+                {canEdit && (
+                    <div style={{ display: 'flex', gap: '10px' }}>
+                        {!readOnly && <button onClick={handleSave} style={{ ...buttonStyle, background: '#007bff' }}>Save Template</button>}
+                        {draft.id && !selected?.isDefault && (
+                            <button onClick={handleSetDefault} style={{ ...buttonStyle, background: '#6c757d' }}>Set as Global Default</button>
+                        )}
+                        {draft.id && !readOnly && (
+                            <button onClick={handleDelete} style={{ ...buttonStyle, background: '#dc3545' }}>Delete</button>
+                        )}
+                    </div>
+                )}
+            </div>
+
+            <h3>Preview</h3>
+            <div style={{ display: 'flex', gap: '10px', marginBottom: '10px' }}>
+                <select
+                    value={preview.paintingId}
+                    onChange={e => setPreview({ ...preview, paintingId: e.target.value })}
+                    style={{ ...inputStyle, flex: 1 }}
+                >
+                    {paintings.map(p => <option key={p.id} value={p.id}>{p.title}</option>)}
+                </select>
+                <select
+                    value={preview.lang}
+                    onChange={e => setPreview({ ...preview, lang: e.target.value })}
+                    style={inputStyle}
+                >
+                    {LANGUAGES.map(l => <option key={l.code} value={l.code}>{l.name}</option>)}
+                </select>
+                <select
+                    value={preview.personaId}
+                    onChange={e => setPreview({ ...preview, personaId: e.target.value })}
+                    style={inputStyle}
+                >
+                    {personas.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                </select>
+                <button
+                    onClick={handlePreview}
+                    disabled={!preview.paintingId || !draft.body}
+                    style={{ ...buttonStyle, background: '#007bff' }}
+                >
+                    Render
+                </button>
+            </div>
+            {preview.text && (
+                <pre style={{ whiteSpace: 'pre-wrap', background: '#333', color: '#eee', padding: '15px', borderRadius: '8px', fontSize: '12px', maxHeight: '400px', overflowY: 'auto' }}>
+                    {preview.text}
+                </pre>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,83 @@
+import React, { useEffect, useRef, useState } from 'react';
+
+export default function TranscriptPanel({ entries, onSend, canSend, t }) {
+    const [text, setText] = useState('');
+    const listRef = useRef(null);
+
+    // Keep the newest line in view
+    useEffect(() => {
+        if (listRef.current) listRef.current.scrollTop = listRef.current.scrollHeight;
+    }, [entries]);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const message = text.trim();
+        if (!message) return;
+        onSend(message);
+        setText('');
+    };
+
+    return (
+        <div style={{ marginTop: '20px', textAlign: 'left' }}>
+            <div
+                ref={listRef}
+                aria-live="polite"
+                style={{
+                    background: '#f8f9fa',
+                    border: '1px solid #ddd',
+                    borderRadius: '10px',
+                    padding: '10px',
+                    height: '260px',
+                    overflowY: 'auto',
+                    fontSize: '15px'
+                }}
+            >
+                {entries.length === 0 && (
+                    <p style={{ color: '#999', textAlign: 'center' }}>{t('transcriptEmpty')}</p>
+                )}
+                {entries.filter(e => e.text || !e.done).map(e => (
+                    <div
+                        key={e.id}
+                        style={{
+                            display: 'flex',
+                            justifyContent: e.role === 'user' ? 'flex-end' : 'flex-start',
+                            marginBottom: '8px'
+                        }}
+                    >
+                        <div style={{
+                            maxWidth: '85%',
+                            padding: '8px 12px',
+                            borderRadius: '12px',
+                            background: e.role === 'user' ? '#007bff' : '#fff',
+                            color: e.role === 'user' ? 'white' : '#213547',
+                            border: e.role === 'user' ? 'none' : '1px solid #ddd'
+                        }}>
+                            <div style={{ fontSize: '11px', opacity: 0.7, marginBottom: '2px' }}>
+                                {e.role === 'user' ? t('you') : t('guide')}
+                            </div>
+                            {e.text || <span style={{ opacity: 0.6 }}>…</span>}
+                        </div>
+                    </div>
+                ))}
+            </div>
+
+            <form onSubmit={handleSubmit} style={{ display: 'flex', gap: '8px', marginTop: '10px' }}>
+                <input
+                    value={text}
+                    onChange={e => setText(e.target.value)}
+                    placeholder={canSend ? t('typePlaceholder') : t('typeDisabled')}
+                    disabled={!canSend}
+                    aria-label={t('typePlaceholder')}
+                    style={{ flex: 1, padding: '10px', border: '1px solid #ddd', borderRadius: '20px', fontSize: '15px' }}
+                />
+                <button
+                    type="submit"
+                    disabled={!canSend || !text.trim()}
+                    style={{ padding: '10px 16px', background: '#007bff', color: 'white', border: 'none', borderRadius: '20px', cursor: 'pointer' }}
+                >
+                    {t('send')}
+                </button>
+            </form>
+        </div>
+    );
+}
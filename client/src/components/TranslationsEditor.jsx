@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import { LANGUAGES, DEFAULT_LANGUAGE } from '../i18n';
+
+const inputStyle = { padding: '10px', border: '1px solid #ddd', borderRadius: '4px' };
+
+// Edits painting.translations: { [lang]: { title, description, facts, openingLine, suggestedQuestions } }.
+// The main form fields are the default-language (English) content.
+export default function TranslationsEditor({ value, onChange }) {
+    const others = LANGUAGES.filter(l => l.code !== DEFAULT_LANGUAGE);
+    const [lang, setLang] = useState(others[0].code);
+    const current = value[lang] || {};
+
+    const setField = (field, text) => {
+        onChange({ ...value, [lang]: { ...current, [field]: text } });
+    };
+
+    const hasContent = (code) => Object.values(value[code] || {}).some(v => (Array.isArray(v) ? v.some(q => q.trim()) : v && v.trim()));
+
+    return (
+        <fieldset style={{ border: '1px solid #ddd', borderRadius: '4px', padding: '10px', display: 'flex', flexDirection: 'column', gap: '10px' }}>
+            <legend>Translations (optional)</legend>
+            <div style={{ display: 'flex', gap: '5px', flexWrap: 'wrap' }}>
+                {others.map(l => (
+                    <button
+                        key={l.code}
+                        type="button"
+                        onClick={() => setLang(l.code)}
+                        style={{
+                            padding: '5px 10px',
+                            background: lang === l.code ? '#007bff' : '#eee',
+                            color: lang === l.code ? 'white' : 'black',
+                            border: 'none', borderRadius: '4px', cursor: 'pointer', fontSize: '13px'
+                        }}
+                    >
+                        {l.name}{hasContent(l.code) ? ' ✓' : ''}
+                    </button>
+                ))}
+            </div>
+            <p style={{ fontSize: '12px', color: '#666', margin: 0 }}>
+                Leave a field empty to fall back to the English text. The guide always speaks the visitor's language.
+            </p>
+            <input
+                placeholder="Translated title"
+                value={current.title || ''}
+                onChange={e => setField('title', e.target.value)}
+                style={inputStyle}
+            />
+            <textarea
+                placeholder="Translated description"
+                value={current.description || ''}
+                onChange={e => setField('description', e.target.value)}
+                rows={3}
+                style={inputStyle}
+            />
+            <textarea
+                placeholder="Translated facts"
+                value={current.facts || ''}
+                onChange={e => setField('facts', e.target.value)}
+                rows={3}
+                style={inputStyle}
+            />
+            <input
+                placeholder="Translated opening line"
+                value={current.openingLine || ''}
+                onChange={e => setField('openingLine', e.target.value)}
+                style={inputStyle}
+            />
+            <textarea
+                placeholder="Translated suggested questions, one per line"
+                value={(current.suggestedQuestions || []).join('\n')}
+                onChange={e => setField('suggestedQuestions', e.target.value.split('\n'))}
+                rows={3}
+                style={inputStyle}
+            />
+        </fieldset>
+    );
+}
@@ -0,0 +1,114 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { apiFetch } from '../api';
+
+export default function UsersPanel({ currentUser }) {
+    const [users, setUsers] = useState([]);
+    const [formData, setFormData] = useState({ username: '', password: '', role: 'viewer' });
+
+    const fetchUsers = useCallback(() => {
+        return apiFetch('/api/users')
+            .then(res => {
+                if (!res.ok) throw new Error('Failed to fetch users');
+                return res.json();
+            })
+            .then(setUsers);
+    }, []);
+
+    useEffect(() => {
+        fetchUsers().catch(err => console.error(err));
+    }, [fetchUsers]);
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        try {
+            const res = await apiFetch('/api/users', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(formData)
+            });
+            const json = await res.json();
+            if (!res.ok) throw new Error(json.error || 'Failed to create user');
+            setFormData({ username: '', password: '', role: 'viewer' });
+            await fetchUsers();
+        } catch (err) {
+            alert(err.message);
+        }
+    };
+
+    const handleDelete = async (user) => {
+        if (!window.confirm(`Delete account "${user.username}"?`)) return;
+        try {
+            const res = await apiFetch(`/api/users/${user.id}`, { method: 'DELETE' });
+            const json = await res.json();
+            if (!res.ok) throw new Error(json.error || 'Failed to delete user');
+            await fetchUsers();
+        } catch (err) {
+            alert(err.message);
+        }
+    };
+
+    return (
+        <div>
+            <h2>Accounts</h2>
+            <p style={{ fontSize: '14px', color: '#666' }}>
+                Curators can create and edit agents. Viewers can browse the dashboard but not change anything.
+            </p>
+            <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: '20px' }}>
+                <thead>
+                    <tr style={{ textAlign: 'left', borderBottom: '1px solid #ddd' }}>
+                        <th style={{ padding: '8px' }}>Username</th>
+                        <th style={{ padding: '8px' }}>Role</th>
+                        <th style={{ padding: '8px' }}></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {users.map(u => (
+                        <tr key={u.id} style={{ borderBottom: '1px solid #eee' }}>
+                            <td style={{ padding: '8px' }}>{u.username}</td>
+                            <td style={{ padding: '8px' }}>{u.role}</td>
+                            <td style={{ padding: '8px', textAlign: 'right' }}>
+                                {u.id !== currentUser.id && (
+                                    <button
+                                        onClick={() => handleDelete(u)}
+                                        style={{ padding: '5px 15px', background: '#dc3545', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}
+                                    >
+                                        Delete
+                                    </button>
+                                )}
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+
+            <form onSubmit={handleCreate} style={{ display: 'flex', gap: '10px', flexWrap: 'wrap', background: '#f9f9f9', padding: '20px', borderRadius: '8px' }}>
+                <input
+                    placeholder="Username"
+                    value={formData.username}
+                    onChange={e => setFormData({ ...formData, username: e.target.value })}
+                    required
+                    style={{ padding: '10px', border: '1px solid #ddd', borderRadius: '4px' }}
+                />
+                <input
+                    type="password"
+                    placeholder="Password"
+                    value={formData.password}
+                    onChange={e => setFormData({ ...formData, password: e.target.value })}
+                    required
+                    style={{ padding: '10px', border: '1px solid #ddd', borderRadius: '4px' }}
+                />
+                <select
+                    value={formData.role}
+                    onChange={e => setFormData({ ...formData, role: e.target.value })}
+                    style={{ padding: '10px', border: '1px solid #ddd', borderRadius: '4px' }}
+                >
+                    <option value="viewer">Viewer</option>
+                    <option value="curator">Curator</option>
+                </select>
+                <button type="submit" style={{ padding: '10px 20px', background: '#007bff', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}>
+                    Add Account
+                </button>
+            </form>
+        </div>
+    );
+}
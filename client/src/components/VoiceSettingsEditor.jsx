@@ -0,0 +1,81 @@
+import React from 'react';
+
+const inputStyle = { padding: '8px', border: '1px solid #ddd', borderRadius: '4px' };
+const rowStyle = { display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '10px', fontSize: '14px' };
+
+const SENSITIVITY_LABELS = {
+    low: 'Low (noisy rooms, needs clear speech)',
+    medium: 'Medium',
+    high: 'High (quiet rooms, picks up soft voices)'
+};
+
+const GREETING_LABELS = {
+    describe: 'Introduce the painting straight away',
+    brief: 'Greet briefly, then ask what the visitor wants to know',
+    wait: 'Wait for the visitor to speak first'
+};
+
+// Edits painting.voiceSettings: { voice, model, speed, sensitivity, pauseMs, greeting }.
+// options comes from /api/voice-options; voice and model null mean the defaults.
+export default function VoiceSettingsEditor({ value, onChange, options }) {
+    if (!options) return null;
+    const settings = { ...options.defaults, ...value };
+    const set = (key, fieldValue) => onChange({ ...settings, [key]: fieldValue });
+
+    return (
+        <fieldset style={{ border: '1px solid #ddd', borderRadius: '4px', padding: '10px', display: 'flex', flexDirection: 'column', gap: '10px' }}>
+            <legend>Voice and conversation</legend>
+            <label style={rowStyle}>
+                Voice
+                <select value={settings.voice || ''} onChange={e => set('voice', e.target.value || null)} style={inputStyle}>
+                    <option value="">Persona's voice</option>
+                    {options.voices.map(v => <option key={v} value={v}>{v}</option>)}
+                </select>
+            </label>
+            <label style={rowStyle}>
+                Speaking speed ({Number(settings.speed).toFixed(2)}x)
+                <input
+                    type="range"
+                    min={options.speed.min}
+                    max={options.speed.max}
+                    step="0.05"
+                    value={settings.speed}
+                    onChange={e => set('speed', Number(e.target.value))}
+                />
+            </label>
+            <label style={rowStyle}>
+                Turn detection sensitivity
+                <select value={settings.sensitivity} onChange={e => set('sensitivity', e.target.value)} style={inputStyle}>
+                    {options.sensitivities.map(s => <option key={s} value={s}>{SENSITIVITY_LABELS[s] || s}</option>)}
+                </select>
+            </label>
+            <label style={rowStyle}>
+                Pause before the guide answers (ms)
+                <input
+                    type="number"
+                    min={options.pauseMs.min}
+                    max={options.pauseMs.max}
+                    step="100"
+                    value={settings.pauseMs}
+                    onChange={e => set('pauseMs', Number(e.target.value))}
+                    style={{ ...inputStyle, width: '90px' }}
+                />
+            </label>
+            <label style={rowStyle}>
+                When the conversation starts
+                <select value={settings.greeting} onChange={e => set('greeting', e.target.value)} style={inputStyle}>
+                    {options.greetings.map(g => <option key={g} value={g}>{GREETING_LABELS[g] || g}</option>)}
+                </select>
+            </label>
+            {options.models.length > 1 && (
+                <label style={rowStyle}>
+                    Model
+                    <select value={settings.model || ''} onChange={e => set('model', e.target.value || null)} style={inputStyle}>
+                        <option value="">Default ({options.defaultModel})</option>
+                        {options.models.map(m => <option key={m} value={m}>{m}</option>)}
+                    </select>
+                </label>
+            )}
+        </fieldset>
+    );
+}
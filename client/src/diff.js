@@ -0,0 +1,32 @@
+// Line diff for the painting history view: the longest common subsequence of the
+// two texts' lines, returned as [{ type: 'same' | 'removed' | 'added', text }].
+export const diffLines = (before, after) => {
+    const a = String(before || '').split('\n');
+    const b = String(after || '').split('\n');
+
+    // lengths[i][j] = LCS length of a[i..] and b[j..]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            lines.push({ type: 'same', text: a[i] });
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            lines.push({ type: 'removed', text: a[i++] });
+        } else {
+            lines.push({ type: 'added', text: b[j++] });
+        }
+    }
+    while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+    while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+    return lines;
+};
@@ -0,0 +1,333 @@
+// Visitor-facing languages. Keep the codes in sync with server/lib/languages.js.
+export const DEFAULT_LANGUAGE = 'en';
+
+export const LANGUAGES = [
+    { code: 'en', name: 'English' },
+    { code: 'it', name: 'Italiano' },
+    { code: 'fr', name: 'Français' },
+    { code: 'de', name: 'Deutsch' },
+    { code: 'es', name: 'Español' },
+    { code: 'zh', name: '中文' },
+    { code: 'ja', name: '日本語' }
+];
+
+const STRINGS = {
+    en: {
+        loading: 'Loading painting...',
+        language: 'Language',
+        start: 'Start Conversation',
+        choosePersona: 'Choose your guide',
+        connecting: 'Connecting to Expert...',
+        connected: 'Connected',
+        speakNow: 'Speak now or type below. The agent can see the painting.',
+        end: 'End Conversation',
+        shareTranscript: 'Share my conversation transcript with the museum to help improve the guide',
+        transcriptEmpty: 'The conversation will appear here.',
+        typePlaceholder: 'Type a question…',
+        typeDisabled: 'Start the conversation to type',
+        send: 'Send',
+        you: 'You',
+        guide: 'Guide',
+        archivedTitle: 'This painting is no longer on display.',
+        archivedBody: 'Thank you for visiting. Please ask a member of staff about other works in the collection.',
+        tourLoading: 'Loading exhibition...',
+        tourWorks: 'Works in this exhibition',
+        tourEmpty: 'There are no works in this exhibition yet.',
+        tourProgress: 'Painting {n} of {total}',
+        nextPainting: 'Next painting',
+        backToTour: 'Back to the tour',
+        closeZoom: 'Close',
+        relatedTitle: 'You might also look at',
+        talkAboutIt: 'Talk about this painting',
+        askAboutDetail: 'Tell me about this detail: {label}',
+        reconnecting: 'Connection lost, reconnecting…',
+        connectionLost: 'The connection was lost. Start again to continue.',
+        connectionFailed: 'Could not connect. Please try again.',
+        guideBusy: 'The guide is busy right now. Please try again in a few minutes.',
+        sessionTimeUp: 'This conversation has reached its time limit. Thank you for visiting!',
+        sessionEndingSoon: 'Less than a minute left in this conversation.',
+        suggestedQuestions: 'Try asking',
+        previewBanner: 'Preview of unpublished changes. Visitors still see the published version.',
+        provenance: 'Provenance',
+        yearBc: '{year} BC',
+        circaDate: 'c. {date}',
+        moreByArtist: 'More by {name} in the museum'
+    },
+    it: {
+        loading: 'Caricamento del dipinto...',
+        language: 'Lingua',
+        start: 'Inizia la conversazione',
+        choosePersona: 'Scegli la tua guida',
+        connecting: "Connessione con l'esperto...",
+        connected: 'Connesso',
+        speakNow: "Parla ora o scrivi qui sotto. La guida può vedere il dipinto.",
+        end: 'Termina la conversazione',
+        shareTranscript: 'Condividi la trascrizione della conversazione con il museo per migliorare la guida',
+        transcriptEmpty: 'La conversazione apparirà qui.',
+        typePlaceholder: 'Scrivi una domanda…',
+        typeDisabled: 'Inizia la conversazione per scrivere',
+        send: 'Invia',
+        you: 'Tu',
+        guide: 'Guida',
+        archivedTitle: 'Questo dipinto non è più esposto.',
+        archivedBody: 'Grazie per la visita. Chiedi al personale informazioni sulle altre opere della collezione.',
+        tourLoading: 'Caricamento della mostra...',
+        tourWorks: 'Opere in questa mostra',
+        tourEmpty: 'Questa mostra non contiene ancora opere.',
+        tourProgress: 'Dipinto {n} di {total}',
+        nextPainting: 'Dipinto successivo',
+        backToTour: 'Torna al percorso',
+        closeZoom: 'Chiudi',
+        relatedTitle: 'Potresti guardare anche',
+        talkAboutIt: 'Parla di questo dipinto',
+        askAboutDetail: 'Parlami di questo dettaglio: {label}',
+        reconnecting: 'Connessione persa, riconnessione in corso…',
+        connectionLost: 'La connessione è stata persa. Ricomincia per continuare.',
+        connectionFailed: 'Impossibile connettersi. Riprova.',
+        guideBusy: 'La guida è occupata in questo momento. Riprova tra qualche minuto.',
+        sessionTimeUp: 'Questa conversazione ha raggiunto il limite di tempo. Grazie della visita!',
+        sessionEndingSoon: 'Manca meno di un minuto alla fine della conversazione.',
+        suggestedQuestions: 'Prova a chiedere',
+        previewBanner: 'Anteprima delle modifiche non pubblicate. I visitatori vedono ancora la versione pubblicata.',
+        provenance: 'Provenienza',
+        yearBc: '{year} a.C.',
+        circaDate: 'ca. {date}',
+        moreByArtist: 'Altre opere di {name} nel museo'
+    },
+    fr: {
+        loading: 'Chargement du tableau...',
+        language: 'Langue',
+        start: 'Commencer la conversation',
+        choosePersona: 'Choisissez votre guide',
+        connecting: "Connexion à l'expert...",
+        connected: 'Connecté',
+        speakNow: 'Parlez maintenant ou écrivez ci-dessous. Le guide voit le tableau.',
+        end: 'Terminer la conversation',
+        shareTranscript: 'Partager la transcription avec le musée pour améliorer le guide',
+        transcriptEmpty: 'La conversation apparaîtra ici.',
+        typePlaceholder: 'Écrivez une question…',
+        typeDisabled: 'Commencez la conversation pour écrire',
+        send: 'Envoyer',
+        you: 'Vous',
+        guide: 'Guide',
+        archivedTitle: "Ce tableau n'est plus exposé.",
+        archivedBody: "Merci de votre visite. Renseignez-vous auprès du personnel sur les autres œuvres de la collection.",
+        tourLoading: "Chargement de l'exposition...",
+        tourWorks: 'Œuvres de cette exposition',
+        tourEmpty: "Cette exposition ne contient encore aucune œuvre.",
+        tourProgress: 'Tableau {n} sur {total}',
+        nextPainting: 'Tableau suivant',
+        backToTour: 'Retour au parcours',
+        closeZoom: 'Fermer',
+        relatedTitle: 'À voir aussi',
+        talkAboutIt: 'Parler de ce tableau',
+        askAboutDetail: 'Parle-moi de ce détail : {label}',
+        reconnecting: 'Connexion perdue, reconnexion en cours…',
+        connectionLost: 'La connexion a été perdue. Recommencez pour continuer.',
+        connectionFailed: 'Connexion impossible. Veuillez réessayer.',
+        guideBusy: 'Le guide est occupé pour le moment. Réessayez dans quelques minutes.',
+        sessionTimeUp: 'Cette conversation a atteint sa durée maximale. Merci de votre visite !',
+        sessionEndingSoon: 'Il reste moins d\'une minute dans cette conversation.',
+        suggestedQuestions: 'Essayez de demander',
+        previewBanner: 'Aperçu des modifications non publiées. Les visiteurs voient toujours la version publiée.',
+        provenance: 'Provenance',
+        yearBc: '{year} av. J.-C.',
+        circaDate: 'vers {date}',
+        moreByArtist: 'Autres œuvres de {name} au musée'
+    },
+    de: {
+        loading: 'Gemälde wird geladen...',
+        language: 'Sprache',
+        start: 'Gespräch beginnen',
+        choosePersona: 'Wählen Sie Ihren Guide',
+        connecting: 'Verbindung zum Experten...',
+        connected: 'Verbunden',
+        speakNow: 'Sprechen Sie jetzt oder schreiben Sie unten. Der Guide sieht das Gemälde.',
+        end: 'Gespräch beenden',
+        shareTranscript: 'Gesprächsprotokoll mit dem Museum teilen, um den Guide zu verbessern',
+        transcriptEmpty: 'Das Gespräch erscheint hier.',
+        typePlaceholder: 'Frage eingeben…',
+        typeDisabled: 'Starten Sie das Gespräch, um zu schreiben',
+        send: 'Senden',
+        you: 'Sie',
+        guide: 'Guide',
+        archivedTitle: 'Dieses Gemälde ist nicht mehr ausgestellt.',
+        archivedBody: 'Vielen Dank für Ihren Besuch. Fragen Sie unser Personal nach weiteren Werken der Sammlung.',
+        tourLoading: 'Ausstellung wird geladen...',
+        tourWorks: 'Werke in dieser Ausstellung',
+        tourEmpty: 'Diese Ausstellung enthält noch keine Werke.',
+        tourProgress: 'Gemälde {n} von {total}',
+        nextPainting: 'Nächstes Gemälde',
+        backToTour: 'Zurück zum Rundgang',
+        closeZoom: 'Schließen',
+        relatedTitle: 'Sehen Sie sich auch an',
+        talkAboutIt: 'Über dieses Gemälde sprechen',
+        askAboutDetail: 'Erzähl mir von diesem Detail: {label}',
+        reconnecting: 'Verbindung unterbrochen, neuer Verbindungsversuch…',
+        connectionLost: 'Die Verbindung wurde unterbrochen. Starte neu, um fortzufahren.',
+        connectionFailed: 'Verbindung fehlgeschlagen. Bitte versuche es erneut.',
+        guideBusy: 'Der Guide ist gerade beschäftigt. Bitte versuche es in ein paar Minuten erneut.',
+        sessionTimeUp: 'Dieses Gespräch hat sein Zeitlimit erreicht. Danke für deinen Besuch!',
+        sessionEndingSoon: 'Weniger als eine Minute bis zum Ende des Gesprächs.',
+        suggestedQuestions: 'Frag zum Beispiel',
+        previewBanner: 'Vorschau unveröffentlichter Änderungen. Besucher sehen weiterhin die veröffentlichte Version.',
+        provenance: 'Provenienz',
+        yearBc: '{year} v. Chr.',
+        circaDate: 'um {date}',
+        moreByArtist: 'Weitere Werke von {name} im Museum'
+    },
+    es: {
+        loading: 'Cargando la obra...',
+        language: 'Idioma',
+        start: 'Iniciar conversación',
+        choosePersona: 'Elige tu guía',
+        connecting: 'Conectando con el experto...',
+        connected: 'Conectado',
+        speakNow: 'Habla ahora o escribe abajo. El guía puede ver la obra.',
+        end: 'Terminar conversación',
+        shareTranscript: 'Compartir la transcripción con el museo para mejorar el guía',
+        transcriptEmpty: 'La conversación aparecerá aquí.',
+        typePlaceholder: 'Escribe una pregunta…',
+        typeDisabled: 'Inicia la conversación para escribir',
+        send: 'Enviar',
+        you: 'Tú',
+        guide: 'Guía',
+        archivedTitle: 'Esta obra ya no está expuesta.',
+        archivedBody: 'Gracias por tu visita. Pregunta al personal por otras obras de la colección.',
+        tourLoading: 'Cargando la exposición...',
+        tourWorks: 'Obras de esta exposición',
+        tourEmpty: 'Esta exposición aún no tiene obras.',
+        tourProgress: 'Obra {n} de {total}',
+        nextPainting: 'Siguiente obra',
+        backToTour: 'Volver al recorrido',
+        closeZoom: 'Cerrar',
+        relatedTitle: 'También te puede interesar',
+        talkAboutIt: 'Hablar de esta obra',
+        askAboutDetail: 'Háblame de este detalle: {label}',
+        reconnecting: 'Conexión perdida, reconectando…',
+        connectionLost: 'Se perdió la conexión. Empieza de nuevo para continuar.',
+        connectionFailed: 'No se pudo conectar. Inténtalo de nuevo.',
+        guideBusy: 'El guía está ocupado en este momento. Inténtalo de nuevo en unos minutos.',
+        sessionTimeUp: 'Esta conversación ha alcanzado su límite de tiempo. ¡Gracias por tu visita!',
+        sessionEndingSoon: 'Queda menos de un minuto de conversación.',
+        suggestedQuestions: 'Prueba a preguntar',
+        previewBanner: 'Vista previa de cambios sin publicar. Los visitantes siguen viendo la versión publicada.',
+        provenance: 'Procedencia',
+        yearBc: '{year} a. C.',
+        circaDate: 'c. {date}',
+        moreByArtist: 'Más obras de {name} en el museo'
+    },
+    zh: {
+        loading: '正在加载画作...',
+        language: '语言',
+        start: '开始对话',
+        choosePersona: '选择你的讲解员',
+        connecting: '正在连接讲解员...',
+        connected: '已连接',
+        speakNow: '请开始说话或在下方输入。讲解员可以看到这幅画。',
+        end: '结束对话',
+        shareTranscript: '与博物馆分享对话记录以帮助改进讲解',
+        transcriptEmpty: '对话内容将显示在这里。',
+        typePlaceholder: '输入问题…',
+        typeDisabled: '开始对话后即可输入',
+        send: '发送',
+        you: '你',
+        guide: '讲解员',
+        archivedTitle: '这幅画已不再展出。',
+        archivedBody: '感谢您的参观。请向工作人员咨询馆内其他作品。',
+        tourLoading: '正在加载展览...',
+        tourWorks: '本展览的作品',
+        tourEmpty: '本展览暂无作品。',
+        tourProgress: '第 {n} 幅，共 {total} 幅',
+        nextPainting: '下一幅画',
+        backToTour: '返回展览导览',
+        closeZoom: '关闭',
+        relatedTitle: '你也可以看看',
+        talkAboutIt: '聊聊这幅画',
+        askAboutDetail: '请介绍一下这个细节：{label}',
+        reconnecting: '连接中断，正在重新连接…',
+        connectionLost: '连接已中断。请重新开始以继续。',
+        connectionFailed: '无法连接，请重试。',
+        guideBusy: '导览目前繁忙，请几分钟后再试。',
+        sessionTimeUp: '本次对话已达到时间上限。感谢您的参观！',
+        sessionEndingSoon: '本次对话剩余不到一分钟。',
+        suggestedQuestions: '试着问问',
+        previewBanner: '未发布更改的预览。访客看到的仍是已发布的版本。',
+        provenance: '来源',
+        yearBc: '公元前{year}年',
+        circaDate: '约{date}',
+        moreByArtist: '馆内{name}的其他作品'
+    },
+    ja: {
+        loading: '作品を読み込み中...',
+        language: '言語',
+        start: '会話を始める',
+        choosePersona: 'ガイドを選んでください',
+        connecting: 'ガイドに接続中...',
+        connected: '接続しました',
+        speakNow: '話しかけるか、下に入力してください。ガイドは作品を見ています。',
+        end: '会話を終了',
+        shareTranscript: 'ガイド改善のため、会話の記録を美術館と共有する',
+        transcriptEmpty: 'ここに会話が表示されます。',
+        typePlaceholder: '質問を入力…',
+        typeDisabled: '会話を始めると入力できます',
+        send: '送信',
+        you: 'あなた',
+        guide: 'ガイド',
+        archivedTitle: 'この作品は現在展示されていません。',
+        archivedBody: 'ご来館ありがとうございます。他の所蔵作品についてはスタッフにお尋ねください。',
+        tourLoading: '展覧会を読み込み中...',
+        tourWorks: 'この展覧会の作品',
+        tourEmpty: 'この展覧会にはまだ作品がありません。',
+        tourProgress: '{total} 点中 {n} 点目',
+        nextPainting: '次の作品',
+        backToTour: 'ツアーに戻る',
+        closeZoom: '閉じる',
+        relatedTitle: 'こちらもおすすめ',
+        talkAboutIt: 'この作品について話す',
+        askAboutDetail: 'この部分について教えてください：{label}',
+        reconnecting: '接続が切れました。再接続しています…',
+        connectionLost: '接続が切れました。続けるにはもう一度開始してください。',
+        connectionFailed: '接続できませんでした。もう一度お試しください。',
+        guideBusy: 'ガイドは現在混み合っています。数分後にもう一度お試しください。',
+        sessionTimeUp: 'この会話は時間の上限に達しました。ご来館ありがとうございました！',
+        sessionEndingSoon: '会話の残り時間は1分未満です。',
+        suggestedQuestions: 'こんな質問をしてみましょう',
+        previewBanner: '未公開の変更のプレビューです。来館者には公開中の版が表示されます。',
+        provenance: '来歴',
+        yearBc: '紀元前{year}年',
+        circaDate: '{date}頃',
+        moreByArtist: '館内の{name}のほかの作品'
+    }
+};
+
+// Accepts "it", "it-IT" or "IT"; returns null when we don't support it.
+export const matchLanguage = (code) => {
+    const base = String(code || '').toLowerCase().split('-')[0];
+    return STRINGS[base] ? base : null;
+};
+
+// ?lang= wins, then the browser language, then English
+export const detectLanguage = (queryLang) =>
+    matchLanguage(queryLang) || matchLanguage(navigator.language) || DEFAULT_LANGUAGE;
+
+export const translate = (lang, key) => (STRINGS[lang] && STRINGS[lang][key]) || STRINGS[DEFAULT_LANGUAGE][key] || key;
+
+// Fills {name} slots, e.g. format('Painting {n} of {total}', { n: 2, total: 5 })
+export const format = (text, values) => text.replace(/\{(\w+)\}/g, (match, name) => (values[name] !== undefined ? values[name] : match));
+
+// Curator-provided translations override the default-language title/description/facts
+export const localizePainting = (painting, lang) => {
+    const translation = painting && painting.translations && painting.translations[lang];
+    if (!translation) return painting;
+    return {
+        ...painting,
+        title: translation.title || painting.title,
+        description: translation.description || painting.description,
+        facts: translation.facts || painting.facts,
+        openingLine: translation.openingLine || painting.openingLine,
+        suggestedQuestions: translation.suggestedQuestions && translation.suggestedQuestions.length > 0
+            ? translation.suggestedQuestions
+            : painting.suggestedQuestions
+    };
+};
@@ -0,0 +1,4 @@
+// Server-generated image sizes (see server/lib/images.js). Paintings saved before
+// the variants existed only have imageUrl, so fall back to the original.
+export const paintingImage = (painting, variant) =>
+    (painting.images && painting.images[variant]) || painting.imageUrl;
@@ -0,0 +1,43 @@
+import { apiFetch } from './api';
+
+// Wall labels rendered by the server (GET /api/labels, /api/paintings/:id/label).
+
+const fetchLabelBlob = async (path) => {
+    const res = await apiFetch(path);
+    if (!res.ok) {
+        const json = await res.json().catch(() => ({}));
+        throw new Error(json.error || 'Failed to render labels');
+    }
+    return { blob: await res.blob(), pages: Number(res.headers.get('X-Page-Count')) || 1 };
+};
+
+export const download = (blob, filename) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+};
+
+// PDFs open in a new tab ready to print; SVGs are downloaded, one file per sheet page.
+// The tab is opened before the request so popup blockers allow it.
+export const printLabels = async (path, { format, filename }) => {
+    const win = format === 'pdf' ? window.open('', '_blank') : null;
+    try {
+        const { blob, pages } = await fetchLabelBlob(path);
+        if (format === 'pdf') {
+            if (win) win.location = URL.createObjectURL(blob);
+            else download(blob, `${filename}.pdf`);
+            return;
+        }
+        download(blob, pages > 1 ? `${filename}-page-1.svg` : `${filename}.svg`);
+        for (let page = 2; page <= pages; page++) {
+            const next = await fetchLabelBlob(`${path}&page=${page}`);
+            download(next.blob, `${filename}-page-${page}.svg`);
+        }
+    } catch (err) {
+        if (win) win.close();
+        alert(err.message);
+    }
+};
@@ -0,0 +1,84 @@
+import { format } from './i18n';
+
+// painting.metadata, the structured catalogue details (see server/lib/metadata.js):
+// { artist, dateFrom, dateTo, circa, medium, dimensions: { height, width, depth, unit },
+//   location, provenance, creditLine, tags }. Years are negative for BC.
+
+export const DIMENSION_UNITS = ['cm', 'mm', 'm', 'in'];
+
+// The Admin form keeps numbers and tags as typed; these convert to and from it
+export const metadataForm = (metadata) => {
+    const m = metadata || {};
+    const dimensions = m.dimensions || {};
+    return {
+        artist: m.artist || '',
+        dateFrom: m.dateFrom ? String(m.dateFrom) : '',
+        dateTo: m.dateTo ? String(m.dateTo) : '',
+        circa: Boolean(m.circa),
+        medium: m.medium || '',
+        height: dimensions.height ? String(dimensions.height) : '',
+        width: dimensions.width ? String(dimensions.width) : '',
+        depth: dimensions.depth ? String(dimensions.depth) : '',
+        unit: dimensions.unit || 'cm',
+        location: m.location || '',
+        provenance: m.provenance || '',
+        creditLine: m.creditLine || '',
+        tags: (m.tags || []).join(', ')
+    };
+};
+
+const number = (value) => (value.trim() ? Number(value) : null);
+
+export const metadataFromForm = (form) => ({
+    artist: form.artist,
+    dateFrom: number(form.dateFrom),
+    dateTo: number(form.dateTo),
+    circa: form.circa,
+    medium: form.medium,
+    dimensions: { height: number(form.height), width: number(form.width), depth: number(form.depth), unit: form.unit },
+    location: form.location,
+    provenance: form.provenance,
+    creditLine: form.creditLine,
+    tags: form.tags.split(',')
+});
+
+const isYear = (value) => Number.isInteger(value) && value !== 0 && value <= new Date().getFullYear();
+const isLength = (value) => Number.isFinite(value) && value > 0;
+
+// The same rules the server applies, so mistakes show before saving: { field: message }
+export const metadataErrors = (form) => {
+    const errors = {};
+    const dateFrom = number(form.dateFrom);
+    const dateTo = number(form.dateTo);
+    if (dateFrom !== null && !isYear(dateFrom)) errors.dateFrom = 'Enter a year, negative for BC';
+    if (dateTo !== null && !isYear(dateTo)) errors.dateTo = 'Enter a year, negative for BC';
+    else if (dateTo !== null && dateFrom === null) errors.dateTo = 'Enter the start year too';
+    else if (dateTo !== null && dateTo < dateFrom) errors.dateTo = 'Cannot be before the start year';
+
+    ['height', 'width', 'depth'].forEach(key => {
+        const value = number(form[key]);
+        if (value !== null && !isLength(value)) errors[key] = 'Must be a positive number';
+    });
+    if (!errors.height && !errors.width && (form.height.trim() || form.width.trim() || form.depth.trim())) {
+        if (!form.height.trim()) errors.height = 'Height and width go together';
+        if (!form.width.trim()) errors.width = 'Height and width go together';
+    }
+
+    const tags = form.tags.split(',').map(tag => tag.trim()).filter(Boolean);
+    if (tags.length > 20) errors.tags = 'At most 20 tags';
+    else if (tags.some(tag => tag.length > 40)) errors.tags = 'Tags can be at most 40 characters';
+    return errors;
+};
+
+const formatYear = (year, t) => (year < 0 ? format(t('yearBc'), { year: -year }) : String(year));
+
+// e.g. "c. 1503–1519"; t is the Visitor page's translate function
+export const formatDate = ({ dateFrom, dateTo, circa }, t) => {
+    if (!dateFrom) return '';
+    const range = dateTo ? `${formatYear(dateFrom, t)}–${formatYear(dateTo, t)}` : formatYear(dateFrom, t);
+    return circa ? format(t('circaDate'), { date: range }) : range;
+};
+
+// e.g. "77 × 53 cm"
+export const formatDimensions = ({ height, width, depth, unit }) =>
+    `${[height, width, depth].filter(Boolean).join(' × ')} ${unit}`;
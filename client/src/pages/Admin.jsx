@@ -1,7 +1,83 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { apiFetch, getStoredUser, clearSession } from '../api';
+import Login from './Login';
+import UsersPanel from '../components/UsersPanel';
+import AnalyticsPanel from '../components/AnalyticsPanel';
+import TranslationsEditor from '../components/TranslationsEditor';
+import HotspotEditor from '../components/HotspotEditor';
+import VoiceSettingsEditor from '../components/VoiceSettingsEditor';
+import TemplatesPanel from '../components/TemplatesPanel';
+import PersonasPanel from '../components/PersonasPanel';
+import ExhibitionsPanel from '../components/ExhibitionsPanel';
+import ArtistsPanel from '../components/ArtistsPanel';
+import LabelPrintPanel from '../components/LabelPrintPanel';
+import LimitsPanel from '../components/LimitsPanel';
+import CataloguePanel from '../components/CataloguePanel';
+import RevisionHistory from '../components/RevisionHistory';
+import MetadataEditor from '../components/MetadataEditor';
+import { printLabels } from '../labels';
+import { paintingImage } from '../images';
+import { metadataForm, metadataFromForm, metadataErrors } from '../metadata';
 
 export default function Admin() {
-    const [activeTab, setActiveTab] = useState('create'); // 'create' | 'manage'
+    const [user, setUser] = useState(getStoredUser);
+
+    // apiFetch fires this when the server rejects our token
+    useEffect(() => {
+        const handleLogout = () => setUser(null);
+        window.addEventListener('auth:logout', handleLogout);
+        return () => window.removeEventListener('auth:logout', handleLogout);
+    }, []);
+
+    const logout = () => {
+        clearSession();
+        setUser(null);
+    };
+
+    if (!user) return <Login onLogin={setUser} />;
+
+    return <Dashboard user={user} onLogout={logout} />;
+}
+
+// The visitor page with a draft's preview token, for a full painting record (list entries come with previewUrl)
+const previewUrl = (painting) => `${painting.visitorUrl}&preview=${painting.previewToken}`;
+
+// What the Manage Agents grid shows; facts, translations, the QR code and drafts stay on the
+// server, which sums a draft up as hasDraft, draftSavedAt, draftSavedBy and previewUrl
+const LIST_FIELDS = 'title,slug,imageUrl,images,archived,hasDraft,draftSavedAt,draftSavedBy,previewUrl,visitorUrl,createdAt,updatedAt';
+const PAGE_SIZE = 24;
+
+const STATUS_FILTERS = [
+    { value: 'active', label: 'On display' },
+    { value: 'draft', label: 'Unpublished changes' },
+    { value: 'archived', label: 'Archived' },
+    { value: 'all', label: 'All' }
+];
+
+// value is "sort:order" for GET /api/paintings
+const SORT_OPTIONS = [
+    { value: 'created:desc', label: 'Newest first' },
+    { value: 'created:asc', label: 'Oldest first' },
+    { value: 'updated:desc', label: 'Recently edited' },
+    { value: 'title:asc', label: 'Title A–Z' }
+];
+
+function Dashboard({ user, onLogout }) {
+    const isCurator = user.role === 'curator';
+    const [activeTab, setActiveTab] = useState(isCurator ? 'create' : 'manage');
+
+    const tabs = [
+        isCurator && { id: 'create', label: 'Create / Edit' },
+        { id: 'manage', label: 'Manage Agents' },
+        { id: 'exhibitions', label: 'Exhibitions' },
+        { id: 'artists', label: 'Artists' },
+        { id: 'templates', label: 'Templates' },
+        { id: 'personas', label: 'Personas' },
+        { id: 'analytics', label: 'Analytics' },
+        { id: 'limits', label: 'Limits' },
+        { id: 'catalogue', label: 'Import / Export' },
+        isCurator && { id: 'users', label: 'Users' }
+    ].filter(Boolean);
     const [paintings, setPaintings] = useState([]);
 
     // Form State
@@ -10,40 +86,172 @@ export default function Admin() {
         title: '',
         slug: '',
         description: '',
-        facts: ''
+        facts: '',
+        translations: {},
+        templateId: '',
+        personaIds: null, // null = every persona enabled
+        hotspots: [],
+        voiceSettings: {},
+        openingLine: '',
+        suggestedQuestions: [],
+        metadata: metadataForm(null),
+        artistId: ''
     });
+    const [editingImageUrl, setEditingImageUrl] = useState(null);
+    const [templates, setTemplates] = useState([]);
+    const [personas, setPersonas] = useState([]);
+    const [artists, setArtists] = useState([]);
+    const [voiceOptions, setVoiceOptions] = useState(null);
     const [file, setFile] = useState(null);
     const [result, setResult] = useState(null); // Success screen data
     const [loading, setLoading] = useState(false);
 
-    // Database View State
-    const [showDatabase, setShowDatabase] = useState(false);
+    const [search, setSearch] = useState('');
+    const [statusFilter, setStatusFilter] = useState('active');
+    const [sortOption, setSortOption] = useState(SORT_OPTIONS[0].value);
+    const [page, setPage] = useState(1);
+    const [totalPaintings, setTotalPaintings] = useState(0);
+    const [selectedIds, setSelectedIds] = useState([]); // paintings picked for a label sheet
+    const [historyFor, setHistoryFor] = useState(null); // painting whose edit history is open
+    const [editingDraft, setEditingDraft] = useState(null); // { savedAt, savedBy } when the edit started from a draft
+
+    const fetchPaintings = useCallback(async () => {
+        try {
+            const [sort, order] = sortOption.split(':');
+            const query = new URLSearchParams({ q: search, status: statusFilter, sort, order, page, limit: PAGE_SIZE, fields: LIST_FIELDS });
+            const res = await apiFetch(`/api/paintings?${query}`);
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error);
+            const total = Number(res.headers.get('X-Total-Count')) || 0;
+            // The last painting on this page was archived or deleted
+            if (data.length === 0 && page > 1 && total > 0) return setPage(Math.ceil(total / PAGE_SIZE));
+            setPaintings(data);
+            setTotalPaintings(total);
+        } catch (err) {
+            console.error('Failed to fetch paintings', err);
+        }
+    }, [search, statusFilter, sortOption, page]);
 
     useEffect(() => {
-        if (activeTab === 'manage') {
+        if (activeTab !== 'manage') return;
+        // Wait for a pause in typing before searching
+        const timer = setTimeout(fetchPaintings, 250);
+        return () => clearTimeout(timer);
+    }, [activeTab, fetchPaintings]);
+
+    const pageCount = Math.max(1, Math.ceil(totalPaintings / PAGE_SIZE));
+
+    // Changing what is listed starts again from the first page
+    const updateListing = (setter) => (e) => {
+        setter(e.target.value);
+        setPage(1);
+    };
+
+    useEffect(() => {
+        if (activeTab !== 'create' || !isCurator) return;
+        apiFetch('/api/templates')
+            .then(res => res.json())
+            .then(json => setTemplates(json.templates || []))
+            .catch(err => console.error('Failed to fetch templates', err));
+        apiFetch('/api/personas')
+            .then(res => res.json())
+            .then(json => setPersonas(json.personas || []))
+            .catch(err => console.error('Failed to fetch personas', err));
+        apiFetch('/api/artists')
+            .then(res => res.json())
+            .then(setArtists)
+            .catch(err => console.error('Failed to fetch artists', err));
+        apiFetch('/api/voice-options')
+            .then(res => res.json())
+            .then(setVoiceOptions)
+            .catch(err => console.error('Failed to fetch voice options', err));
+    }, [activeTab, isCurator]);
+
+    const handleArchive = async (painting) => {
+        const action = painting.archived ? 'unarchive' : 'archive';
+        try {
+            const res = await apiFetch(`/api/paintings/${painting.id}/${action}`, { method: 'POST' });
+            if (!res.ok) throw new Error(`Failed to ${action}`);
             fetchPaintings();
+        } catch (err) {
+            console.error(err);
+            alert('Operation failed');
         }
-    }, [activeTab]);
+    };
 
-    const fetchPaintings = async () => {
+    const handleDelete = async (painting) => {
+        if (!window.confirm(`Permanently delete "${painting.title}"? Its QR code will stop working and the image will be removed.`)) return;
         try {
-            const res = await fetch(`${import.meta.env.VITE_API_URL}/api/paintings`);
-            const data = await res.json();
-            setPaintings(data);
+            const res = await apiFetch(`/api/paintings/${painting.id}`, { method: 'DELETE' });
+            if (!res.ok) throw new Error('Delete failed');
+            fetchPaintings();
         } catch (err) {
-            console.error('Failed to fetch paintings', err);
+            console.error(err);
+            alert('Delete failed');
+        }
+    };
+
+    const handlePublish = async (painting) => {
+        if (!window.confirm(`Publish the changes to "${painting.title}"? Visitors will get them straight away.`)) return;
+        try {
+            const res = await apiFetch(`/api/paintings/${painting.id}/publish`, { method: 'POST' });
+            const json = await res.json();
+            if (!res.ok) throw new Error(json.error || 'Publish failed');
+            fetchPaintings();
+        } catch (err) {
+            alert(err.message);
         }
     };
 
-    const handleEdit = (painting) => {
+    const handleDiscardDraft = async (painting) => {
+        if (!window.confirm(`Discard the unpublished changes to "${painting.title}"? Its preview link will stop working.`)) return;
+        try {
+            const res = await apiFetch(`/api/paintings/${painting.id}/draft`, { method: 'DELETE' });
+            const json = await res.json();
+            if (!res.ok) throw new Error(json.error || 'Discard failed');
+            fetchPaintings();
+        } catch (err) {
+            alert(err.message);
+        }
+    };
+
+    const toggleSelected = (id) => {
+        setSelectedIds(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]));
+    };
+
+    const handleEdit = async (listed) => {
+        // The grid only has the listed fields; load the whole painting for the form
+        let stored;
+        try {
+            const res = await apiFetch(`/api/paintings?ids=${encodeURIComponent(listed.id)}&status=all`);
+            const json = await res.json();
+            if (!res.ok || !json[0]) throw new Error(json.error || 'Painting not found');
+            stored = json[0];
+        } catch (err) {
+            alert(`Could not open "${listed.title}": ${err.message}`);
+            return;
+        }
+        // Unpublished changes are what the curator carries on editing
+        const painting = stored.draft ? { ...stored, ...stored.draft.content } : stored;
         setActiveTab('create');
         setEditingId(painting.id);
+        setEditingDraft(stored.draft || null);
         setFormData({
             title: painting.title,
             slug: painting.slug || '',
             description: painting.description,
-            facts: painting.facts
+            facts: painting.facts,
+            translations: painting.translations || {},
+            templateId: painting.templateId || '',
+            personaIds: painting.personaIds || null,
+            hotspots: painting.hotspots || [],
+            voiceSettings: painting.voiceSettings || {},
+            openingLine: painting.openingLine || '',
+            suggestedQuestions: painting.suggestedQuestions || [],
+            metadata: metadataForm(painting.metadata),
+            artistId: painting.artistId || ''
         });
+        setEditingImageUrl(paintingImage(painting, 'display'));
         setResult(null);
         setFile(null); // Reset file input as we might not want to change it
     };
@@ -51,17 +259,33 @@ export default function Admin() {
     const handleCreateNew = () => {
         setActiveTab('create');
         setEditingId(null);
-        setFormData({ title: '', slug: '', description: '', facts: '' });
+        setEditingDraft(null);
+        setFormData({ title: '', slug: '', description: '', facts: '', translations: {}, templateId: '', personaIds: null, hotspots: [], voiceSettings: {}, openingLine: '', suggestedQuestions: [], metadata: metadataForm(null), artistId: '' });
+        setEditingImageUrl(null);
         setFile(null);
         setResult(null);
     };
 
+    const enabledPersonaIds = formData.personaIds || personas.map(p => p.id);
+    const formErrors = metadataErrors(formData.metadata);
+
+    const togglePersona = (id) => {
+        const next = enabledPersonaIds.includes(id)
+            ? enabledPersonaIds.filter(p => p !== id)
+            : [...enabledPersonaIds, id];
+        if (next.length === 0) return alert('At least one persona must stay enabled');
+        setFormData({ ...formData, personaIds: next });
+    };
+
     const handleSubmit = async (e) => {
         e.preventDefault();
+        // "Save draft" keeps the changes from visitors until they are published
+        const asDraft = Boolean(editingId) && e.nativeEvent.submitter?.value === 'draft';
 
         // Validation
         if (!editingId && (!file || !formData.title)) return alert('Please provide image and title');
         if (editingId && !formData.title) return alert('Title is required');
+        if (Object.keys(formErrors).length > 0) return alert('Please correct the catalogue details');
 
         setLoading(true);
         const data = new FormData();
@@ -70,30 +294,37 @@ export default function Admin() {
         if (formData.slug) data.append('slug', formData.slug);
         data.append('description', formData.description);
         data.append('facts', formData.facts);
+        data.append('translations', JSON.stringify(formData.translations));
+        data.append('templateId', formData.templateId);
+        if (formData.personaIds) data.append('personaIds', JSON.stringify(formData.personaIds));
+        data.append('hotspots', JSON.stringify(formData.hotspots));
+        data.append('voiceSettings', JSON.stringify(formData.voiceSettings));
+        data.append('openingLine', formData.openingLine);
+        data.append('suggestedQuestions', JSON.stringify(formData.suggestedQuestions));
+        data.append('metadata', JSON.stringify(metadataFromForm(formData.metadata)));
+        data.append('artistId', formData.artistId);
 
         try {
-            const url = editingId
-                ? `${import.meta.env.VITE_API_URL}/api/paintings/${editingId}`
-                : `${import.meta.env.VITE_API_URL}/api/paintings`;
+            const url = editingId ? `/api/paintings/${editingId}${asDraft ? '?draft=true' : ''}` : '/api/paintings';
 
             const method = editingId ? 'PUT' : 'POST';
 
-            const res = await fetch(url, {
+            const res = await apiFetch(url, {
                 method: method,
                 body: data
             });
 
-            if (!res.ok) throw new Error('Upload/Update failed');
-
             const json = await res.json();
-            setResult(json);
+            // Rejected images (wrong type, too small, too large) come back with a reason
+            if (!res.ok) throw new Error(json.error || 'Upload/Update failed');
+            setResult({ ...json, savedAsDraft: asDraft });
 
             // If we were editing, refresh the list if we go back to manage
             if (activeTab === 'manage') fetchPaintings();
 
         } catch (err) {
             console.error(err);
-            alert('Operation failed');
+            alert(`Operation failed: ${err.message}`);
         } finally {
             setLoading(false);
         }
@@ -102,73 +333,154 @@ export default function Admin() {
     return (
         <div style={{ maxWidth: '800px', margin: '0 auto', padding: '20px', fontFamily: 'sans-serif' }}>
             <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
-                <h1>Admin Dashboard</h1>
                 <div>
-                    <button
-                        onClick={() => setShowDatabase(!showDatabase)}
-                        style={{ marginRight: '10px', padding: '8px 12px', background: '#6c757d', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}
-                    >
-                        {showDatabase ? 'Hide Database' : 'View Database'}
-                    </button>
-                    <button
-                        onClick={() => setActiveTab('create')}
-                        style={{
-                            padding: '8px 12px',
-                            background: activeTab === 'create' ? '#007bff' : '#eee',
-                            color: activeTab === 'create' ? 'white' : 'black',
-                            border: 'none', borderRadius: '4px 0 0 4px', cursor: 'pointer'
-                        }}
-                    >
-                        Create / Edit
-                    </button>
-                    <button
-                        onClick={() => setActiveTab('manage')}
-                        style={{
-                            padding: '8px 12px',
-                            background: activeTab === 'manage' ? '#007bff' : '#eee',
-                            color: activeTab === 'manage' ? 'white' : 'black',
-                            border: 'none', borderRadius: '0 4px 4px 0', cursor: 'pointer'
-                        }}
-                    >
-                        Manage Agents
-                    </button>
+                    <h1 style={{ marginBottom: '5px' }}>Admin Dashboard</h1>
+                    <p style={{ margin: 0, fontSize: '14px', color: '#666' }}>
+                        Signed in as <b>{user.username}</b> ({user.role}) · <button onClick={onLogout} style={{ padding: 0, background: 'none', border: 'none', color: '#007bff', cursor: 'pointer', fontSize: '14px' }}>Log out</button>
+                    </p>
                 </div>
-            </div>
-
-            {showDatabase && (
-                <div style={{ marginBottom: '20px', background: '#f8f9fa', padding: '15px', borderRadius: '8px', border: '1px solid #ddd' }}>
-                    <h3>Raw Database View</h3>
-                    <textarea
-                        readOnly
-                        style={{ width: '100%', height: '300px', fontFamily: 'monospace', fontSize: '12px' }}
-                        value={JSON.stringify(paintings, null, 2)}
-                    />
-                    <button onClick={fetchPaintings} style={{ marginTop: '10px', padding: '5px 10px' }}>Refresh Data</button>
+                <div>
+                    {tabs.map((tab, i) => (
+                        <button
+                            key={tab.id}
+                            onClick={() => setActiveTab(tab.id)}
+                            style={{
+                                padding: '8px 12px',
+                                background: activeTab === tab.id ? '#007bff' : '#eee',
+                                color: activeTab === tab.id ? 'white' : 'black',
+                                border: 'none',
+                                borderRadius: i === 0 ? '4px 0 0 4px' : (i === tabs.length - 1 ? '0 4px 4px 0' : '0'),
+                                cursor: 'pointer'
+                            }}
+                        >
+                            {tab.label}
+                        </button>
+                    ))}
                 </div>
-            )}
+            </div>
 
             {activeTab === 'manage' && (
                 <div>
                     <h2>Existing Agents</h2>
+                    <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap', marginBottom: '15px' }}>
+                        <input
+                            type="search"
+                            value={search}
+                            onChange={updateListing(setSearch)}
+                            placeholder="Search title, slug or facts"
+                            style={{ flex: 1, minWidth: '200px', padding: '8px', border: '1px solid #ddd', borderRadius: '4px' }}
+                        />
+                        <select value={statusFilter} onChange={updateListing(setStatusFilter)} style={{ padding: '8px' }}>
+                            {STATUS_FILTERS.map(f => <option key={f.value} value={f.value}>{f.label}</option>)}
+                        </select>
+                        <select value={sortOption} onChange={updateListing(setSortOption)} style={{ padding: '8px' }}>
+                            {SORT_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+                        </select>
+                    </div>
+                    <LabelPrintPanel selectedIds={selectedIds} onClearSelection={() => setSelectedIds([])} />
+                    {historyFor && (
+                        <RevisionHistory
+                            key={historyFor.id}
+                            painting={historyFor}
+                            canRestore={isCurator}
+                            onClose={() => setHistoryFor(null)}
+                            onRestored={fetchPaintings}
+                        />
+                    )}
                     <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(200px, 1fr))', gap: '20px' }}>
                         {paintings.map(p => (
-                            <div key={p.id} style={{ border: '1px solid #ddd', borderRadius: '8px', padding: '10px', textAlign: 'center' }}>
-                                <img src={p.imageUrl} alt={p.title} style={{ width: '100%', height: '150px', objectFit: 'cover', borderRadius: '4px' }} />
+                            <div key={p.id} style={{ border: '1px solid #ddd', borderRadius: '8px', padding: '10px', textAlign: 'center', opacity: p.archived ? 0.6 : 1 }}>
+                                <label style={{ display: 'block', textAlign: 'left', fontSize: '12px', marginBottom: '5px' }}>
+                                    <input
+                                        type="checkbox"
+                                        checked={selectedIds.includes(p.id)}
+                                        onChange={() => toggleSelected(p.id)}
+                                        style={{ marginRight: '5px' }}
+                                    />
+                                    Select for labels
+                                </label>
+                                <img src={paintingImage(p, 'thumbnail')} alt={p.title} style={{ width: '100%', height: '150px', objectFit: 'cover', borderRadius: '4px' }} />
                                 <h3 style={{ margin: '10px 0', fontSize: '16px' }}>{p.title}</h3>
                                 <p style={{ fontSize: '12px', color: '#666' }}>Slug: {p.slug || '-'}</p>
-                                <button
-                                    onClick={() => handleEdit(p)}
-                                    style={{ padding: '5px 15px', background: '#28a745', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}
-                                >
-                                    Edit
-                                </button>
+                                {p.archived && <p style={{ fontSize: '12px', color: '#dc3545', fontWeight: 'bold' }}>Archived</p>}
+                                {p.hasDraft && (
+                                    <div style={{ fontSize: '12px', background: '#fff3cd', border: '1px solid #ffc107', borderRadius: '4px', padding: '5px', marginBottom: '8px' }}>
+                                        <b>Unpublished changes</b>
+                                        <div style={{ color: '#666' }}>Saved {new Date(p.draftSavedAt).toLocaleString()} by {p.draftSavedBy}</div>
+                                        <a href={p.previewUrl} target="_blank" rel="noreferrer" style={{ color: '#007bff' }}>Preview ↗</a>
+                                        {isCurator && (
+                                            <>
+                                                {' · '}
+                                                <button onClick={() => handlePublish(p)} style={{ padding: 0, background: 'none', border: 'none', color: '#28a745', cursor: 'pointer', fontSize: '12px', fontWeight: 'bold' }}>Publish</button>
+                                                {' · '}
+                                                <button onClick={() => handleDiscardDraft(p)} style={{ padding: 0, background: 'none', border: 'none', color: '#dc3545', cursor: 'pointer', fontSize: '12px' }}>Discard</button>
+                                            </>
+                                        )}
+                                    </div>
+                                )}
+                                <div style={{ fontSize: '12px', marginBottom: '8px' }}>
+                                    Label:{' '}
+                                    <button onClick={() => printLabels(`/api/paintings/${p.id}/label?format=pdf`, { format: 'pdf', filename: `label-${p.slug || p.id}` })} style={{ padding: 0, background: 'none', border: 'none', color: '#007bff', cursor: 'pointer', fontSize: '12px' }}>PDF</button>
+                                    {' · '}
+                                    <button onClick={() => printLabels(`/api/paintings/${p.id}/label?format=svg`, { format: 'svg', filename: `label-${p.slug || p.id}` })} style={{ padding: 0, background: 'none', border: 'none', color: '#007bff', cursor: 'pointer', fontSize: '12px' }}>SVG</button>
+                                    {' · '}
+                                    <button onClick={() => setHistoryFor(p)} style={{ padding: 0, background: 'none', border: 'none', color: '#007bff', cursor: 'pointer', fontSize: '12px' }}>History</button>
+                                </div>
+                                {isCurator && (
+                                    <div style={{ display: 'flex', gap: '5px', justifyContent: 'center', flexWrap: 'wrap' }}>
+                                        <button
+                                            onClick={() => handleEdit(p)}
+                                            style={{ padding: '5px 15px', background: '#28a745', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}
+                                        >
+                                            Edit
+                                        </button>
+                                        <button
+                                            onClick={() => handleArchive(p)}
+                                            style={{ padding: '5px 15px', background: '#ffc107', color: 'black', border: 'none', borderRadius: '4px', cursor: 'pointer' }}
+                                        >
+                                            {p.archived ? 'Restore' : 'Archive'}
+                                        </button>
+                                        <button
+                                            onClick={() => handleDelete(p)}
+                                            style={{ padding: '5px 15px', background: '#dc3545', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}
+                                        >
+                                            Delete
+                                        </button>
+                                    </div>
+                                )}
                             </div>
                         ))}
                     </div>
+                    {paintings.length === 0 && (
+                        <p style={{ fontSize: '14px', color: '#666' }}>No paintings match.</p>
+                    )}
+                    {totalPaintings > PAGE_SIZE && (
+                        <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: '15px', marginTop: '20px', fontSize: '14px' }}>
+                            <button onClick={() => setPage(page - 1)} disabled={page <= 1} style={{ padding: '5px 15px', cursor: 'pointer' }}>Previous</button>
+                            <span>Page {page} of {pageCount} ({totalPaintings} paintings)</span>
+                            <button onClick={() => setPage(page + 1)} disabled={page >= pageCount} style={{ padding: '5px 15px', cursor: 'pointer' }}>Next</button>
+                        </div>
+                    )}
                 </div>
             )}
 
-            {activeTab === 'create' && (
+            {activeTab === 'exhibitions' && <ExhibitionsPanel canEdit={isCurator} />}
+
+            {activeTab === 'artists' && <ArtistsPanel canEdit={isCurator} />}
+
+            {activeTab === 'templates' && <TemplatesPanel canEdit={isCurator} />}
+
+            {activeTab === 'personas' && <PersonasPanel canEdit={isCurator} />}
+
+            {activeTab === 'analytics' && <AnalyticsPanel />}
+
+            {activeTab === 'limits' && <LimitsPanel canEdit={isCurator} />}
+
+            {activeTab === 'catalogue' && <CataloguePanel canEdit={isCurator} />}
+
+            {activeTab === 'users' && isCurator && <UsersPanel currentUser={user} />}
+
+            {activeTab === 'create' && isCurator && (
                 <div>
                     <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
                         <h2>{editingId ? 'Edit Agent' : 'Create New Agent'}</h2>
@@ -179,9 +491,10 @@ export default function Admin() {
                         <form onSubmit={handleSubmit} style={{ display: 'flex', flexDirection: 'column', gap: '15px', background: '#f9f9f9', padding: '20px', borderRadius: '8px' }}>
                             <div>
                                 <label style={{ display: 'block', marginBottom: '5px' }}>Painting Image {editingId && '(Leave empty to keep current)'}:</label>
+                                <p style={{ margin: '0 0 5px', fontSize: '12px', color: '#666' }}>JPEG, PNG, WebP or TIFF, at least 200px on the shorter side.</p>
                                 <input
                                     type="file"
-                                    accept="image/*"
+                                    accept="image/jpeg,image/png,image/webp,image/tiff"
                                     onChange={e => setFile(e.target.files[0])}
                                     required={!editingId}
                                 />
@@ -219,20 +532,125 @@ export default function Admin() {
                                 style={{ padding: '10px', border: '1px solid #ddd', borderRadius: '4px' }}
                             />
 
-                            <button type="submit" disabled={loading} style={{ padding: '12px', background: '#007bff', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer', fontSize: '16px' }}>
-                                {loading ? 'Processing...' : (editingId ? 'Update Agent' : 'Create Agent')}
-                            </button>
+                            <label style={{ display: 'flex', flexDirection: 'column', gap: '5px' }}>
+                                Artist profile:
+                                <select
+                                    value={formData.artistId}
+                                    onChange={e => setFormData({ ...formData, artistId: e.target.value })}
+                                    style={{ padding: '10px', border: '1px solid #ddd', borderRadius: '4px' }}
+                                >
+                                    <option value="">None</option>
+                                    {artists.map(a => <option key={a.id} value={a.id}>{a.name}</option>)}
+                                </select>
+                                <span style={{ fontSize: '12px', color: '#666' }}>The guide gets the artist's biography, so it needn't be repeated in Facts. Add artists on the Artists tab.</span>
+                            </label>
+
+                            <MetadataEditor
+                                value={formData.metadata}
+                                onChange={metadata => setFormData({ ...formData, metadata })}
+                                errors={formErrors}
+                            />
+
+                            <input
+                                placeholder="Opening line (optional): what the guide says first, e.g. a welcome or a hook"
+                                value={formData.openingLine}
+                                onChange={e => setFormData({ ...formData, openingLine: e.target.value })}
+                                style={{ padding: '10px', border: '1px solid #ddd', borderRadius: '4px' }}
+                            />
+
+                            <textarea
+                                placeholder="Suggested questions for visitors, one per line (optional)"
+                                value={formData.suggestedQuestions.join('\n')}
+                                onChange={e => setFormData({ ...formData, suggestedQuestions: e.target.value.split('\n') })}
+                                rows={3}
+                                style={{ padding: '10px', border: '1px solid #ddd', borderRadius: '4px' }}
+                            />
+
+                            <label style={{ display: 'flex', flexDirection: 'column', gap: '5px' }}>
+                                Prompt template:
+                                <select
+                                    value={formData.templateId}
+                                    onChange={e => setFormData({ ...formData, templateId: e.target.value })}
+                                    style={{ padding: '10px', border: '1px solid #ddd', borderRadius: '4px' }}
+                                >
+                                    <option value="">Global default</option>
+                                    {templates.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+                                </select>
+                            </label>
+
+                            <fieldset style={{ border: '1px solid #ddd', borderRadius: '4px', padding: '10px' }}>
+                                <legend>Guide personas visitors can choose</legend>
+                                {personas.map(p => (
+                                    <label key={p.id} style={{ display: 'inline-block', marginRight: '15px', fontSize: '14px' }}>
+                                        <input
+                                            type="checkbox"
+                                            checked={enabledPersonaIds.includes(p.id)}
+                                            onChange={() => togglePersona(p.id)}
+                                            style={{ marginRight: '5px' }}
+                                        />
+                                        {p.name}
+                                    </label>
+                                ))}
+                            </fieldset>
+
+                            <VoiceSettingsEditor
+                                value={formData.voiceSettings}
+                                onChange={voiceSettings => setFormData({ ...formData, voiceSettings })}
+                                options={voiceOptions}
+                            />
+
+                            <HotspotEditor
+                                value={formData.hotspots}
+                                onChange={hotspots => setFormData({ ...formData, hotspots })}
+                                file={file}
+                                imageUrl={editingId ? editingImageUrl : null}
+                            />
+
+                            <TranslationsEditor
+                                value={formData.translations}
+                                onChange={translations => setFormData({ ...formData, translations })}
+                            />
+
+                            {editingDraft && (
+                                <p style={{ margin: 0, fontSize: '13px', color: '#856404' }}>
+                                    You are editing unpublished changes (saved {new Date(editingDraft.savedAt).toLocaleString()} by {editingDraft.savedBy}).
+                                </p>
+                            )}
+                            <div style={{ display: 'flex', gap: '10px' }}>
+                                {editingId && (
+                                    <button type="submit" value="draft" disabled={loading} style={{ flex: 1, padding: '12px', background: '#6c757d', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer', fontSize: '16px' }}>
+                                        {loading ? 'Processing...' : 'Save Draft'}
+                                    </button>
+                                )}
+                                <button type="submit" value="publish" disabled={loading} style={{ flex: 1, padding: '12px', background: '#007bff', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer', fontSize: '16px' }}>
+                                    {loading ? 'Processing...' : (editingId ? 'Save & Publish' : 'Create Agent')}
+                                </button>
+                            </div>
                         </form>
                     ) : (
                         <div style={{ textAlign: 'center', background: '#e0ffe0', padding: '30px', borderRadius: '8px' }}>
-                            <h2>{editingId ? 'Update Successful!' : 'Creation Successful!'}</h2>
-                            <p>Scan to chat with <b>{result.title}</b></p>
-                            <img src={result.qrCodeDataUrl} alt="QR Code" style={{ width: '200px', height: '200px', border: '10px solid white' }} />
-                            <p>
-                                <a href={result.visitorUrl} target="_blank" rel="noreferrer" style={{ color: '#007bff', textDecoration: 'none', fontWeight: 'bold' }}>
-                                    Open Visitor Link ↗
-                                </a>
-                            </p>
+                            {result.savedAsDraft ? (
+                                <>
+                                    <h2>Draft Saved</h2>
+                                    <p>Visitors still get the published version of <b>{result.draft.content.title}</b>. Try the draft through its private preview link, then publish it from Manage Agents.</p>
+                                    <p>
+                                        <a href={previewUrl(result)} target="_blank" rel="noreferrer" style={{ color: '#007bff', textDecoration: 'none', fontWeight: 'bold' }}>
+                                            Open Preview Link ↗
+                                        </a>
+                                    </p>
+                                </>
+                            ) : (
+                                <>
+                                    <h2>{editingId ? 'Update Successful!' : 'Creation Successful!'}</h2>
+                                    <p>Scan to chat with <b>{result.title}</b></p>
+                                    <img src={result.qrCodeDataUrl} alt="QR Code" style={{ width: '200px', height: '200px', border: '10px solid white' }} />
+                                    <p>
+                                        <a href={result.visitorUrl} target="_blank" rel="noreferrer" style={{ color: '#007bff', textDecoration: 'none', fontWeight: 'bold' }}>
+                                            Open Visitor Link ↗
+                                        </a>
+                                    </p>
+                                </>
+                            )}
                             <div style={{ marginTop: '20px' }}>
                                 <button
                                     onClick={() => { setResult(null); if (!editingId) handleCreateNew(); else setActiveTab('manage'); }}
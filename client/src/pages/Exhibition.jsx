@@ -0,0 +1,73 @@
+import React, { useEffect, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { LANGUAGES, detectLanguage, translate, localizePainting } from '../i18n';
+import { tourPaintingUrl } from '../tour';
+import { paintingImage } from '../images';
+
+// Landing page behind an exhibition's room-level QR code: lists the works in order.
+export default function Exhibition() {
+    const [searchParams] = useSearchParams();
+    const exhibitionId = searchParams.get('id');
+    const exhibitionSlug = searchParams.get('slug');
+    const [lang, setLang] = useState(() => detectLanguage(searchParams.get('lang')));
+    const t = (key) => translate(lang, key);
+
+    const [exhibition, setExhibition] = useState(null);
+    const [errorMsg, setErrorMsg] = useState('');
+
+    useEffect(() => {
+        document.documentElement.lang = lang;
+    }, [lang]);
+
+    useEffect(() => {
+        const path = exhibitionId ? exhibitionId : `slug/${exhibitionSlug}`;
+        fetch(`${import.meta.env.VITE_API_URL}/api/exhibitions/${path}`)
+            .then(res => {
+                if (!res.ok) throw new Error('Exhibition not found');
+                return res.json();
+            })
+            .then(setExhibition)
+            .catch(err => setErrorMsg(err.message));
+    }, [exhibitionId, exhibitionSlug]);
+
+    if (!exhibitionId && !exhibitionSlug) return <div style={{ color: 'red' }}>Error: No exhibition ID or Slug found in URL.</div>;
+    if (errorMsg) return <div style={{ color: 'red' }}>Error: {errorMsg}</div>;
+    if (!exhibition) return <div>{t('tourLoading')}</div>;
+
+    return (
+        <div style={{ maxWidth: '400px', margin: '0 auto', padding: '20px', fontFamily: 'sans-serif' }}>
+            <div style={{ textAlign: 'right' }}>
+                <label style={{ fontSize: '13px', color: '#666' }}>
+                    {t('language')}:{' '}
+                    <select value={lang} onChange={e => setLang(e.target.value)} style={{ padding: '4px' }}>
+                        {LANGUAGES.map(l => <option key={l.code} value={l.code}>{l.name}</option>)}
+                    </select>
+                </label>
+            </div>
+
+            <h1 style={{ textAlign: 'center' }}>{exhibition.title}</h1>
+            {exhibition.description && <p style={{ fontStyle: 'italic', color: '#666', textAlign: 'center' }}>{exhibition.description}</p>}
+
+            <h2 style={{ fontSize: '18px' }}>{t('tourWorks')}</h2>
+            {exhibition.paintings.length === 0 && <p style={{ color: '#666' }}>{t('tourEmpty')}</p>}
+            <ol style={{ listStyle: 'none', padding: 0 }}>
+                {exhibition.paintings.map((p, i) => {
+                    const localized = localizePainting(p, lang);
+                    return (
+                        <li key={p.id} style={{ marginBottom: '12px' }}>
+                            <a
+                                href={tourPaintingUrl(p, exhibition.id, lang)}
+                                style={{ display: 'flex', gap: '12px', alignItems: 'center', padding: '10px', border: '1px solid #ddd', borderRadius: '8px', textDecoration: 'none', color: 'inherit' }}
+                            >
+                                {p.imageUrl && <img src={paintingImage(p, 'thumbnail')} alt="" style={{ width: '64px', height: '64px', objectFit: 'cover', borderRadius: '4px' }} />}
+                                <span>
+                                    <b>{i + 1}. {localized.title}</b>
+                                </span>
+                            </a>
+                        </li>
+                    );
+                })}
+            </ol>
+        </div>
+    );
+}
@@ -0,0 +1,61 @@
+import React, { useState } from 'react';
+import { saveSession } from '../api';
+
+export default function Login({ onLogin }) {
+    const [username, setUsername] = useState('');
+    const [password, setPassword] = useState('');
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        setError('');
+
+        try {
+            const res = await fetch(`${import.meta.env.VITE_API_URL}/api/auth/login`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username, password })
+            });
+            const json = await res.json();
+            if (!res.ok) throw new Error(json.error || 'Login failed');
+
+            saveSession(json.token, json.user);
+            onLogin(json.user);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div style={{ maxWidth: '360px', margin: '40px auto', padding: '20px', fontFamily: 'sans-serif' }}>
+            <h1>Curator Login</h1>
+            <form onSubmit={handleSubmit} style={{ display: 'flex', flexDirection: 'column', gap: '15px', background: '#f9f9f9', padding: '20px', borderRadius: '8px' }}>
+                <input
+                    placeholder="Username"
+                    value={username}
+                    onChange={e => setUsername(e.target.value)}
+                    autoComplete="username"
+                    required
+                    style={{ padding: '10px', border: '1px solid #ddd', borderRadius: '4px' }}
+                />
+                <input
+                    type="password"
+                    placeholder="Password"
+                    value={password}
+                    onChange={e => setPassword(e.target.value)}
+                    autoComplete="current-password"
+                    required
+                    style={{ padding: '10px', border: '1px solid #ddd', borderRadius: '4px' }}
+                />
+                {error && <p style={{ color: '#dc3545', margin: 0 }}>{error}</p>}
+                <button type="submit" disabled={loading} style={{ padding: '12px', background: '#007bff', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer', fontSize: '16px' }}>
+                    {loading ? 'Signing in...' : 'Sign In'}
+                </button>
+            </form>
+        </div>
+    );
+}
@@ -1,19 +1,128 @@
 import React, { useEffect, useState, useRef } from 'react';
 import { useSearchParams } from 'react-router-dom';
+import TranscriptPanel from '../components/TranscriptPanel';
+import PaintingView from '../components/PaintingView';
+import PaintingCaption from '../components/PaintingCaption';
+import { applyTranscriptEvent, addTypedMessage, createItemId } from '../realtime/transcript';
+import { runToolCall } from '../realtime/tools';
+import { createTransport } from '../realtime/transports';
+import { LANGUAGES, detectLanguage, translate, format, localizePainting } from '../i18n';
+import { tourUrl, paintingUrl, tourPaintingUrl } from '../tour';
+import { paintingImage } from '../images';
+
+const MAX_RECONNECT_ATTEMPTS = 5;
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 15000;
+const DISCONNECT_GRACE_MS = 4000;
+// Sent with the painting image once connected; chosen per painting (greeting in voice settings)
+const GREETING_PROMPTS = {
+    describe: "Here is the painting I'm looking at. Please help me understand it.",
+    brief: "Here is the painting I'm looking at. Just greet me in one short sentence and ask what I would like to know about it.",
+    wait: "Here is the painting I'm looking at. I will ask you about it in a moment."
+};
+// The curator's opening line (if any) is said first, whatever the greeting
+const openingPrompt = (greeting, openingLine) => {
+    const prompt = GREETING_PROMPTS[greeting] || GREETING_PROMPTS.describe;
+    return openingLine ? `${prompt} Start with this opening line from the museum, in my language: "${openingLine}"` : prompt;
+};
+
+// Typed and tapped questions count as the same question
+const normalizeQuestion = (text) => text.trim().toLowerCase();
+
+const SESSION_WARNING_MS = 60000; // "one minute left" before the session length cap
+const REPLAY_ITEMS = 12; // transcript entries given back to the model after a reconnect
+
+// Exponential backoff (1s, 2s, 4s... up to 15s) with jitter
+const reconnectDelay = (attempt) =>
+    Math.min(RECONNECT_BASE_MS * 2 ** (attempt - 1), RECONNECT_MAX_MS) + Math.random() * 500;
+
+const withQuery = (url, query) => (query ? `${url}?${query}` : url);
+
+// Where the painting is loaded from: the /p/:slug route passes slugOverride, QR codes ?id= or ?slug=
+const paintingEndpoint = (slugOverride, id, slug) => {
+    const api = `${import.meta.env.VITE_API_URL}/api/paintings`;
+    if (slugOverride) return `${api}/slug/${slugOverride}`;
+    if (id) return `${api}/${id}`;
+    if (slug) return `${api}/slug/${slug}`;
+    return null;
+};
 
 export default function Visitor({ slugOverride }) {
     const [searchParams] = useSearchParams();
     const paintingId = searchParams.get('id');
     const paintingSlug = searchParams.get('slug');
+    const tourId = searchParams.get('tour'); // set when the visitor came from an exhibition page
+    const previewToken = searchParams.get('preview'); // a curator trying out unpublished changes
+    const previewQuery = previewToken ? `preview=${encodeURIComponent(previewToken)}` : '';
+    const [lang, setLang] = useState(() => detectLanguage(searchParams.get('lang')));
+    const t = (key) => translate(lang, key);
 
+    useEffect(() => {
+        document.documentElement.lang = lang;
+    }, [lang]);
+
+    const paintingSource = paintingEndpoint(slugOverride, paintingId, paintingSlug);
     const [painting, setPainting] = useState(null);
-    const [status, setStatus] = useState('loading'); // loading, ready, connecting, connected, error
-    const [errorMsg, setErrorMsg] = useState('');
+    const [status, setStatus] = useState(paintingSource ? 'loading' : 'error'); // loading, ready, connecting, connected, reconnecting, error
+    const [errorMsg, setErrorMsg] = useState(paintingSource ? '' : 'No painting ID or Slug found in URL.');
     const [logs, setLogs] = useState([]);
-
-    const pcRef = useRef(null);
-    const dcRef = useRef(null);
+    const [showDebug, setShowDebug] = useState(false);
+    const [transcript, setTranscript] = useState([]);
+    const [shareTranscript, setShareTranscript] = useState(false);
+    const [personas, setPersonas] = useState([]);
+    const [personaId, setPersonaId] = useState(null);
+    const [exhibition, setExhibition] = useState(null);
+    const [artist, setArtist] = useState(null); // linked artist profile, with their works on display
+    // Set by the guide's tools (see realtime/tools.js)
+    const [highlight, setHighlight] = useState(null);
+    const [zoom, setZoom] = useState(null);
+    const [related, setRelated] = useState(null);
+    const [askedQuestions, setAskedQuestions] = useState([]); // normalized, to mark suggested questions as used
+
+    const [notice, setNotice] = useState(''); // why the last conversation ended early
+    const [endingSoon, setEndingSoon] = useState(false);
+
+    const transportRef = useRef(null); // current realtime connection, see realtime/transports.js
+    const reconnectAttemptRef = useRef(0);
+    const reconnectTimerRef = useRef(null);
+    const disconnectTimerRef = useRef(null);
+    const sessionTimersRef = useRef([]); // session length cap set by /api/session
     const audioRef = useRef(null);
+    const conversationIdRef = useRef(null);
+    const transcriptRef = useRef([]);
+    const shareTranscriptRef = useRef(false);
+
+    useEffect(() => {
+        transcriptRef.current = transcript;
+        shareTranscriptRef.current = shareTranscript;
+    }, [transcript, shareTranscript]);
+
+    // Tell the server the conversation is over so it can record its duration.
+    // The transcript is only included when the visitor opted in.
+    const reportConversationEnd = () => {
+        const conversationId = conversationIdRef.current;
+        if (!conversationId) return;
+        conversationIdRef.current = null;
+
+        const consent = shareTranscriptRef.current;
+        fetch(`${import.meta.env.VITE_API_URL}/api/conversations/${conversationId}/end`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                consent,
+                transcript: consent ? transcriptRef.current.map(({ role, text }) => ({ role, text })) : undefined
+            }),
+            keepalive: true // survives the page being closed
+        }).catch(() => {});
+    };
+
+    useEffect(() => {
+        window.addEventListener('pagehide', reportConversationEnd);
+        return () => {
+            window.removeEventListener('pagehide', reportConversationEnd);
+            reportConversationEnd(); // navigated away inside the app
+        };
+    }, []);
 
     const addLog = (msg) => {
         console.log(msg);
@@ -22,33 +131,8 @@ export default function Visitor({ slugOverride }) {
 
     // Fetch Painting Details
     useEffect(() => {
-        if (slugOverride) {
-            fetchPainting(`${import.meta.env.VITE_API_URL}/api/paintings/slug/${slugOverride}`);
-            return;
-        }
-
-        if (!paintingId && !paintingSlug) {
-            setStatus('error');
-            setErrorMsg('No painting ID or Slug found in URL.');
-            return;
-        }
-
-        let fetchUrl;
-        if (paintingId) {
-            fetchUrl = `${import.meta.env.VITE_API_URL}/api/paintings/${paintingId}`;
-        } else if (paintingSlug) {
-            fetchUrl = `${import.meta.env.VITE_API_URL}/api/paintings/slug/${paintingSlug}`;
-        }
-
-        fetchPainting(fetchUrl);
-
-        return () => {
-            if (pcRef.current) pcRef.current.close();
-        };
-    }, [paintingId, paintingSlug, slugOverride]);
-
-    const fetchPainting = (url) => {
-        fetch(url)
+        if (!paintingSource) return;
+        fetch(withQuery(paintingSource, previewQuery))
             .then(res => {
                 if (!res.ok) throw new Error('Painting not found');
                 return res.json();
@@ -56,288 +140,483 @@ export default function Visitor({ slugOverride }) {
             .then(data => {
                 setPainting(data);
                 setStatus('ready');
+                return fetch(withQuery(`${import.meta.env.VITE_API_URL}/api/paintings/${data.id}/personas`, previewQuery))
+                    .then(res => (res.ok ? res.json() : []))
+                    .then(list => {
+                        setPersonas(list);
+                        setPersonaId(list[0] ? list[0].id : null);
+                    })
+                    .catch(() => setPersonas([])); // the server falls back to the default persona
             })
             .catch(err => {
                 setStatus('error');
                 setErrorMsg(err.message);
             });
-    };
+    }, [paintingSource, previewQuery]);
 
-    const startConversation = async () => {
-        try {
-            setStatus('connecting');
-            addLog('Starting WebRTC connection...');
-
-            // 1. Get ephemeral token from server
-            const queryParam = painting.slug ? `slug=${painting.slug}` : `paintingId=${painting.id}`;
-            addLog('Requesting ephemeral token...');
-            const tokenRes = await fetch(`${import.meta.env.VITE_API_URL}/api/session?${queryParam}`);
-            const tokenData = await tokenRes.json();
+    useEffect(() => {
+        if (!tourId) return;
+        fetch(`${import.meta.env.VITE_API_URL}/api/exhibitions/${tourId}`)
+            .then(res => (res.ok ? res.json() : null))
+            .then(setExhibition)
+            .catch(() => setExhibition(null)); // the painting still works on its own
+    }, [tourId]);
+
+    const artistId = painting && painting.artistId;
+    useEffect(() => {
+        if (!artistId) return;
+        fetch(`${import.meta.env.VITE_API_URL}/api/artists/${artistId}`)
+            .then(res => (res.ok ? res.json() : null))
+            .then(setArtist)
+            .catch(() => setArtist(null)); // the caption falls back to the catalogue details
+    }, [artistId]);
+
+    // Opens one Realtime connection: fresh token, then the provider's transport.
+    // With resume, the conversation record is kept and the recent transcript is replayed
+    // to the new session instead of asking for a fresh introduction.
+    const connect = async ({ resume = false } = {}) => {
+        // 1. Get ephemeral token from server
+        const queryParam = `${painting.slug ? `slug=${painting.slug}` : `paintingId=${painting.id}`}&lang=${lang}${personaId ? `&persona=${personaId}` : ''}${exhibition ? `&exhibition=${exhibition.id}` : ''}${resume && conversationIdRef.current ? `&conversationId=${conversationIdRef.current}` : ''}${previewQuery ? `&${previewQuery}` : ''}`;
+        addLog('Requesting ephemeral token...');
+        const tokenRes = await fetch(`${import.meta.env.VITE_API_URL}/api/session?${queryParam}`);
+        const tokenData = await tokenRes.json();
+
+        // 429: too many sessions or reconnects, the daily budget is spent, this conversation ran out
+        // of time, or (token_live) the last token for it hasn't expired yet
+        if (tokenRes.status === 429) {
+            const refused = new Error(tokenData.error);
+            refused.reason = tokenData.reason;
+            refused.retryAfterSeconds = tokenData.retryAfterSeconds;
+            throw refused;
+        }
+        if (!tokenData.client_secret || !tokenData.client_secret.value) {
+            throw new Error(tokenData.error || 'Failed to get ephemeral token');
+        }
+        conversationIdRef.current = tokenData.conversationId || null;
+        addLog('✓ Ephemeral token received');
+
+        if (tokenData.maxSessionSeconds) {
+            const ms = tokenData.maxSessionSeconds * 1000;
+            setEndingSoon(ms <= SESSION_WARNING_MS);
+            sessionTimersRef.current = [
+                setTimeout(() => setEndingSoon(true), ms - SESSION_WARNING_MS),
+                setTimeout(() => {
+                    addLog('Session time limit reached');
+                    endEarly(t('sessionTimeUp'));
+                }, ms)
+            ];
+        }
 
-            if (!tokenData.client_secret || !tokenData.client_secret.value) {
-                throw new Error('Failed to get ephemeral token');
+        const { openingLine } = localizePainting(painting, lang);
+        let sessionReady = false;
+        let imageData = null;
+
+        // The server already prepared a ≤1024px JPEG for the model; send it as a data URL
+        const loadModelImage = async () => {
+            const modelImageUrl = paintingImage(painting, 'model');
+            if (!modelImageUrl) return;
+            addLog('Fetching painting image...');
+            try {
+                const imgRes = await fetch(modelImageUrl);
+                const blob = await imgRes.blob();
+                imageData = await new Promise((resolve, reject) => {
+                    const reader = new FileReader();
+                    reader.onload = () => resolve(reader.result);
+                    reader.onerror = reject;
+                    reader.readAsDataURL(blob);
+                });
+                addLog(`✓ Image loaded (${Math.round(blob.size / 1024)} KB)`);
+            } catch (e) {
+                addLog(`Image error: ${e.message}`);
             }
-            const EPHEMERAL_KEY = tokenData.client_secret.value;
-            addLog('✓ Ephemeral token received');
-
-            // 2. Setup WebRTC Peer Connection
-            const pc = new RTCPeerConnection();
-            pcRef.current = pc;
-
-            // Event handlers
-            pc.oniceconnectionstatechange = () => addLog(`ICE State: ${pc.iceConnectionState}`);
-            pc.onconnectionstatechange = () => {
-                addLog(`Connection State: ${pc.connectionState}`);
-                if (pc.connectionState === 'connected') {
+        };
+
+        // 2. Connect over the provider's transport (see realtime/transports.js)
+        const transport = createTransport(tokenData, {
+            audioEl: audioRef.current,
+            log: addLog,
+            onOpen: () => {
+                // Send session update with instructions
+                addLog('Sending session instructions...');
+                // Built by /api/session from the painting's prompt template and voice settings,
+                // the same config the session was created with
+                transport.send({ type: 'session.update', session: tokenData.session });
+                loadModelImage();
+            },
+            onEvent: (msg) => handleEvent(msg),
+            onStateChange: (state) => {
+                // Events from a connection we have already replaced or closed are ignored
+                if (transportRef.current !== transport) return;
+                clearTimeout(disconnectTimerRef.current);
+                if (state === 'connected') {
+                    reconnectAttemptRef.current = 0;
                     setStatus('connected');
+                } else if (state === 'failed' || state === 'closed') {
+                    handleConnectionLost(`connection ${state}`);
+                } else if (state === 'disconnected') {
+                    // Often recovers by itself (e.g. switching networks); give it a moment first
+                    disconnectTimerRef.current = setTimeout(() => {
+                        if (transportRef.current === transport) handleConnectionLost('connection disconnected');
+                    }, DISCONNECT_GRACE_MS);
                 }
-            };
-
-            // Handle incoming audio
-            pc.ontrack = (event) => {
-                addLog('✓ Received remote audio track');
-                const audioEl = audioRef.current;
-                if (audioEl && event.streams[0]) {
-                    audioEl.srcObject = event.streams[0];
-                    audioEl.play().catch(e => addLog(`Audio play error: ${e.message}`));
-                }
-            };
-
-            // 3. Get user's microphone
-            addLog('Requesting microphone access...');
-            const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-            addLog('✓ Microphone access granted');
+            }
+        });
+        transportRef.current = transport;
+
+        // The model asked for a tool; send the result back and let it continue its answer
+        const answerToolCall = async (msg) => {
+            addLog(`Tool call: ${msg.name} ${msg.arguments}`);
+            const ui = { highlightRegion: setHighlight, openDetailZoom: setZoom, showRelatedPainting: setRelated };
+            const output = await runToolCall(msg, { painting, lang, previewQuery, ui });
+            if (!transport.isOpen()) return;
+            transport.send({
+                type: 'conversation.item.create',
+                item: { type: 'function_call_output', call_id: msg.call_id, output: JSON.stringify(output) }
+            });
+            transport.send({ type: 'response.create' });
+        };
 
-            // Add microphone track to peer connection
-            stream.getTracks().forEach(track => pc.addTrack(track, stream));
+        // After a reconnect the new session knows nothing; give it the last few turns back
+        const replayTranscript = () => {
+            const recent = transcriptRef.current.filter(entry => entry.text).slice(-REPLAY_ITEMS);
+            recent.forEach(entry => {
+                transport.send({
+                    type: 'conversation.item.create',
+                    item: {
+                        type: 'message',
+                        role: entry.role,
+                        content: [{ type: entry.role === 'user' ? 'input_text' : 'text', text: entry.text }]
+                    }
+                });
+            });
+            addLog(`✓ Replayed ${recent.length} transcript items`);
+        };
 
-            // 4. Create data channel for events
-            const dc = pc.createDataChannel('oai-events');
-            dcRef.current = dc;
+        const handleEvent = (msg) => {
+            setTranscript(prev => applyTranscriptEvent(prev, msg));
 
-            let sessionReady = false;
-            let imageData = null;
+            if (msg.type === 'response.function_call_arguments.done') {
+                answerToolCall(msg);
+            }
 
-            dc.onopen = async () => {
-                addLog('✓ Data channel opened');
+            // Log important events, skip audio deltas
+            if (msg.type.includes('audio.delta') || msg.type.includes('audio_transcript.delta')) return;
+            addLog(`Event: ${msg.type}`);
+            // If it's an error, log the full details
+            if (msg.type === 'error') {
+                addLog(`ERROR DETAILS: ${JSON.stringify(msg.error || msg)}`);
+            }
 
-                // Send session update with instructions
-                addLog('Sending session instructions...');
-                dc.send(JSON.stringify({
-                    type: 'session.update',
-                    session: {
-                        modalities: ['text', 'audio'],
-                        instructions: painting.systemInstructions,
-                        voice: 'alloy',
-                        input_audio_format: 'pcm16',
-                        output_audio_format: 'pcm16',
-                        turn_detection: {
-                            type: 'server_vad',
-                            threshold: 0.5,
-                            prefix_padding_ms: 300,
-                            silence_duration_ms: 200
-                        }
-                    }
-                }));
-
-                // Prepare the painting image in parallel
-                if (painting.imageUrl) {
-                    addLog('Fetching painting image...');
-                    try {
-                        const imgRes = await fetch(painting.imageUrl);
-                        const blob = await imgRes.blob();
-
-                        // Compress/resize image if needed (max ~500KB base64 = ~375KB raw)
-                        const img = document.createElement('img');
-                        const canvas = document.createElement('canvas');
-                        const ctx = canvas.getContext('2d');
-
-                        await new Promise((resolve, reject) => {
-                            img.onload = () => {
-                                // Resize if too large (max 1024px)
-                                let width = img.width;
-                                let height = img.height;
-                                const maxDim = 1024;
-
-                                if (width > maxDim || height > maxDim) {
-                                    if (width > height) {
-                                        height = (height / width) * maxDim;
-                                        width = maxDim;
-                                    } else {
-                                        width = (width / height) * maxDim;
-                                        height = maxDim;
+            // Wait for session.updated before sending image
+            if (msg.type === 'session.updated' && !sessionReady) {
+                sessionReady = true;
+                addLog('Session confirmed ready');
+
+                setTimeout(() => {
+                    // Now send the image if we have it
+                    if (imageData) {
+                        addLog('Sending image to model...');
+                        transport.send({
+                            type: 'conversation.item.create',
+                            item: {
+                                type: 'message',
+                                role: 'user',
+                                content: [
+                                    {
+                                        type: 'input_text',
+                                        text: openingPrompt(tokenData.greeting, openingLine)
+                                    },
+                                    {
+                                        type: 'input_image',
+                                        image_url: imageData
                                     }
-                                }
-
-                                canvas.width = width;
-                                canvas.height = height;
-                                ctx.drawImage(img, 0, 0, width, height);
-
-                                // Convert to JPEG with compression
-                                const dataUrl = canvas.toDataURL('image/jpeg', 0.85);
-                                imageData = dataUrl;
-                                addLog(`✓ Image loaded and compressed (${width}x${height})`);
-                                resolve();
-                            };
-                            img.onerror = reject;
-                            img.src = URL.createObjectURL(blob);
-                        });
-
-                    } catch (e) {
-                        addLog(`Image error: ${e.message}`);
-                    }
-                }
-            };
-
-            dc.onmessage = (e) => {
-                try {
-                    const msg = JSON.parse(e.data);
-                    // Log important events, skip audio deltas
-                    if (!msg.type.includes('audio.delta') && !msg.type.includes('audio_transcript.delta')) {
-                        addLog(`Event: ${msg.type}`);
-                        // If it's an error, log the full details
-                        if (msg.type === 'error') {
-                            addLog(`ERROR DETAILS: ${JSON.stringify(msg.error || msg)}`);
-                        }
-
-                        // Wait for session.updated before sending image
-                        if (msg.type === 'session.updated' && !sessionReady) {
-                            sessionReady = true;
-                            addLog('Session confirmed ready');
-
-                            // Now send the image if we have it
-                            if (imageData) {
-                                setTimeout(() => {
-                                    addLog('Sending image to model...');
-                                    dc.send(JSON.stringify({
-                                        type: 'conversation.item.create',
-                                        item: {
-                                            type: 'message',
-                                            role: 'user',
-                                            content: [
-                                                {
-                                                    type: 'input_text',
-                                                    text: "Here is the painting I'm looking at. Please help me understand it."
-                                                },
-                                                {
-                                                    type: 'input_image',
-                                                    image_url: imageData
-                                                }
-                                            ]
-                                        }
-                                    }));
-                                    addLog('✓ Image sent to model');
-
-                                    // Request a response
-                                    dc.send(JSON.stringify({ type: 'response.create' }));
-                                    addLog('✓ Requested initial response');
-                                }, 500); // Small delay to ensure session is fully ready
+                                ]
                             }
-                        }
+                        });
+                        addLog('✓ Image sent to model');
                     }
-                } catch (err) {
-                    // Ignore parse errors
-                }
-            };
-
-            dc.onerror = (e) => {
-                addLog(`Data channel error: ${e.type} - ${e.error?.message || 'Unknown error'}`);
-                console.error('Full data channel error:', e);
-            };
-            dc.onclose = () => addLog('Data channel closed');
-
-            // 5. Create and send offer
-            addLog('Creating SDP offer...');
-            const offer = await pc.createOffer();
-            await pc.setLocalDescription(offer);
-
-            // 6. Send offer to OpenAI and get answer
-            addLog('Sending offer to OpenAI...');
-            const sdpResponse = await fetch('https://api.openai.com/v1/realtime?model=gpt-realtime', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${EPHEMERAL_KEY}`,
-                    'Content-Type': 'application/sdp'
-                },
-                body: offer.sdp
-            });
 
-            if (!sdpResponse.ok) {
-                const errorText = await sdpResponse.text();
-                throw new Error(`SDP exchange failed: ${sdpResponse.status} - ${errorText}`);
+                    if (resume) {
+                        replayTranscript();
+                    } else if (imageData && (tokenData.greeting !== 'wait' || openingLine)) {
+                        // Request a response
+                        transport.send({ type: 'response.create' });
+                        addLog('✓ Requested initial response');
+                    }
+                }, 500); // Small delay to ensure session is fully ready
             }
+        };
 
-            const answerSdp = await sdpResponse.text();
-            addLog('✓ Received SDP answer from OpenAI');
+        await transport.connect();
+    };
 
-            // 7. Set remote description
-            await pc.setRemoteDescription({
-                type: 'answer',
-                sdp: answerSdp
-            });
+    // Closes the current connection and releases the microphone. Clearing transportRef first
+    // makes the closing connection's own handlers ignore the events it fires.
+    const teardown = () => {
+        clearTimeout(disconnectTimerRef.current);
+        clearTimeout(reconnectTimerRef.current);
+        sessionTimersRef.current.forEach(clearTimeout);
+        sessionTimersRef.current = [];
+        const transport = transportRef.current;
+        transportRef.current = null;
+        if (transport) transport.close();
+    };
 
-            addLog('✓ WebRTC connection established!');
+    // Leaving the page must not leave the microphone or a reconnect timer running
+    useEffect(() => () => teardown(), []);
 
+    // Back to the start screen with a notice, keeping the transcript on the page
+    const endEarly = (message) => {
+        teardown();
+        reportConversationEnd();
+        setNotice(message);
+        setEndingSoon(false);
+        setStatus('ready');
+    };
+
+    const refusalNotice = (err) => t(err.reason === 'time_up' ? 'sessionTimeUp' : 'guideBusy');
+
+    // Retries with backoff, each time with a fresh token; waits at least minDelayMs
+    const handleConnectionLost = (reason, minDelayMs = 0) => {
+        teardown();
+        const attempt = reconnectAttemptRef.current + 1;
+        reconnectAttemptRef.current = attempt;
+        if (attempt > MAX_RECONNECT_ATTEMPTS) {
+            addLog(`Giving up after ${MAX_RECONNECT_ATTEMPTS} reconnect attempts`);
+            endEarly(t('connectionLost'));
+            return;
+        }
+
+        const delay = Math.max(reconnectDelay(attempt), minDelayMs);
+        addLog(`Connection lost (${reason}); reconnecting in ${Math.round(delay)} ms (attempt ${attempt}/${MAX_RECONNECT_ATTEMPTS})`);
+        setStatus('reconnecting');
+        reconnectTimerRef.current = setTimeout(() => {
+            connect({ resume: true }).catch(err => {
+                addLog(`Reconnect failed: ${err.message}`);
+                if (err.reason === 'token_live') handleConnectionLost('previous token still valid', err.retryAfterSeconds * 1000);
+                else if (err.reason) endEarly(refusalNotice(err));
+                else handleConnectionLost('reconnect failed');
+            });
+        }, delay);
+    };
+
+    const startConversation = async () => {
+        try {
+            setStatus('connecting');
+            setNotice('');
+            setTranscript([]);
+            setHighlight(null);
+            setZoom(null);
+            setRelated(null);
+            setAskedQuestions([]);
+            reconnectAttemptRef.current = 0;
+            addLog('Starting realtime connection...');
+            await connect();
         } catch (err) {
             console.error('Connection error:', err);
             addLog(`ERROR: ${err.message}`);
-            setStatus('error');
-            setErrorMsg(err.message);
+            endEarly(err.reason ? refusalNotice(err) : `${t('connectionFailed')} (${err.message})`);
         }
     };
 
+    const sendTextMessage = (text) => {
+        const transport = transportRef.current;
+        if (!transport || !transport.isOpen()) return;
+
+        const id = createItemId();
+        transport.send({
+            type: 'conversation.item.create',
+            item: {
+                id,
+                type: 'message',
+                role: 'user',
+                content: [{ type: 'input_text', text }]
+            }
+        });
+        transport.send({ type: 'response.create' });
+        setTranscript(prev => addTypedMessage(prev, id, text));
+        setAskedQuestions(prev => [...prev, normalizeQuestion(text)]);
+        addLog(`Sent typed message (${text.length} chars)`);
+    };
+
+    // Tapping a curator hotspot shows it and, during a conversation, asks the guide about it
+    const handleHotspotTap = (hotspot) => {
+        setHighlight({ x: hotspot.x, y: hotspot.y, width: hotspot.width, height: hotspot.height, label: hotspot.label });
+        if (status === 'connected') sendTextMessage(format(t('askAboutDetail'), { label: hotspot.label }));
+    };
+
     const stopConversation = () => {
-        if (pcRef.current) {
-            pcRef.current.close();
-            pcRef.current = null;
-        }
-        if (dcRef.current) {
-            dcRef.current.close();
-            dcRef.current = null;
-        }
+        reportConversationEnd();
+        teardown();
+        setEndingSoon(false);
         setStatus('ready');
         addLog('Connection closed');
     };
 
-    if (status === 'loading') return <div>Loading painting...</div>;
+    if (status === 'loading') return <div>{t('loading')}</div>;
     if (status === 'error') return <div style={{ color: 'red' }}>Error: {errorMsg}</div>;
 
+    const localized = localizePainting(painting, lang);
+
+    if (painting.archived) {
+        return (
+            <div style={{ maxWidth: '400px', margin: '0 auto', padding: '20px', textAlign: 'center', fontFamily: 'sans-serif' }}>
+                <h1>{localized.title}</h1>
+                <p>{t('archivedTitle')}</p>
+                <p style={{ color: '#666' }}>{t('archivedBody')}</p>
+            </div>
+        );
+    }
+
+    const tourIndex = exhibition ? exhibition.paintings.findIndex(p => p.id === painting.id) : -1;
+    const nextPainting = tourIndex >= 0 ? exhibition.paintings[tourIndex + 1] : null;
+    const otherWorks = artist ? artist.paintings.filter(p => p.id !== painting.id) : [];
+
     return (
         <div style={{ maxWidth: '400px', margin: '0 auto', padding: '20px', textAlign: 'center', fontFamily: 'sans-serif' }}>
-            <h1>{painting.title}</h1>
-            <img
-                src={painting.imageUrl}
-                alt={painting.title}
-                style={{ width: '100%', borderRadius: '8px', marginBottom: '20px' }}
+            {tourIndex >= 0 && (
+                <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '13px', marginBottom: '10px' }}>
+                    <a href={tourUrl(exhibition, lang)}>← {t('backToTour')}</a>
+                    <span style={{ color: '#666' }}>{format(t('tourProgress'), { n: tourIndex + 1, total: exhibition.paintings.length })}</span>
+                </div>
+            )}
+            <div style={{ textAlign: 'right' }}>
+                <label style={{ fontSize: '13px', color: '#666' }}>
+                    {t('language')}:{' '}
+                    <select
+                        value={lang}
+                        onChange={e => setLang(e.target.value)}
+                        disabled={status !== 'ready'}
+                        style={{ padding: '4px' }}
+                    >
+                        {LANGUAGES.map(l => <option key={l.code} value={l.code}>{l.name}</option>)}
+                    </select>
+                </label>
+            </div>
+
+            {painting.preview && (
+                <div style={{ background: '#fff3cd', border: '1px solid #ffc107', borderRadius: '6px', padding: '8px', fontSize: '13px', marginTop: '10px' }}>
+                    {t('previewBanner')}
+                </div>
+            )}
+            <h1>{localized.title}</h1>
+            <PaintingCaption metadata={painting.metadata} artistName={artist && artist.name} t={t} />
+            <PaintingView
+                src={paintingImage(painting, 'display')}
+                alt={localized.title}
+                highlight={highlight}
+                zoom={zoom}
+                onCloseZoom={() => setZoom(null)}
+                hotspots={painting.hotspots}
+                onHotspotTap={handleHotspotTap}
+                t={t}
             />
 
-            <p style={{ fontStyle: 'italic', color: '#666' }}>{painting.description}</p>
+            <p style={{ fontStyle: 'italic', color: '#666' }}>{localized.description}</p>
+
+            {otherWorks.length > 0 && (
+                <div style={{ textAlign: 'left', marginBottom: '20px' }}>
+                    <div style={{ fontSize: '12px', color: '#666', marginBottom: '6px' }}>{format(t('moreByArtist'), { name: artist.name })}</div>
+                    <div style={{ display: 'flex', gap: '10px', overflowX: 'auto' }}>
+                        {otherWorks.map(work => (
+                            <a key={work.id} href={paintingUrl(work, lang)} style={{ width: '90px', flexShrink: 0, fontSize: '12px', color: 'inherit', textDecoration: 'none' }}>
+                                <img src={paintingImage(work, 'thumbnail')} alt="" style={{ width: '90px', height: '90px', objectFit: 'cover', borderRadius: '4px' }} />
+                                <div>{localizePainting(work, lang).title}</div>
+                            </a>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            {related && (
+                <div style={{ display: 'flex', gap: '12px', alignItems: 'center', textAlign: 'left', padding: '10px', marginBottom: '20px', border: '1px solid #ddd', borderRadius: '8px' }}>
+                    <img src={paintingImage(related.painting, 'thumbnail')} alt="" style={{ width: '64px', height: '64px', objectFit: 'cover', borderRadius: '4px' }} />
+                    <div style={{ flex: 1, fontSize: '14px' }}>
+                        <div style={{ fontSize: '12px', color: '#666' }}>{t('relatedTitle')}</div>
+                        <b>{localizePainting(related.painting, lang).title}</b>
+                        {related.reason && <div style={{ fontSize: '13px', color: '#666' }}>{related.reason}</div>}
+                        <a href={exhibition ? tourPaintingUrl(related.painting, exhibition.id, lang) : paintingUrl(related.painting, lang)} style={{ fontSize: '13px' }}>
+                            {t('talkAboutIt')} →
+                        </a>
+                    </div>
+                </div>
+            )}
 
             {status === 'ready' && (
-                <button
-                    onClick={startConversation}
-                    style={{
-                        padding: '15px 30px',
-                        fontSize: '18px',
-                        background: '#007bff',
-                        color: 'white',
-                        border: 'none',
-                        borderRadius: '50px',
-                        cursor: 'pointer'
-                    }}
-                >
-                    Start Conversation
-                </button>
+                <div>
+                    {notice && (
+                        <p style={{ padding: '10px', background: '#fff3cd', borderRadius: '8px', color: '#856404' }}>{notice}</p>
+                    )}
+                    {personas.length > 1 && (
+                        <fieldset style={{ border: 'none', padding: 0, margin: '0 0 20px', textAlign: 'left' }}>
+                            <legend style={{ fontWeight: 'bold', marginBottom: '8px' }}>{t('choosePersona')}</legend>
+                            {personas.map(p => (
+                                <label
+                                    key={p.id}
+                                    style={{
+                                        display: 'block',
+                                        padding: '10px',
+                                        marginBottom: '6px',
+                                        border: `2px solid ${personaId === p.id ? '#007bff' : '#ddd'}`,
+                                        borderRadius: '8px',
+                                        cursor: 'pointer'
+                                    }}
+                                >
+                                    <input
+                                        type="radio"
+                                        name="persona"
+                                        value={p.id}
+                                        checked={personaId === p.id}
+                                        onChange={() => setPersonaId(p.id)}
+                                        style={{ marginRight: '8px' }}
+                                    />
+                                    <b>{p.name}</b>
+                                    {p.description && <div style={{ fontSize: '13px', color: '#666', marginLeft: '24px' }}>{p.description}</div>}
+                                </label>
+                            ))}
+                        </fieldset>
+                    )}
+                    <button
+                        onClick={startConversation}
+                        style={{
+                            padding: '15px 30px',
+                            fontSize: '18px',
+                            background: '#007bff',
+                            color: 'white',
+                            border: 'none',
+                            borderRadius: '50px',
+                            cursor: 'pointer'
+                        }}
+                    >
+                        {t('start')}
+                    </button>
+                    <label style={{ display: 'block', marginTop: '15px', fontSize: '13px', color: '#666' }}>
+                        <input
+                            type="checkbox"
+                            checked={shareTranscript}
+                            onChange={e => setShareTranscript(e.target.checked)}
+                            style={{ marginRight: '6px' }}
+                        />
+                        {t('shareTranscript')}
+                    </label>
+                </div>
             )}
 
-            {status === 'connecting' && <p>Connecting to Expert...</p>}
+            {status === 'connecting' && <p>{t('connecting')}</p>}
 
-            {status === 'connected' && (
+            {(status === 'connected' || status === 'reconnecting') && (
                 <div style={{ marginTop: '20px' }}>
-                    <div style={{ padding: '15px', background: '#e0ffe0', borderRadius: '10px', marginBottom: '20px' }}>
-                        <p>🟢 Connected</p>
-                        <p>Speak now. The agent can see the painting.</p>
-                    </div>
+                    {status === 'connected' ? (
+                        <div style={{ padding: '15px', background: '#e0ffe0', borderRadius: '10px', marginBottom: '20px' }}>
+                            <p>🟢 {t('connected')}</p>
+                            <p>{t('speakNow')}</p>
+                            {endingSoon && <p style={{ fontSize: '13px', color: '#856404' }}>{t('sessionEndingSoon')}</p>}
+                        </div>
+                    ) : (
+                        <div role="status" style={{ padding: '15px', background: '#fff3cd', borderRadius: '10px', marginBottom: '20px' }}>
+                            <p>🟡 {t('reconnecting')}</p>
+                        </div>
+                    )}
 
                     <button
                         onClick={stopConversation}
@@ -351,29 +630,85 @@ export default function Visitor({ slugOverride }) {
                             cursor: 'pointer'
                         }}
                     >
-                        End Conversation
+                        {t('end')}
                     </button>
                 </div>
             )}
 
+            {status === 'connected' && localized.suggestedQuestions && localized.suggestedQuestions.length > 0 && (
+                <div style={{ marginTop: '20px', textAlign: 'left' }}>
+                    <div style={{ fontSize: '13px', color: '#666', marginBottom: '6px' }}>{t('suggestedQuestions')}</div>
+                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
+                        {localized.suggestedQuestions.map(question => {
+                            const used = askedQuestions.includes(normalizeQuestion(question));
+                            return (
+                                <button
+                                    key={question}
+                                    onClick={() => sendTextMessage(question)}
+                                    aria-pressed={used}
+                                    style={{
+                                        padding: '8px 12px',
+                                        fontSize: '14px',
+                                        border: `1px solid ${used ? '#ccc' : '#007bff'}`,
+                                        borderRadius: '16px',
+                                        background: used ? '#f1f1f1' : 'white',
+                                        color: used ? '#888' : '#007bff',
+                                        cursor: 'pointer'
+                                    }}
+                                >
+                                    {used ? '✓ ' : ''}{question}
+                                </button>
+                            );
+                        })}
+                    </div>
+                </div>
+            )}
+
+            {(status === 'connected' || transcript.length > 0) && (
+                <TranscriptPanel
+                    entries={transcript}
+                    onSend={sendTextMessage}
+                    canSend={status === 'connected'}
+                    t={t}
+                />
+            )}
+
+            {nextPainting && (
+                <a
+                    href={tourPaintingUrl(nextPainting, exhibition.id, lang)}
+                    style={{ display: 'block', marginTop: '20px', padding: '12px', border: '1px solid #007bff', borderRadius: '25px', color: '#007bff', textDecoration: 'none' }}
+                >
+                    {t('nextPainting')}: {localizePainting(nextPainting, lang).title} →
+                </a>
+            )}
+
             {/* Audio element for AI responses */}
             <audio ref={audioRef} autoPlay style={{ display: 'none' }} />
 
+            <button
+                onClick={() => setShowDebug(!showDebug)}
+                style={{ marginTop: '30px', padding: '4px 10px', fontSize: '12px', background: 'none', border: '1px solid #ccc', color: '#666', borderRadius: '4px', cursor: 'pointer' }}
+            >
+                {showDebug ? 'Hide debug log' : 'Show debug log'}
+            </button>
+
             {/* Debug Log */}
-            <div style={{
-                marginTop: '30px',
-                textAlign: 'left',
-                background: '#333',
-                color: '#0f0',
-                padding: '10px',
-                borderRadius: '5px',
-                fontSize: '12px',
-                height: '200px',
-                overflowY: 'scroll'
-            }}>
-                <strong>Debug Logs:</strong>
-                {logs.map((log, i) => <div key={i}>{log}</div>)}
-            </div>
+            {showDebug && (
+                <div style={{
+                    marginTop: '10px',
+                    textAlign: 'left',
+                    background: '#333',
+                    color: '#0f0',
+                    padding: '10px',
+                    borderRadius: '5px',
+                    fontSize: '12px',
+                    height: '200px',
+                    overflowY: 'scroll'
+                }}>
+                    <strong>Debug Logs:</strong>
+                    {logs.map((log, i) => <div key={i}>{log}</div>)}
+                </div>
+            )}
         </div>
     );
 }
\ No newline at end of file
@@ -0,0 +1,67 @@
+// Answers function calls the model makes during a conversation. The server
+// decides which tools a session gets (tokenData.session.tools from /api/session, defined
+// in server/lib/tools.js); this module runs them and returns the output sent
+// back on the data channel. UI tools act through context.ui, supplied by Visitor.jsx.
+
+const API_URL = import.meta.env.VITE_API_URL;
+
+// previewQuery carries a draft's preview token, so a curator's test run looks up the draft facts
+const lookupPaintingFacts = async ({ query }, { painting, lang, previewQuery }) => {
+    const res = await fetch(`${API_URL}/api/paintings/${painting.id}/facts/search?q=${encodeURIComponent(query || '')}&lang=${lang}${previewQuery ? `&${previewQuery}` : ''}`);
+    const json = await res.json();
+    if (!res.ok) return { error: json.error || 'Lookup failed' };
+    if (json.results.length === 0) return { results: [], note: 'Nothing in the museum notes matches; say so rather than guessing.' };
+    return { results: json.results.map(r => r.text) };
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, Number(value) || 0));
+
+// Keeps a region inside the image whatever the model sends
+const toRegion = ({ x, y, width, height, label }) => {
+    const left = clamp(x, 0, 1);
+    const top = clamp(y, 0, 1);
+    return {
+        x: left,
+        y: top,
+        width: clamp(width, 0.02, 1 - left),
+        height: clamp(height, 0.02, 1 - top),
+        label: label ? String(label) : ''
+    };
+};
+
+const highlightRegion = async (args, { ui }) => {
+    ui.highlightRegion(toRegion(args));
+    return { shown: true };
+};
+
+const openDetailZoom = async ({ x, y, zoom, label }, { ui }) => {
+    ui.openDetailZoom({ x: clamp(x, 0, 1), y: clamp(y, 0, 1), zoom: clamp(zoom || 2.5, 1.5, 5), label: label ? String(label) : '' });
+    return { shown: true };
+};
+
+const showRelatedPainting = async ({ painting_id: id, reason }, { ui }) => {
+    const res = await fetch(`${API_URL}/api/paintings/${encodeURIComponent(id)}`);
+    if (!res.ok) return { error: 'Painting not found' };
+    const painting = await res.json();
+    if (painting.archived) return { error: 'That painting is not on display' };
+    ui.showRelatedPainting({ painting, reason: reason ? String(reason) : '' });
+    return { shown: true, title: painting.title };
+};
+
+const HANDLERS = {
+    lookup_painting_facts: lookupPaintingFacts,
+    highlight_region: highlightRegion,
+    open_detail_zoom: openDetailZoom,
+    show_related_painting: showRelatedPainting
+};
+
+// msg is a response.function_call_arguments.done event
+export const runToolCall = async (msg, context) => {
+    const handler = HANDLERS[msg.name];
+    if (!handler) return { error: `Unknown tool: ${msg.name}` };
+    try {
+        return await handler(JSON.parse(msg.arguments || '{}'), context);
+    } catch (err) {
+        return { error: err.message };
+    }
+};
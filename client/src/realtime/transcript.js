@@ -0,0 +1,54 @@
+// Builds a running transcript from Realtime data channel events.
+// Entries are keyed by conversation item id so late-arriving input transcriptions
+// stay in the position where the visitor actually spoke.
+//
+// Entry shape: { id, role: 'user' | 'assistant', text, done }
+
+const upsert = (entries, id, role, update) => {
+    const index = entries.findIndex(e => e.id === id);
+    if (index === -1) {
+        return [...entries, update({ id, role, text: '', done: false })];
+    }
+    const next = [...entries];
+    next[index] = update(next[index]);
+    return next;
+};
+
+// Handles both the beta (response.audio_transcript.*) and GA
+// (response.output_audio_transcript.*) event names.
+export const applyTranscriptEvent = (entries, msg) => {
+    switch (msg.type) {
+        case 'conversation.item.created': {
+            const item = msg.item || {};
+            const isSpokenInput = item.role === 'user' && (item.content || []).some(c => c.type === 'input_audio');
+            // Reserve the slot now; the transcription arrives later
+            if (isSpokenInput) return upsert(entries, item.id, 'user', e => e);
+            return entries;
+        }
+        case 'conversation.item.input_audio_transcription.delta':
+            return upsert(entries, msg.item_id, 'user', e => ({ ...e, text: e.text + (msg.delta || '') }));
+        case 'conversation.item.input_audio_transcription.completed':
+            return upsert(entries, msg.item_id, 'user', e => ({ ...e, text: (msg.transcript || '').trim(), done: true }));
+        case 'conversation.item.input_audio_transcription.failed':
+            return upsert(entries, msg.item_id, 'user', e => ({ ...e, text: e.text || '(inaudible)', done: true }));
+        case 'response.audio_transcript.delta':
+        case 'response.output_audio_transcript.delta':
+        case 'response.text.delta':
+        case 'response.output_text.delta':
+            return upsert(entries, msg.item_id, 'assistant', e => ({ ...e, text: e.text + (msg.delta || '') }));
+        case 'response.audio_transcript.done':
+        case 'response.output_audio_transcript.done':
+            return upsert(entries, msg.item_id, 'assistant', e => ({ ...e, text: msg.transcript ?? e.text, done: true }));
+        case 'response.text.done':
+        case 'response.output_text.done':
+            return upsert(entries, msg.item_id, 'assistant', e => ({ ...e, text: msg.text ?? e.text, done: true }));
+        default:
+            return entries;
+    }
+};
+
+// Typed messages are added locally as soon as they are sent
+export const addTypedMessage = (entries, id, text) => [...entries, { id, role: 'user', text, done: true, typed: true }];
+
+// Realtime item ids are limited to 32 characters
+export const createItemId = () => `item_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
@@ -0,0 +1,186 @@
+// Connects the visitor page to whichever realtime provider the server uses.
+// /api/session returns provider: { name, transport, url, model }; both transports
+// carry the same Realtime events, so Visitor.jsx works the same over either:
+//   webrtc    - OpenAI: microphone and voice over a peer connection, events on the
+//               "oai-events" data channel, SDP exchanged with url?model=...
+//   websocket - the server's offline mock: events and pcm16 voice over a WebSocket;
+//               no microphone, questions are typed
+//
+// handlers: { audioEl, log, onOpen, onEvent, onStateChange }. onStateChange gets
+// 'connected', 'disconnected', 'failed' or 'closed'.
+
+const PCM_SAMPLE_RATE = 24000;
+
+const parseEvent = (data, log) => {
+    try {
+        return JSON.parse(data);
+    } catch (err) {
+        log(`Unreadable event: ${err.message}`);
+        return null;
+    }
+};
+
+const createWebRtcTransport = ({ client_secret: secret, provider }, { audioEl, log, onOpen, onEvent, onStateChange }) => {
+    let pc = null;
+    let dc = null;
+    let stream = null;
+
+    return {
+        async connect() {
+            pc = new RTCPeerConnection();
+            const peer = pc;
+
+            peer.oniceconnectionstatechange = () => log(`ICE State: ${peer.iceConnectionState}`);
+            peer.onconnectionstatechange = () => {
+                log(`Connection State: ${peer.connectionState}`);
+                onStateChange(peer.connectionState);
+            };
+
+            // Handle incoming audio
+            peer.ontrack = (event) => {
+                log('✓ Received remote audio track');
+                if (audioEl && event.streams[0]) {
+                    audioEl.srcObject = event.streams[0];
+                    audioEl.play().catch(e => log(`Audio play error: ${e.message}`));
+                }
+            };
+
+            log('Requesting microphone access...');
+            stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+            log('✓ Microphone access granted');
+            stream.getTracks().forEach(track => peer.addTrack(track, stream));
+
+            dc = peer.createDataChannel('oai-events');
+            dc.onopen = () => {
+                log('✓ Data channel opened');
+                onOpen();
+            };
+            dc.onmessage = (e) => {
+                const msg = parseEvent(e.data, log);
+                if (msg) onEvent(msg);
+            };
+            dc.onerror = (e) => {
+                log(`Data channel error: ${e.type} - ${e.error?.message || 'Unknown error'}`);
+                console.error('Full data channel error:', e);
+            };
+            dc.onclose = () => {
+                log('Data channel closed');
+                onStateChange('closed');
+            };
+
+            log('Creating SDP offer...');
+            const offer = await peer.createOffer();
+            await peer.setLocalDescription(offer);
+
+            log(`Sending offer to ${provider.name}...`);
+            const sdpResponse = await fetch(`${provider.url}?model=${encodeURIComponent(provider.model)}`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${secret.value}`,
+                    'Content-Type': 'application/sdp'
+                },
+                body: offer.sdp
+            });
+            if (!sdpResponse.ok) {
+                const errorText = await sdpResponse.text();
+                throw new Error(`SDP exchange failed: ${sdpResponse.status} - ${errorText}`);
+            }
+
+            await peer.setRemoteDescription({ type: 'answer', sdp: await sdpResponse.text() });
+            log('✓ WebRTC connection established!');
+        },
+
+        isOpen: () => Boolean(dc && dc.readyState === 'open'),
+
+        send(event) {
+            if (dc && dc.readyState === 'open') dc.send(JSON.stringify(event));
+        },
+
+        // Also releases the microphone
+        close() {
+            if (dc) dc.close();
+            if (pc) pc.close();
+            if (stream) stream.getTracks().forEach(track => track.stop());
+            dc = null;
+            pc = null;
+            stream = null;
+        }
+    };
+};
+
+// Schedules base64 pcm16 chunks back to back on an AudioContext
+const createPcmPlayer = () => {
+    const context = new AudioContext({ sampleRate: PCM_SAMPLE_RATE });
+    let playhead = 0;
+    return {
+        play(base64) {
+            const bytes = Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+            const samples = new Int16Array(bytes.buffer, 0, Math.floor(bytes.length / 2));
+            const buffer = context.createBuffer(1, samples.length, PCM_SAMPLE_RATE);
+            buffer.getChannelData(0).set(Float32Array.from(samples, s => s / 32768));
+            const source = context.createBufferSource();
+            source.buffer = buffer;
+            source.connect(context.destination);
+            playhead = Math.max(playhead, context.currentTime);
+            source.start(playhead);
+            playhead += buffer.duration;
+        },
+        close() {
+            context.close();
+        }
+    };
+};
+
+const createWebSocketTransport = ({ client_secret: secret, provider }, { log, onOpen, onEvent, onStateChange }) => {
+    let socket = null;
+    let player = null;
+
+    return {
+        connect() {
+            // Created during the Start click, so the browser lets it play
+            player = createPcmPlayer();
+            return new Promise((resolve, reject) => {
+                let opened = false;
+                log(`Connecting to ${provider.name} at ${provider.url}...`);
+                socket = new WebSocket(`${provider.url}?token=${encodeURIComponent(secret.value)}`);
+                socket.onopen = () => {
+                    opened = true;
+                    log('✓ WebSocket connection established!');
+                    resolve();
+                    onStateChange('connected');
+                    onOpen();
+                };
+                socket.onmessage = (e) => {
+                    const msg = parseEvent(e.data, log);
+                    if (!msg) return;
+                    if (msg.type === 'response.audio.delta' && player) player.play(msg.delta);
+                    onEvent(msg);
+                };
+                socket.onclose = (e) => {
+                    log(`WebSocket closed (${e.code}${e.reason ? `: ${e.reason}` : ''})`);
+                    if (opened) onStateChange('closed');
+                    else reject(new Error(e.reason || 'WebSocket connection failed'));
+                };
+            });
+        },
+
+        isOpen: () => Boolean(socket && socket.readyState === WebSocket.OPEN),
+
+        send(event) {
+            if (socket && socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(event));
+        },
+
+        close() {
+            if (socket) socket.close();
+            if (player) player.close();
+            socket = null;
+            player = null;
+        }
+    };
+};
+
+// tokenData is the /api/session response
+export const createTransport = (tokenData, handlers) => {
+    if (tokenData.provider.transport === 'websocket') return createWebSocketTransport(tokenData, handlers);
+    return createWebRtcTransport(tokenData, handlers);
+};
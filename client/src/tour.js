@@ -0,0 +1,11 @@
+// Links to a painting's Visitor page (/talk) and between an exhibition landing page (/tour) and its paintings.
+// Plain URLs rather than router links so a full page load ends the current
+// conversation cleanly before the next one starts.
+
+export const tourUrl = (exhibition, lang) =>
+    `/tour?${exhibition.slug ? `slug=${exhibition.slug}` : `id=${exhibition.id}`}&lang=${lang}`;
+
+export const paintingUrl = (painting, lang) =>
+    `/talk?${painting.slug ? `slug=${painting.slug}` : `id=${painting.id}`}&lang=${lang}`;
+
+export const tourPaintingUrl = (painting, exhibitionId, lang) => `${paintingUrl(painting, lang)}&tour=${exhibitionId}`;
@@ -0,0 +1,89 @@
+// Aggregates recorded conversations for the curator Analytics tab.
+
+const QUESTION_WORDS = /^(who|what|when|where|why|how|which|is|are|was|were|did|does|do|can|could|would|should|tell me|explain)\b/;
+const MAX_TRANSCRIPT_ENTRIES = 500;
+const MAX_ENTRY_LENGTH = 2000;
+const MAX_DAYS = 3650;
+
+const average = (values) => values.length ? Math.round(values.reduce((a, b) => a + b, 0) / values.length) : null;
+
+// Collapses case and punctuation so "Who painted this?" and "who painted this" count together.
+const normalizeQuestion = (text) => text
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}\s]/gu, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const isQuestion = (text) => text.includes('?') || QUESTION_WORDS.test(normalizeQuestion(text));
+
+// Only keep role/text pairs of sane size from what the visitor page posts back.
+const sanitizeTranscript = (transcript) => {
+  if (!Array.isArray(transcript)) return null;
+  return transcript
+    .filter(e => e && (e.role === 'user' || e.role === 'assistant') && typeof e.text === 'string' && e.text.trim())
+    .slice(0, MAX_TRANSCRIPT_ENTRIES)
+    .map(e => ({ role: e.role, text: e.text.trim().slice(0, MAX_ENTRY_LENGTH) }));
+};
+
+// ?days= limits the report to the last n days; without it every conversation counts.
+// Returns { days } (null for all time) or { error }.
+const parseDays = (raw) => {
+  if (raw === undefined || raw === '') return { days: null };
+  const days = Number(raw);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+    return { error: `days must be a whole number between 1 and ${MAX_DAYS}` };
+  }
+  return { days };
+};
+
+const summarize = (conversations, { topQuestions = 10 } = {}) => {
+  const ended = conversations.filter(c => typeof c.durationMs === 'number');
+
+  const byPainting = new Map();
+  for (const c of conversations) {
+    const key = c.paintingId || 'none';
+    if (!byPainting.has(key)) {
+      byPainting.set(key, { paintingId: c.paintingId || null, title: c.paintingTitle || '(no painting)', sessions: 0, durations: [] });
+    }
+    const entry = byPainting.get(key);
+    entry.sessions += 1;
+    if (typeof c.durationMs === 'number') entry.durations.push(c.durationMs);
+  }
+
+  const hours = Array.from({ length: 24 }, (_, hour) => ({ hour, sessions: 0 }));
+  for (const c of conversations) {
+    hours[new Date(c.startedAt).getHours()].sessions += 1;
+  }
+
+  const questions = new Map();
+  for (const c of conversations) {
+    for (const entry of c.transcript || []) {
+      if (entry.role !== 'user' || !isQuestion(entry.text)) continue;
+      const key = normalizeQuestion(entry.text);
+      if (!key) continue;
+      if (!questions.has(key)) questions.set(key, { question: entry.text, count: 0, paintings: new Set() });
+      const q = questions.get(key);
+      q.count += 1;
+      if (c.paintingTitle) q.paintings.add(c.paintingTitle);
+    }
+  }
+
+  return {
+    totals: {
+      sessions: conversations.length,
+      completedSessions: ended.length,
+      withTranscript: conversations.filter(c => c.transcript).length,
+      averageDurationMs: average(ended.map(c => c.durationMs))
+    },
+    perPainting: [...byPainting.values()]
+      .map(({ durations, ...rest }) => ({ ...rest, averageDurationMs: average(durations) }))
+      .sort((a, b) => b.sessions - a.sessions),
+    busiestHours: hours,
+    topQuestions: [...questions.values()]
+      .sort((a, b) => b.count - a.count)
+      .slice(0, topQuestions)
+      .map(q => ({ ...q, paintings: [...q.paintings] }))
+  };
+};
+
+module.exports = { sanitizeTranscript, parseDays, summarize };
@@ -0,0 +1,114 @@
+const { cleanYear } = require('./metadata');
+const { localizePainting } = require('./languages');
+
+// Artists are shared between paintings: painting.artistId links a work to one, so
+// the biography is written once instead of being repeated in every painting's facts.
+// The guide is told about the artist and their other works on display, and the
+// visitor page links to those works.
+
+const MAX_NAME_LENGTH = 200;
+const MAX_BIO_LENGTH = 10000;
+const MAX_MOVEMENTS = 10;
+const MAX_MOVEMENT_LENGTH = 60;
+
+// Movements come as an array, a JSON string of one (multipart bodies) or comma-separated text
+const parseMovements = (raw) => {
+  if (raw === undefined || raw === null || raw === '') return [];
+  let list = raw;
+  if (typeof raw === 'string') {
+    try {
+      list = raw.trim().startsWith('[') ? JSON.parse(raw) : raw.split(',');
+    } catch (err) {
+      throw new Error('Movements must be valid JSON');
+    }
+  }
+  if (!Array.isArray(list)) throw new Error('Movements must be a list');
+  const movements = [...new Set(list
+    .filter(m => typeof m === 'string')
+    .map(m => m.replace(/\s+/g, ' ').trim())
+    .filter(Boolean))];
+  if (movements.length > MAX_MOVEMENTS) throw new Error(`An artist can have at most ${MAX_MOVEMENTS} movements`);
+  if (movements.some(m => m.length > MAX_MOVEMENT_LENGTH)) throw new Error(`Movements can be at most ${MAX_MOVEMENT_LENGTH} characters`);
+  return movements;
+};
+
+// Returns { fields } or { error }; the portrait is handled by the route
+const validateArtist = (body) => {
+  const { name, bio, birthYear, deathYear, movements } = body || {};
+  const cleanName = typeof name === 'string' ? name.replace(/\s+/g, ' ').trim() : '';
+  if (!cleanName) return { error: 'Artist name is required' };
+  if (cleanName.length > MAX_NAME_LENGTH) return { error: `Artist name can be at most ${MAX_NAME_LENGTH} characters` };
+  const cleanBio = typeof bio === 'string' ? bio.trim() : '';
+  if (cleanBio.length > MAX_BIO_LENGTH) return { error: `The biography can be at most ${MAX_BIO_LENGTH} characters` };
+
+  try {
+    const born = cleanYear(birthYear, 'The year of birth');
+    const died = cleanYear(deathYear, 'The year of death');
+    if (born !== null && died !== null && died < born) return { error: 'The year of death cannot be before the year of birth' };
+    return {
+      fields: {
+        name: cleanName,
+        birthYear: born,
+        deathYear: died,
+        movements: parseMovements(movements),
+        bio: cleanBio
+      }
+    };
+  } catch (err) {
+    return { error: err.message };
+  }
+};
+
+const formatYear = (year) => (year < 0 ? `${-year} BC` : String(year));
+
+// e.g. "1452–1519", "born 1950"
+const lifespan = ({ birthYear, deathYear }) => {
+  if (birthYear && deathYear) return `${formatYear(birthYear)}–${formatYear(deathYear)}`;
+  if (birthYear) return `born ${formatYear(birthYear)}`;
+  if (deathYear) return `died ${formatYear(deathYear)}`;
+  return '';
+};
+
+// The artist's works that visitors can go and see, in title order
+const worksOnDisplay = (artist, paintings) => paintings
+  .filter(p => p.artistId === artist.id && !p.archived)
+  .sort((a, b) => String(a.title).localeCompare(String(b.title)));
+
+// What the visitor page gets: the profile plus the works on display
+const publicArtist = (artist, paintings) => ({
+  ...artist,
+  paintings: worksOnDisplay(artist, paintings)
+    .map(({ id, slug, title, translations, imageUrl, images }) => ({ id, slug, title, translations, imageUrl, images }))
+});
+
+// Summary passed to buildInstructions: the profile and the artist's other works on display, localized
+const artistContext = (artist, paintings, currentPaintingId, lang) => ({
+  name: artist.name,
+  lifespan: lifespan(artist),
+  movements: artist.movements || [],
+  bio: artist.bio || '',
+  otherWorks: worksOnDisplay(artist, paintings)
+    .filter(p => p.id !== currentPaintingId)
+    .map(p => localizePainting(p, lang).title)
+});
+
+// When an artist is deleted: whether a painting or its draft links to them, and the painting
+// with both links cleared, so publishing the draft can't bring a deleted artist back
+const linksArtist = (painting, artistId) =>
+  painting.artistId === artistId || Boolean(painting.draft && painting.draft.content.artistId === artistId);
+
+const unlinkArtist = (painting, artistId) => ({
+  ...painting,
+  artistId: painting.artistId === artistId ? null : painting.artistId,
+  draft: painting.draft && painting.draft.content.artistId === artistId
+    ? { ...painting.draft, content: { ...painting.draft.content, artistId: null } }
+    : painting.draft
+});
+
+module.exports = {
+  validateArtist,
+  publicArtist,
+  artistContext,
+  linksArtist,
+  unlinkArtist
+};
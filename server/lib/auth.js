@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const util = require('util');
+const { v4: uuidv4 } = require('uuid');
+const { createWindow } = require('./limits');
+
+const ROLES = ['curator', 'viewer'];
+const TOKEN_TTL_MS = 12 * 60 * 60 * 1000; // 12 hours
+
+// Tokens are signed with AUTH_SECRET. Without one, a random secret is used and
+// every curator has to log in again after a server restart.
+let secret = process.env.AUTH_SECRET;
+if (!secret) {
+  console.warn('AUTH_SECRET is not set; using a random secret (sessions will not survive restarts)');
+  secret = crypto.randomBytes(32).toString('hex');
+}
+
+// Failed logins allowed per IP and per username in a sliding hour. The counts are kept in
+// memory, so they reset when the server restarts.
+const MAX_FAILED_LOGINS_PER_IP = 20;
+const MAX_FAILED_LOGINS_PER_USERNAME = 10;
+
+// scrypt runs on the libuv thread pool, so hashing doesn't hold up other requests
+const scrypt = util.promisify(crypto.scrypt);
+
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = (await scrypt(password, salt, 64)).toString('hex');
+  return `${salt}:${hash}`;
+};
+
+const verifyPassword = async (password, stored) => {
+  const [salt, hash] = (stored || '').split(':');
+  if (!salt || !hash) return false;
+  const candidate = await scrypt(password, salt, 64);
+  const expected = Buffer.from(hash, 'hex');
+  return expected.length === candidate.length && crypto.timingSafeEqual(expected, candidate);
+};
+
+const sign = (payload) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+const createToken = (user) => {
+  const payload = Buffer.from(JSON.stringify({
+    sub: user.id,
+    username: user.username,
+    role: user.role,
+    exp: Date.now() + TOKEN_TTL_MS
+  })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+};
+
+const verifyToken = (token) => {
+  const [payload, signature] = (token || '').split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!claims.exp || claims.exp < Date.now()) return null;
+    return claims;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Never send password hashes to the client
+const publicUser = ({ passwordHash, ...user }) => user;
+
+const createUserStore = (collection) => {
+  const createUser = async ({ username, password, role }) => {
+    if (await collection.findOne(u => u.username === username)) {
+      throw new Error('Username already exists');
+    }
+    return collection.insert({
+      id: uuidv4(),
+      username,
+      role,
+      passwordHash: await hashPassword(password),
+      createdAt: new Date().toISOString()
+    });
+  };
+
+  // Seed the first curator from ADMIN_USERNAME / ADMIN_PASSWORD
+  const bootstrap = async () => {
+    const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+    if ((await collection.all()).length > 0) return;
+    if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+      console.warn('No curator accounts exist. Set ADMIN_USERNAME and ADMIN_PASSWORD to create one.');
+      return;
+    }
+    await createUser({ username: ADMIN_USERNAME, password: ADMIN_PASSWORD, role: 'curator' });
+    console.log(`Created curator account '${ADMIN_USERNAME}'`);
+  };
+
+  return {
+    all: collection.all,
+    get: collection.get,
+    findByUsername: (username) => collection.findOne(u => u.username === username),
+    remove: collection.remove,
+    createUser,
+    bootstrap
+  };
+};
+
+// Route guards for the given user store. The token only proves who is asking: the account is
+// looked up on every request, so deleting a curator or changing their role takes effect at once
+// rather than when their token expires.
+const createAuthMiddleware = (users) => {
+  // Attaches req.user when a valid Bearer token belongs to an existing account; rejects otherwise.
+  const requireAuth = (req, res, next) => {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+    const claims = verifyToken(token);
+    if (!claims) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    users.get(claims.sub)
+      .then(user => {
+        if (!user) return res.status(401).json({ error: 'Account no longer exists' });
+        req.user = { id: user.id, username: user.username, role: user.role };
+        next();
+      })
+      .catch(error => {
+        console.error('Error checking account:', error);
+        res.status(500).json({ error: 'Internal Server Error' });
+      });
+  };
+
+  const requireRole = (...roles) => [
+    requireAuth,
+    (req, res, next) => {
+      if (!roles.includes(req.user.role)) {
+        return res.status(403).json({ error: 'You do not have permission to do this' });
+      }
+      next();
+    }
+  ];
+
+  return { requireAuth, requireRole };
+};
+
+// Refuses logins for an IP or a username with too many recent failures, so passwords
+// can't be guessed at speed. Only failures count: curators who get it right aren't slowed down.
+const createLoginGate = () => {
+  const byIp = createWindow();
+  const byUsername = createWindow();
+  const usernameKey = (username) => String(username || '');
+
+  return {
+    // Seconds until this IP may try this username again; 0 when it may now
+    retryAfter({ ip, username, now = Date.now() }) {
+      return Math.max(
+        byIp.retryAfter(ip, MAX_FAILED_LOGINS_PER_IP, now),
+        byUsername.retryAfter(usernameKey(username), MAX_FAILED_LOGINS_PER_USERNAME, now)
+      );
+    },
+    recordFailure({ ip, username, now = Date.now() }) {
+      byIp.record(ip, now);
+      byUsername.record(usernameKey(username), now);
+    }
+  };
+};
+
+module.exports = {
+  ROLES,
+  verifyPassword,
+  createToken,
+  verifyToken,
+  publicUser,
+  createUserStore,
+  createAuthMiddleware,
+  createLoginGate
+};
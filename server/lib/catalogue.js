@@ -0,0 +1,498 @@
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { MAX_UPLOAD_BYTES, validateImage } = require('./images');
+const { sanitizeTranslations } = require('./languages');
+const { sanitizePersonaIds } = require('./personas');
+const { sanitizeHotspots } = require('./hotspots');
+const { sanitizeVoiceSettings } = require('./voice');
+const { sanitizeOpeningLine, sanitizeSuggestedQuestions } = require('./starters');
+const { sanitizeMetadata } = require('./metadata');
+const { validateArtist } = require('./artists');
+const { SLUG_PATTERN, INVALID_SLUG, sanitizeSlug } = require('./slugs');
+
+// Bulk import and export of the catalogue as a ZIP holding a manifest and image files:
+//   paintings.json - { paintings: [...], exhibitions: [...], artists: [...] } (or just the array
+//                    of paintings); what /api/export writes, so a backup imports into another
+//                    instance as is. Paintings link to artists by artistId; an artist's
+//                    "portrait" is an image path like a painting's "image". A painting's
+//                    unpublished changes are its "draft", with the same content fields
+//   paintings.csv  - one row per painting, for collections prepared in a spreadsheet. Columns:
+//                    title, slug, description, facts, image, openingLine, suggestedQuestions
+//                    (separated by |), templateId, artistId, and <field>.<language> for translations,
+//                    e.g. title.it or description.fr. The catalogue details (see metadata.js)
+//                    have a column each: artist, dateFrom, dateTo, circa, medium, height,
+//                    width, depth, unit, location, provenance, creditLine, tags (separated by |)
+// "image" is the path of the image file, relative to the manifest.
+// planImport() checks everything up front; /api/import shows the result as a dry run,
+// or creates the rows that passed.
+
+const MAX_IMPORT_BYTES = Math.round((Number(process.env.MAX_IMPORT_MB) || 200) * 1024 * 1024);
+const MANIFEST_NAMES = ['paintings.json', 'paintings.csv'];
+const MAX_ROWS = 1000;
+const EXPORT_VERSION = 1;
+
+const METADATA_COLUMNS = ['artist', 'dateFrom', 'dateTo', 'circa', 'medium', 'location', 'provenance', 'creditLine', 'tags'];
+const DIMENSION_COLUMNS = ['height', 'width', 'depth', 'unit'];
+
+const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+// RFC 4180: quoted fields may hold delimiters, line breaks and doubled quotes.
+// Spreadsheets in many European locales save with ';', so that is accepted too.
+const parseCsv = (source) => {
+  const input = source.replace(/^\uFEFF/, '');
+  const firstLine = input.split(/\r?\n/, 1)[0];
+  const delimiter = !firstLine.includes(',') && firstLine.includes(';') ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < input.length; i++) {
+    const c = input[i];
+    if (quoted) {
+      if (c === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (quoted) throw new Error('paintings.csv has a quoted field that is never closed');
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+};
+
+// CSV rows -> the same painting objects a JSON manifest holds
+const csvPaintings = (source) => {
+  const [header, ...rows] = parseCsv(source);
+  if (!header) return [];
+  const columns = header.map(h => h.trim());
+  return rows.map(cells => {
+    const painting = { translations: {}, metadata: { dimensions: {} } };
+    columns.forEach((column, i) => {
+      const value = (cells[i] || '').trim();
+      if (!column || !value) return;
+      if (METADATA_COLUMNS.includes(column)) {
+        painting.metadata[column] = column === 'tags' ? value.split('|') : value;
+        return;
+      }
+      if (DIMENSION_COLUMNS.includes(column)) {
+        painting.metadata.dimensions[column] = value;
+        return;
+      }
+      const [field, lang] = column.split('.');
+      if (lang && !painting.translations[lang]) painting.translations[lang] = {};
+      const target = lang ? painting.translations[lang] : painting;
+      target[field] = field === 'suggestedQuestions' ? value.split('|') : value;
+    });
+    return painting;
+  });
+};
+
+// A zipped folder puts everything one level down, so take the shallowest manifest
+const findManifest = (zip) => zip.getEntries()
+  .filter(e => !e.isDirectory && !e.entryName.startsWith('__MACOSX/'))
+  .filter(e => MANIFEST_NAMES.includes(path.posix.basename(e.entryName).toLowerCase()))
+  .sort((a, b) => a.entryName.split('/').length - b.entryName.split('/').length)[0];
+
+const readManifest = (zip) => {
+  const entry = findManifest(zip);
+  if (!entry) throw new Error(`The ZIP has no manifest; add a ${MANIFEST_NAMES.join(' or ')} file`);
+
+  const source = entry.getData().toString('utf8');
+  let paintings;
+  let exhibitions = [];
+  let artists = [];
+  if (entry.entryName.toLowerCase().endsWith('.csv')) {
+    paintings = csvPaintings(source);
+  } else {
+    let value;
+    try {
+      value = JSON.parse(source.replace(/^\uFEFF/, ''));
+    } catch (err) {
+      throw new Error(`paintings.json is not valid JSON: ${err.message}`);
+    }
+    paintings = Array.isArray(value) ? value : value && value.paintings;
+    if (!Array.isArray(paintings)) throw new Error('paintings.json must hold an array of paintings, or { "paintings": [...] }');
+    if (value && Array.isArray(value.exhibitions)) exhibitions = value.exhibitions;
+    if (value && Array.isArray(value.artists)) artists = value.artists;
+  }
+  if (paintings.length === 0) throw new Error('The manifest lists no paintings');
+  if (paintings.length > MAX_ROWS) throw new Error(`The manifest lists ${paintings.length} paintings; import at most ${MAX_ROWS} at a time`);
+
+  const dir = path.posix.dirname(entry.entryName);
+  return { name: entry.entryName, dir: dir === '.' ? '' : dir, paintings, exhibitions, artists };
+};
+
+// Resolves the manifest's image path and checks the file. The image is decompressed for the
+// check, but the entry is returned rather than the data: every row's image is read again
+// when the row is created, so only one is held in memory at a time.
+const checkImage = async (zip, dir, image) => {
+  if (!image) throw new Error('Image is required');
+  const name = path.posix.normalize(path.posix.join(dir, image));
+  const entry = zip.getEntry(name);
+  if (!entry || entry.isDirectory) throw new Error(`Image "${image}" is not in the ZIP`);
+  const tooLarge = new Error(`Image "${image}" is larger than ${Math.round(MAX_UPLOAD_BYTES / 1024 / 102.4) / 10} MB`);
+  // The size in the header is only what the ZIP claims, so the data is measured as well
+  if (entry.header.size > MAX_UPLOAD_BYTES) throw tooLarge;
+  let data;
+  try {
+    data = entry.getData(); // fails when the data doesn't match the header
+  } catch (err) {
+    throw new Error(`Image "${image}" could not be read from the ZIP: ${err.message || err}`);
+  }
+  if (data.length > MAX_UPLOAD_BYTES) throw tooLarge;
+  await validateImage(data);
+  return entry;
+};
+
+// The fields a painting and its draft have in common; problems go to report.errors/warnings
+const checkContent = (source, context, report, attempt) => {
+  let templateId = text(source.templateId) || null;
+  if (templateId && !context.templateIds.includes(templateId)) {
+    report.warnings.push(`Prompt template "${templateId}" doesn't exist here; the global default will be used`);
+    templateId = null;
+  }
+
+  let artistId = text(source.artistId) || null;
+  if (artistId && !context.artistIds.has(artistId)) {
+    report.warnings.push(`Artist "${artistId}" doesn't exist here or in the file; the painting won't be linked to an artist`);
+    artistId = null;
+  }
+
+  return {
+    title: text(source.title),
+    description: text(source.description),
+    facts: text(source.facts),
+    translations: attempt(() => sanitizeTranslations(source.translations)),
+    templateId,
+    personaIds: attempt(() => sanitizePersonaIds(source.personaIds)),
+    hotspots: attempt(() => sanitizeHotspots(source.hotspots)),
+    voiceSettings: attempt(() => sanitizeVoiceSettings(source.voiceSettings, context.models)),
+    openingLine: attempt(() => sanitizeOpeningLine(source.openingLine)),
+    suggestedQuestions: attempt(() => sanitizeSuggestedQuestions(source.suggestedQuestions)),
+    metadata: attempt(() => sanitizeMetadata(source.metadata)),
+    artistId
+  };
+};
+
+// A backup's unpublished changes (see drafts.js), restored as a draft. Returns
+// { fields, savedAt, savedBy, imageEntry } (imageEntry null when the draft keeps the
+// published image), or null with a warning on the row when they can't be restored:
+// the published version is imported either way.
+const checkDraft = async (draft, row, context) => {
+  if (draft === undefined || draft === null) return null;
+  const problems = { errors: [], warnings: [] };
+  const attempt = (fn) => {
+    try {
+      return fn();
+    } catch (err) {
+      problems.errors.push(err.message);
+      return undefined;
+    }
+  };
+
+  let fields = {};
+  let imageEntry = null;
+  if (typeof draft !== 'object' || Array.isArray(draft)) {
+    problems.errors.push('Not a draft entry');
+  } else {
+    fields = checkContent(draft, context, problems, attempt);
+    if (!fields.title) problems.errors.push('Title is required');
+    const image = text(draft.image) || row.image;
+    if (image !== row.image) {
+      imageEntry = await checkImage(context.zip, context.dir, image).catch(err => {
+        problems.errors.push(err.message);
+        return null;
+      });
+    }
+  }
+
+  problems.warnings.forEach(warning => row.warnings.push(`Unpublished changes: ${warning}`));
+  if (problems.errors.length > 0) {
+    row.warnings.push(`The unpublished changes are left out: ${problems.errors.join('; ')}`);
+    return null;
+  }
+  return {
+    fields,
+    savedAt: draft.savedAt && !Number.isNaN(Date.parse(draft.savedAt)) ? draft.savedAt : new Date().toISOString(),
+    savedBy: text(draft.savedBy) || null,
+    imageEntry
+  };
+};
+
+// One manifest entry -> { row, title, slug, image, errors, warnings } for the preview,
+// plus the sanitized fields, image entry and draft used when the row is created.
+const checkPainting = async (painting, index, context) => {
+  const row = { row: index + 1, title: '', slug: null, image: null, errors: [], warnings: [] };
+  if (!painting || typeof painting !== 'object' || Array.isArray(painting)) {
+    row.errors.push('Not a painting entry');
+    return row;
+  }
+  const attempt = (fn) => {
+    try {
+      return fn();
+    } catch (err) {
+      row.errors.push(err.message);
+      return undefined;
+    }
+  };
+
+  row.title = text(painting.title);
+  row.slug = text(painting.slug) || null;
+  row.image = text(painting.image) || null;
+  if (!row.title) row.errors.push('Title is required');
+
+  if (row.slug) {
+    const earlier = context.slugRows.get(row.slug);
+    if (!SLUG_PATTERN.test(row.slug)) {
+      row.errors.push(INVALID_SLUG);
+    } else if (context.existingSlugs.has(row.slug)) {
+      row.errors.push(`Slug "${row.slug}" already exists`);
+    } else if (earlier) {
+      row.errors.push(`Slug "${row.slug}" is also used by row ${earlier}`);
+    } else {
+      context.slugRows.set(row.slug, row.row);
+    }
+  }
+
+  // Keep the id from a backup so QR codes that use it keep working
+  let id = text(painting.id) || null;
+  if (id && context.takenIds.has(id)) {
+    row.warnings.push('A painting with this id already exists; this one gets a new id and QR code');
+    id = null;
+  }
+  if (id) context.takenIds.add(id);
+
+  const fields = {
+    id,
+    slug: row.slug,
+    ...checkContent(painting, context, row, attempt)
+  };
+  if (painting.archived === true) {
+    fields.archived = true;
+    fields.archivedAt = text(painting.archivedAt) || new Date().toISOString();
+  }
+  if (painting.createdAt && !Number.isNaN(Date.parse(painting.createdAt))) fields.createdAt = painting.createdAt;
+
+  try {
+    row.imageEntry = await checkImage(context.zip, context.dir, row.image);
+  } catch (err) {
+    row.errors.push(err.message);
+  }
+  row.draft = await checkDraft(painting.draft, row, context);
+  row.fields = fields;
+  return row;
+};
+
+// Artists keep their id so the paintings' artistId still points at them. One that is
+// already here (an earlier import of the same backup) is linked to, not created again.
+const checkArtist = async (artist, index, context) => {
+  const entry = { row: index + 1, id: null, name: '', portrait: null, existing: false, errors: [], warnings: [] };
+  if (!artist || typeof artist !== 'object' || Array.isArray(artist)) {
+    entry.errors.push('Not an artist entry');
+    return entry;
+  }
+  entry.id = text(artist.id) || null;
+  entry.name = text(artist.name);
+  entry.portrait = text(artist.portrait) || null;
+  if (entry.id && context.artistIds.has(entry.id)) {
+    entry.existing = true;
+    entry.warnings.push('Already here; the existing profile is kept');
+    return entry;
+  }
+
+  const { error, fields } = validateArtist(artist);
+  if (error) entry.errors.push(error);
+  entry.fields = fields;
+  if (entry.portrait) {
+    try {
+      entry.portraitEntry = await checkImage(context.zip, context.dir, entry.portrait);
+    } catch (err) {
+      entry.errors.push(err.message);
+    }
+  }
+  if (entry.id && entry.errors.length === 0) context.artistIds.add(entry.id);
+  return entry;
+};
+
+// Exhibitions list their paintings by the manifest's ids or slugs; paintings that
+// can't be imported are left out of the tour.
+const checkExhibition = (exhibition, index, context, rows) => {
+  const entry = { row: index + 1, title: '', slug: null, paintingRows: [], errors: [], warnings: [] };
+  if (!exhibition || typeof exhibition !== 'object') {
+    entry.errors.push('Not an exhibition entry');
+    return entry;
+  }
+  entry.title = text(exhibition.title);
+  entry.description = text(exhibition.description);
+  if (!entry.title) entry.errors.push('Exhibition title is required');
+  // The same checks as validateExhibition, against stored exhibitions and earlier entries
+  try {
+    entry.slug = sanitizeSlug(exhibition.slug);
+    if (entry.slug && context.existingExhibitionSlugs.has(entry.slug)) {
+      entry.errors.push(`Exhibition slug "${entry.slug}" already exists`);
+    } else if (entry.slug) {
+      context.existingExhibitionSlugs.add(entry.slug);
+    }
+  } catch (err) {
+    entry.slug = text(exhibition.slug);
+    entry.errors.push(err.message);
+  }
+
+  let missing = 0;
+  (Array.isArray(exhibition.paintingIds) ? exhibition.paintingIds : []).forEach(ref => {
+    const painting = rows.find(r => r.fields && (r.sourceId === ref || r.slug === ref));
+    if (painting && painting.errors.length === 0) entry.paintingRows.push(painting.row);
+    else missing++;
+  });
+  if (missing > 0) {
+    entry.warnings.push(`${missing} painting${missing === 1 ? '' : 's'} in this tour won't be imported and ${missing === 1 ? 'is' : 'are'} left out`);
+  }
+  return entry;
+};
+
+// context: { models, templateIds, paintings, exhibitions, artists } - the last three already stored
+const planImport = async (buffer, { models, templateIds, paintings, exhibitions, artists }) => {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+    zip.getEntries();
+  } catch (err) {
+    throw new Error('The file is not a valid ZIP');
+  }
+  const manifest = readManifest(zip);
+
+  const context = {
+    zip,
+    dir: manifest.dir,
+    models,
+    templateIds,
+    existingSlugs: new Set(paintings.map(p => p.slug).filter(Boolean)),
+    takenIds: new Set(paintings.map(p => p.id)),
+    slugRows: new Map(),
+    existingExhibitionSlugs: new Set(exhibitions.map(e => e.slug).filter(Boolean)),
+    artistIds: new Set(artists.map(a => a.id))
+  };
+
+  const artistEntries = [];
+  for (const [index, artist] of manifest.artists.entries()) {
+    artistEntries.push(await checkArtist(artist, index, context));
+  }
+
+  const rows = [];
+  for (const [index, painting] of manifest.paintings.entries()) {
+    const row = await checkPainting(painting, index, context);
+    row.sourceId = painting && text(painting.id);
+    rows.push(row);
+  }
+  return {
+    manifest: manifest.name,
+    rows,
+    exhibitions: manifest.exhibitions.map((e, i) => checkExhibition(e, i, context, rows)),
+    artists: artistEntries
+  };
+};
+
+// What the Admin preview shows
+const previewOf = (plan) => ({
+  manifest: plan.manifest,
+  rows: plan.rows.map(({ row, title, slug, image, draft, errors, warnings }) => ({ row, title, slug, image, draft: Boolean(draft), errors, warnings })),
+  exhibitions: plan.exhibitions.map(({ row, title, slug, paintingRows, errors, warnings }) => ({
+    row, title, slug, paintings: paintingRows.length, errors, warnings
+  })),
+  artists: plan.artists.map(({ row, name, portrait, errors, warnings }) => ({ row, name, portrait, errors, warnings })),
+  valid: plan.rows.filter(r => r.errors.length === 0).length,
+  invalid: plan.rows.filter(r => r.errors.length > 0).length
+});
+
+// Adds an upload's original file under images/; resolves to its path in the ZIP, or null
+const addOriginal = (zip, imageUrl, uploadsDir) => {
+  const file = imageUrl ? path.basename(imageUrl) : null;
+  const filePath = file && path.join(uploadsDir, file);
+  if (!filePath || !fs.existsSync(filePath)) return null;
+  zip.addLocalFile(filePath, 'images');
+  return `images/${file}`;
+};
+
+// The exported content of a painting or of its draft
+const contentEntry = (content) => ({
+  title: content.title,
+  description: content.description || '',
+  facts: content.facts || '',
+  translations: content.translations || {},
+  templateId: content.templateId || null,
+  personaIds: content.personaIds || null,
+  hotspots: content.hotspots || [],
+  voiceSettings: content.voiceSettings || null,
+  openingLine: content.openingLine || '',
+  suggestedQuestions: content.suggestedQuestions || [],
+  metadata: content.metadata || null,
+  artistId: content.artistId || null
+});
+
+// The whole catalogue as a ZIP: paintings.json plus each painting's and artist portrait's
+// original upload (image variants are rebuilt on import, so they are left out). Unpublished
+// changes go with their painting as "draft"; its preview token doesn't, a new one is made on import.
+const exportArchive = ({ paintings, exhibitions, artists, uploadsDir }) => {
+  const zip = new AdmZip();
+  const entries = paintings.map(painting => {
+    const image = addOriginal(zip, painting.imageUrl, uploadsDir);
+    const draft = painting.draft && painting.draft.content;
+    return {
+      id: painting.id,
+      slug: painting.slug || null,
+      ...contentEntry(painting),
+      archived: Boolean(painting.archived),
+      archivedAt: painting.archivedAt || null,
+      createdAt: painting.createdAt || null,
+      image,
+      draft: draft
+        ? {
+          ...contentEntry(draft),
+          image: draft.imageUrl === painting.imageUrl ? image : addOriginal(zip, draft.imageUrl, uploadsDir),
+          savedAt: painting.draft.savedAt || null,
+          savedBy: painting.draft.savedBy || null
+        }
+        : null
+    };
+  });
+  const manifest = {
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    paintings: entries,
+    exhibitions: exhibitions.map(({ id, title, slug, description, paintingIds }) => ({ id, title, slug, description, paintingIds })),
+    artists: artists.map(({ id, name, birthYear, deathYear, movements, bio, imageUrl }) => ({
+      id, name, birthYear, deathYear, movements, bio, portrait: addOriginal(zip, imageUrl, uploadsDir)
+    }))
+  };
+  zip.addFile('paintings.json', Buffer.from(JSON.stringify(manifest, null, 2)));
+  return zip.toBuffer();
+};
+
+module.exports = {
+  MAX_IMPORT_BYTES,
+  planImport,
+  previewOf,
+  exportArchive
+};
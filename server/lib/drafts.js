@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+const { REVISION_FIELDS } = require('./revisions');
+
+// Curators can save edits as a draft instead of publishing them straight away.
+// The painting record's own fields are what visitors get; a draft is kept next to
+// them as painting.draft (the same content fields, image included) until it is
+// published or discarded. painting.previewToken unlocks the draft on the visitor
+// page (/talk?slug=x&preview=<token>) so it can be tried out before publishing.
+// The slug is not drafted: it is the painting's address, and changes to it apply at once.
+
+const DRAFT_FIELDS = REVISION_FIELDS.filter(field => field !== 'slug');
+
+const newPreviewToken = () => crypto.randomBytes(16).toString('hex');
+
+const contentOf = (painting) => {
+  const content = {};
+  DRAFT_FIELDS.forEach(field => {
+    content[field] = painting[field] === undefined ? null : painting[field];
+  });
+  return content;
+};
+
+// The painting with its draft applied; the starting point for further edits.
+// painting.draft is { content, savedAt, savedBy }.
+const withDraft = (painting) => (painting.draft ? { ...painting, ...painting.draft.content } : painting);
+
+const isPreview = (painting, token) => {
+  if (!painting.draft || !painting.previewToken || typeof token !== 'string') return false;
+  const expected = Buffer.from(painting.previewToken);
+  const given = Buffer.from(token);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+// What the visitor page and /api/session work from: the published content, or the
+// draft for a matching preview token. Draft state and the token are never included.
+const visitorPainting = (painting, token) => {
+  const preview = isPreview(painting, token);
+  const { draft, previewToken, ...content } = preview ? withDraft(painting) : painting;
+  return preview ? { ...content, preview: true } : content;
+};
+
+module.exports = {
+  DRAFT_FIELDS,
+  newPreviewToken,
+  contentOf,
+  withDraft,
+  visitorPainting
+};
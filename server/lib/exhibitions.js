@@ -0,0 +1,55 @@
+const { localizePainting } = require('./languages');
+const { sanitizeSlug } = require('./slugs');
+
+// Exhibitions group paintings into an ordered tour. Each exhibition has its own
+// landing page (/tour) with a room-level QR code; visitors step through the
+// works from there, and the guide is told about the rest of the tour.
+
+// otherExhibitions are the stored ones besides this one; the slug must not be taken by any of them
+const validateExhibition = (body, knownPaintingIds, otherExhibitions = []) => {
+  const { title, description, paintingIds } = body || {};
+  if (!title || !String(title).trim()) return { error: 'Exhibition title is required' };
+  if (paintingIds !== undefined && !Array.isArray(paintingIds)) {
+    return { error: 'paintingIds must be an array' };
+  }
+  let slug;
+  try {
+    slug = sanitizeSlug(body.slug);
+  } catch (err) {
+    return { error: err.message };
+  }
+  if (slug && otherExhibitions.some(e => e.slug === slug)) {
+    return { error: `Exhibition slug "${slug}" already exists` };
+  }
+
+  // Keep the curator's order, drop unknown ids and duplicates
+  const ids = [...new Set((paintingIds || []).filter(id => knownPaintingIds.includes(id)))];
+  return {
+    fields: {
+      title: String(title).trim(),
+      slug,
+      description: description || '',
+      paintingIds: ids
+    }
+  };
+};
+
+// Summary passed to buildInstructions: the tour's title and its works in order, localized.
+const tourContext = (exhibition, paintings, currentPaintingId, lang) => {
+  const works = exhibition.paintingIds
+    .map(id => paintings.find(p => p.id === id))
+    .filter(p => p && !p.archived)
+    .map(p => ({ id: p.id, title: localizePainting(p, lang).title }));
+  return {
+    exhibitionId: exhibition.id,
+    title: exhibition.title,
+    description: exhibition.description,
+    works,
+    currentIndex: works.findIndex(w => w.id === currentPaintingId)
+  };
+};
+
+module.exports = {
+  validateExhibition,
+  tourContext
+};
@@ -0,0 +1,52 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Curator-defined points of interest on a painting: a rectangle (fractions of the
+// image, (0, 0) top-left) with a label and notes. Stored as painting.hotspots,
+// drawn as tappable overlays in Visitor.jsx and listed in the guide's instructions.
+
+const MAX_HOTSPOTS = 30;
+
+const fraction = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.min(1, Math.max(0, number)) : null;
+};
+
+// Parses the hotspots field sent by the Admin form (a JSON string in multipart bodies).
+const sanitizeHotspots = (raw) => {
+  let value = raw;
+  if (typeof raw === 'string') {
+    try {
+      value = JSON.parse(raw);
+    } catch (err) {
+      throw new Error('Hotspots must be valid JSON');
+    }
+  }
+  if (value === null || value === undefined) return [];
+  if (!Array.isArray(value)) throw new Error('Hotspots must be a JSON array');
+  if (value.length > MAX_HOTSPOTS) throw new Error(`A painting can have at most ${MAX_HOTSPOTS} hotspots`);
+
+  return value.map((spot, i) => {
+    const label = spot && typeof spot.label === 'string' ? spot.label.trim() : '';
+    if (!label) throw new Error(`Hotspot ${i + 1} needs a label`);
+    const x = fraction(spot.x);
+    const y = fraction(spot.y);
+    const width = fraction(spot.width);
+    const height = fraction(spot.height);
+    if ([x, y, width, height].includes(null) || width === 0 || height === 0) {
+      throw new Error(`Hotspot "${label}" has an invalid rectangle`);
+    }
+    return {
+      id: typeof spot.id === 'string' && spot.id ? spot.id : uuidv4(),
+      label,
+      notes: typeof spot.notes === 'string' ? spot.notes.trim() : '',
+      x,
+      y,
+      width: Math.min(width, 1 - x),
+      height: Math.min(height, 1 - y)
+    };
+  });
+};
+
+module.exports = {
+  sanitizeHotspots
+};
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+// Uploaded paintings are checked by content (not file extension) and turned into
+// fixed-size variants once, at upload time:
+//   thumbnail - Admin grids and tour lists
+//   display   - the Visitor page
+//   model     - the ≤1024px JPEG sent to the realtime model
+// The original is kept untouched alongside them.
+
+const MAX_UPLOAD_BYTES = Math.round((Number(process.env.MAX_UPLOAD_MB) || 20) * 1024 * 1024);
+const MIN_DIMENSION = 200;
+const MAX_DIMENSION = 16000;
+const ALLOWED_FORMATS = ['jpeg', 'png', 'webp', 'tiff'];
+const EXTENSIONS = { jpeg: 'jpg', png: 'png', webp: 'webp', tiff: 'tif' };
+
+const VARIANTS = {
+  thumbnail: { size: 400, quality: 80 },
+  display: { size: 1600, quality: 85 },
+  model: { size: 1024, quality: 85 }
+};
+
+// Throws with a curator-facing message when the upload isn't usable.
+const validateImage = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (err) {
+    throw new Error('File is not a supported image');
+  }
+  if (!ALLOWED_FORMATS.includes(metadata.format)) {
+    throw new Error(`Unsupported image type; use ${ALLOWED_FORMATS.map(f => f.toUpperCase()).join(', ')}`);
+  }
+  const { width, height } = metadata;
+  if (Math.min(width, height) < MIN_DIMENSION) {
+    throw new Error(`Image is too small (${width}x${height}); the shorter side must be at least ${MIN_DIMENSION}px`);
+  }
+  if (Math.max(width, height) > MAX_DIMENSION) {
+    throw new Error(`Image is too large (${width}x${height}); the longer side must be at most ${MAX_DIMENSION}px`);
+  }
+  return metadata;
+};
+
+// EXIF orientation is applied so phone photos aren't sideways; metadata is stripped.
+const renderVariant = (buffer, { size, quality }) => sharp(buffer)
+  .rotate()
+  .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+  .toColorspace('srgb')
+  .flatten({ background: '#ffffff' })
+  .jpeg({ quality, mozjpeg: true })
+  .toBuffer();
+
+// Writes the original and every variant to dir; returns their file names.
+const writeVariants = async (buffer, dir, base) => {
+  const files = {};
+  for (const [name, options] of Object.entries(VARIANTS)) {
+    files[name] = `${base}-${name}.jpg`;
+    fs.writeFileSync(path.join(dir, files[name]), await renderVariant(buffer, options));
+  }
+  return files;
+};
+
+// buffer must have passed validateImage
+const saveImage = async (buffer, dir) => {
+  const { format } = await sharp(buffer).metadata();
+  const base = `${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+  const original = `${base}.${EXTENSIONS[format]}`;
+  fs.writeFileSync(path.join(dir, original), buffer);
+  return { original, variants: await writeVariants(buffer, dir, base) };
+};
+
+// For paintings uploaded before variants existed
+const variantsForExisting = (originalPath, dir) => {
+  const base = path.basename(originalPath, path.extname(originalPath));
+  return writeVariants(fs.readFileSync(originalPath), dir, base);
+};
+
+module.exports = {
+  MAX_UPLOAD_BYTES,
+  VARIANTS,
+  validateImage,
+  saveImage,
+  variantsForExisting
+};
@@ -0,0 +1,294 @@
+const fs = require('fs');
+const path = require('path');
+const fontkit = require('fontkit');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+
+// Print-ready wall labels: title, a short description, the QR code and a short
+// URL. The same layout is rendered as PDF (for printing) or SVG (for design
+// tools). Units are PostScript points (72 per inch).
+
+const PAGE_SIZES = {
+  a4: { width: 595.28, height: 841.89 },
+  letter: { width: 612, height: 792 }
+};
+
+const FORMATS = ['pdf', 'svg'];
+
+const MARGIN = 36;
+const GUTTER = 18;
+const COLUMNS = 2;
+const ROWS = 3;
+const PADDING = 16;
+const QR_SIZE = 96;
+
+const TITLE_SIZE = 16;
+const BODY_SIZE = 9.5;
+const URL_SIZE = 8;
+const MAX_TITLE_LINES = 2;
+const MAX_DESCRIPTION_LINES = 6;
+
+// Cell size of one label on a sheet; single labels use the A4 cell size.
+const labelSize = (pageSize) => {
+  const page = PAGE_SIZES[pageSize];
+  return {
+    width: (page.width - MARGIN * 2 - GUTTER * (COLUMNS - 1)) / COLUMNS,
+    height: (page.height - MARGIN * 2 - GUTTER * (ROWS - 1)) / ROWS
+  };
+};
+
+const shortUrl = (url) => url.replace(/^https?:\/\//, '');
+
+// Labels are set in Noto Sans, vendored in assets/fonts so titles in any of the guide's
+// languages print the same everywhere. Noto Sans covers Latin, Greek and Cyrillic;
+// Noto Sans SC is the fallback for Chinese and Japanese. Only the two weights the labels
+// use are kept, subsetted to those scripts (for SC: GB2312, JIS level 1 kanji and kana).
+// Text is measured with the faces it is drawn in, so PDF and SVG wrap the same way.
+const FONTS_DIR = path.join(__dirname, '..', 'assets', 'fonts');
+const FONT_FILES = {
+  regular: [
+    ['NotoSans', 'NotoSans-Regular.ttf'],
+    ['NotoSansSC', 'NotoSansSC-Regular.ttf']
+  ],
+  bold: [
+    ['NotoSans-Bold', 'NotoSans-Bold.ttf'],
+    ['NotoSansSC-Bold', 'NotoSansSC-Bold.ttf']
+  ]
+};
+const SVG_FONT_FAMILY = '\'Noto Sans\', \'Noto Sans SC\', sans-serif';
+
+// { regular: [{ name, data, font }], bold: [...] }, read on first use
+let faces = null;
+const loadFaces = () => {
+  if (!faces) {
+    faces = Object.fromEntries(Object.entries(FONT_FILES).map(([style, files]) => [
+      style,
+      files.map(([name, file]) => {
+        const data = fs.readFileSync(path.join(FONTS_DIR, file));
+        return { name, data, font: fontkit.create(data) };
+      })
+    ]));
+  }
+  return faces;
+};
+
+// Splits text into runs set in one face each: the first face with a glyph for the character
+const fontRuns = (text, style) => {
+  const styleFaces = loadFaces()[style];
+  const runs = [];
+  for (const ch of text) {
+    const face = styleFaces.find(f => f.font.hasGlyphForCodePoint(ch.codePointAt(0))) || styleFaces[0];
+    const last = runs[runs.length - 1];
+    if (last && last.face === face) last.text += ch;
+    else runs.push({ face, text: ch });
+  }
+  return runs;
+};
+
+const runWidth = ({ face, text }, fontSize) =>
+  (face.font.layout(text).advanceWidth / face.font.unitsPerEm) * fontSize;
+
+const textWidth = (text, style, fontSize) =>
+  fontRuns(text, style).reduce((sum, run) => sum + runWidth(run, fontSize), 0);
+
+// Words wider than a whole line (unspaced Chinese or Japanese, long URLs) are broken between characters
+const splitWord = (word, style, fontSize, width) => {
+  const parts = [];
+  let part = '';
+  for (const ch of word) {
+    if (part && textWidth(part + ch, style, fontSize) > width) {
+      parts.push(part);
+      part = ch;
+    } else {
+      part += ch;
+    }
+  }
+  return [...parts, part];
+};
+
+const wrapText = (text, style, fontSize, width, maxLines) => {
+  const words = String(text || '').replace(/\s+/g, ' ').trim().split(' ').filter(Boolean)
+    .flatMap(word => (textWidth(word, style, fontSize) > width ? splitWord(word, style, fontSize, width) : [word]));
+  const lines = [];
+  let line = '';
+  for (const word of words) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (textWidth(candidate, style, fontSize) <= width || !line) {
+      line = candidate;
+    } else {
+      lines.push(line);
+      line = word;
+    }
+  }
+  if (line) lines.push(line);
+
+  if (lines.length <= maxLines) return lines;
+  const kept = lines.slice(0, maxLines);
+  let last = kept[maxLines - 1];
+  while (last.length > 1 && textWidth(`${last}…`, style, fontSize) > width) {
+    last = last.includes(' ') ? last.slice(0, last.lastIndexOf(' ')) : [...last].slice(0, -1).join('');
+  }
+  kept[maxLines - 1] = `${last}…`;
+  return kept;
+};
+
+// Positions of everything on one label, relative to its top-left corner.
+const layoutLabel = (label, size) => {
+  const innerWidth = size.width - PADDING * 2;
+  const titleLines = wrapText(label.title, 'bold', TITLE_SIZE, innerWidth, MAX_TITLE_LINES);
+  const descriptionTop = PADDING + titleLines.length * TITLE_SIZE * 1.2 + 6;
+  const descriptionSpace = size.height - descriptionTop - QR_SIZE - PADDING - 6;
+  const descriptionLines = wrapText(
+    label.description,
+    'regular',
+    BODY_SIZE,
+    innerWidth,
+    Math.max(0, Math.min(MAX_DESCRIPTION_LINES, Math.floor(descriptionSpace / (BODY_SIZE * 1.3))))
+  );
+  const qrTop = size.height - PADDING - QR_SIZE;
+  const urlLeft = PADDING + QR_SIZE + 10;
+  const urlLines = wrapText(shortUrl(label.url), 'regular', URL_SIZE, size.width - urlLeft - PADDING, 3);
+  return {
+    titleLines,
+    descriptionTop,
+    descriptionLines,
+    qrTop,
+    urlLeft,
+    urlLines,
+    // first baseline of the URL, whose last line sits at the foot of the QR code
+    urlTop: qrTop + QR_SIZE - (urlLines.length - 1) * URL_SIZE * 1.3 - 2
+  };
+};
+
+// Top-left corner of each label, page by page
+const sheetPositions = (count, pageSize) => {
+  const size = labelSize(pageSize);
+  const perPage = COLUMNS * ROWS;
+  return Array.from({ length: count }, (_, i) => {
+    const slot = i % perPage;
+    return {
+      page: Math.floor(i / perPage),
+      x: MARGIN + (slot % COLUMNS) * (size.width + GUTTER),
+      y: MARGIN + Math.floor(slot / COLUMNS) * (size.height + GUTTER)
+    };
+  });
+};
+
+const pageCount = (count) => Math.max(1, Math.ceil(count / (COLUMNS * ROWS)));
+
+// --- PDF ---
+
+// Lines of text from their first baseline, each run in its own face; the SVG output uses the same baselines
+const pdfText = (doc, lines, style, fontSize, x, y, lineHeight) => {
+  doc.fontSize(fontSize);
+  lines.forEach((line, i) => {
+    let left = x;
+    fontRuns(line, style).forEach(run => {
+      doc.font(run.face.name).text(run.text, left, y + i * lineHeight, { lineBreak: false, baseline: 'alphabetic' });
+      left += runWidth(run, fontSize);
+    });
+  });
+};
+
+const drawPdfLabel = async (doc, label, x, y, size) => {
+  const layout = layoutLabel(label, size);
+  doc.save().lineWidth(0.5).strokeColor('#cccccc').rect(x, y, size.width, size.height).stroke().restore();
+
+  doc.fillColor('#000000');
+  pdfText(doc, layout.titleLines, 'bold', TITLE_SIZE, x + PADDING, y + PADDING + TITLE_SIZE * 0.9, TITLE_SIZE * 1.2);
+
+  doc.fillColor('#333333');
+  pdfText(doc, layout.descriptionLines, 'regular', BODY_SIZE, x + PADDING, y + layout.descriptionTop + BODY_SIZE * 0.9, BODY_SIZE * 1.3);
+
+  const qr = await QRCode.toBuffer(label.url, { margin: 0, width: QR_SIZE * 4 });
+  doc.image(qr, x + PADDING, y + layout.qrTop, { width: QR_SIZE, height: QR_SIZE });
+
+  doc.fillColor('#666666');
+  pdfText(doc, layout.urlLines, 'regular', URL_SIZE, x + layout.urlLeft, y + layout.urlTop, URL_SIZE * 1.3);
+};
+
+const collectPdf = (doc) => new Promise((resolve, reject) => {
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+});
+
+const renderPdf = async (labels, { pageSize, single }) => {
+  const size = labelSize(single ? 'a4' : pageSize);
+  const page = single ? size : PAGE_SIZES[pageSize];
+  const doc = new PDFDocument({ size: [page.width, page.height], margin: 0, autoFirstPage: false });
+  Object.values(loadFaces()).flat().forEach(face => doc.registerFont(face.name, face.data));
+  const done = collectPdf(doc);
+
+  if (single) {
+    doc.addPage();
+    await drawPdfLabel(doc, labels[0], 0, 0, size);
+  } else {
+    const positions = sheetPositions(labels.length, pageSize);
+    for (let i = 0; i < pageCount(labels.length); i++) {
+      doc.addPage();
+      for (let j = 0; j < labels.length; j++) {
+        if (positions[j].page === i) await drawPdfLabel(doc, labels[j], positions[j].x, positions[j].y, size);
+      }
+    }
+  }
+
+  doc.end();
+  return done;
+};
+
+// --- SVG ---
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const svgText = (lines, x, y, lineHeight, attrs) => lines
+  .map((line, i) => `<text x="${x}" y="${(y + i * lineHeight).toFixed(2)}" ${attrs}>${escapeXml(line)}</text>`)
+  .join('');
+
+const svgLabel = async (label, x, y, size) => {
+  const layout = layoutLabel(label, size);
+  // qrcode's SVG has its own viewBox, so it can be nested and scaled as-is
+  const qr = (await QRCode.toString(label.url, { type: 'svg', margin: 0 }))
+    .replace('<svg ', `<svg x="${PADDING}" y="${layout.qrTop}" width="${QR_SIZE}" height="${QR_SIZE}" `);
+
+  return `<g transform="translate(${x.toFixed(2)} ${y.toFixed(2)})">`
+    + `<rect width="${size.width.toFixed(2)}" height="${size.height.toFixed(2)}" fill="#ffffff" stroke="#cccccc" stroke-width="0.5"/>`
+    + svgText(layout.titleLines, PADDING, PADDING + TITLE_SIZE * 0.9, TITLE_SIZE * 1.2, `font-family="${SVG_FONT_FAMILY}" font-weight="bold" font-size="${TITLE_SIZE}" fill="#000000"`)
+    + svgText(layout.descriptionLines, PADDING, layout.descriptionTop + BODY_SIZE * 0.9, BODY_SIZE * 1.3, `font-family="${SVG_FONT_FAMILY}" font-size="${BODY_SIZE}" fill="#333333"`)
+    + qr
+    + svgText(layout.urlLines, layout.urlLeft, layout.urlTop, URL_SIZE * 1.3, `font-family="${SVG_FONT_FAMILY}" font-size="${URL_SIZE}" fill="#666666"`)
+    + '</g>';
+};
+
+const svgDocument = (width, height, body) =>
+  `<?xml version="1.0" encoding="UTF-8"?>\n<svg xmlns="http://www.w3.org/2000/svg" width="${width}pt" height="${height}pt" viewBox="0 0 ${width} ${height}">${body}</svg>\n`;
+
+// SVG has no pages, so sheets are rendered one page at a time (page is 0-based).
+const renderSvg = async (labels, { pageSize, single, page = 0 }) => {
+  const size = labelSize(single ? 'a4' : pageSize);
+  if (single) return svgDocument(size.width, size.height, await svgLabel(labels[0], 0, 0, size));
+
+  const positions = sheetPositions(labels.length, pageSize);
+  const parts = [];
+  for (let j = 0; j < labels.length; j++) {
+    if (positions[j].page === page) parts.push(await svgLabel(labels[j], positions[j].x, positions[j].y, size));
+  }
+  const { width, height } = PAGE_SIZES[pageSize];
+  return svgDocument(width, height, parts.join(''));
+};
+
+// labels: [{ title, description, url }]
+const renderLabels = (labels, { format, ...options }) =>
+  (format === 'svg' ? renderSvg(labels, options) : renderPdf(labels, options));
+
+module.exports = {
+  PAGE_SIZES,
+  FORMATS,
+  pageCount,
+  renderLabels
+};
@@ -0,0 +1,82 @@
+const { sanitizeOpeningLine, sanitizeSuggestedQuestions } = require('./starters');
+
+// Languages the visitor guide can speak. Painting content entered in the main
+// Admin form is treated as the default language; translations live in
+// painting.translations[code] = { title, description, facts, openingLine, suggestedQuestions }.
+
+const DEFAULT_LANGUAGE = 'en';
+
+const LANGUAGES = {
+  en: { name: 'English', nativeName: 'English' },
+  it: { name: 'Italian', nativeName: 'Italiano' },
+  fr: { name: 'French', nativeName: 'Français' },
+  de: { name: 'German', nativeName: 'Deutsch' },
+  es: { name: 'Spanish', nativeName: 'Español' },
+  zh: { name: 'Chinese', nativeName: '中文' },
+  ja: { name: 'Japanese', nativeName: '日本語' }
+};
+
+const TRANSLATABLE_FIELDS = ['title', 'description', 'facts', 'openingLine'];
+
+// Accepts "it", "it-IT" or "IT"; anything unknown falls back to the default.
+const resolveLanguage = (code) => {
+  const base = String(code || '').toLowerCase().split('-')[0];
+  return LANGUAGES[base] ? base : DEFAULT_LANGUAGE;
+};
+
+// Returns a copy of the painting with translated fields swapped in where the curator provided them.
+const localizePainting = (painting, lang) => {
+  const translation = (painting.translations || {})[lang];
+  if (!translation) return painting;
+
+  const localized = { ...painting };
+  TRANSLATABLE_FIELDS.forEach(field => {
+    if (translation[field]) localized[field] = translation[field];
+  });
+  if (translation.suggestedQuestions && translation.suggestedQuestions.length > 0) {
+    localized.suggestedQuestions = translation.suggestedQuestions;
+  }
+  return localized;
+};
+
+// Parses the translations field sent by the Admin form (a JSON string in multipart bodies).
+const sanitizeTranslations = (raw) => {
+  let value = raw;
+  if (typeof raw === 'string') {
+    try {
+      value = JSON.parse(raw);
+    } catch (err) {
+      throw new Error('Translations must be valid JSON');
+    }
+  }
+  if (!value || typeof value !== 'object') return {};
+
+  const translations = {};
+  Object.entries(value).forEach(([code, fields]) => {
+    if (!LANGUAGES[code] || code === DEFAULT_LANGUAGE || !fields || typeof fields !== 'object') return;
+    const clean = {};
+    TRANSLATABLE_FIELDS.forEach(field => {
+      if (typeof fields[field] === 'string' && fields[field].trim()) clean[field] = fields[field];
+    });
+    if (clean.openingLine) clean.openingLine = sanitizeOpeningLine(clean.openingLine);
+    const questions = sanitizeSuggestedQuestions(fields.suggestedQuestions);
+    if (questions.length > 0) clean.suggestedQuestions = questions;
+    if (Object.keys(clean).length > 0) translations[code] = clean;
+  });
+  return translations;
+};
+
+const languageInstruction = (lang) => {
+  const { name, nativeName } = LANGUAGES[lang];
+  const label = name === nativeName ? name : `${name} (${nativeName})`;
+  return `Always speak and reply in ${label}, unless the visitor explicitly asks you to switch language.`;
+};
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  resolveLanguage,
+  localizePainting,
+  sanitizeTranslations,
+  languageInstruction
+};
@@ -0,0 +1,182 @@
+// Guardrails for /api/session, which mints a paid Realtime token for anyone
+// holding a QR code. Every new session must pass three checks:
+//   - a per-IP and a per-painting rate limit (sliding one-hour window, in memory)
+//   - the daily budget, estimated from today's recorded conversations
+// and every session is capped at maxSessionMinutes: Visitor.jsx ends it, and so does the
+// provider where it supports a session length. OpenAI's doesn't, so there the cap is
+// client-side only and OpenAI's own 30 minute limit is the hard ceiling.
+// Spend is billed by the duration Visitor.jsx reports through /api/conversations/:id/end,
+// capped at maxSessionMinutes; a conversation that never reports an end counts in full.
+// Reconnects continue an admitted conversation, so they skip those checks but have
+// their own: per conversation and per IP, again over a sliding hour.
+// Curators edit the numbers in the Admin Limits tab; they are kept in settings.
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_TRACKED_KEYS = 10000;
+
+// Upper bound per model response, passed to the session config
+const MAX_RESPONSE_OUTPUT_TOKENS = 1500;
+
+// Visitor.jsx gives up after 5 attempts per drop; a few drops per visit are normal
+const MAX_RECONNECTS_PER_CONVERSATION = 10;
+
+// 0 turns a limit off
+const DEFAULT_LIMITS = {
+  perIpPerHour: 6,
+  perPaintingPerHour: 60,
+  maxSessionMinutes: 10,
+  dailyBudgetUsd: 25,
+  // Rough blended price of a minute of Realtime audio; adjust to the current price list
+  costPerMinuteUsd: 0.3
+};
+
+const LIMIT_RANGES = {
+  perIpPerHour: { min: 0, max: 1000, integer: true },
+  perPaintingPerHour: { min: 0, max: 100000, integer: true },
+  maxSessionMinutes: { min: 1, max: 30, integer: true },
+  dailyBudgetUsd: { min: 0, max: 100000 },
+  costPerMinuteUsd: { min: 0, max: 100 }
+};
+
+// Session lengths saved before the 30 minute ceiling are brought within it
+const effectiveLimits = (settings) => {
+  const limits = { ...DEFAULT_LIMITS, ...(settings && settings.limits) };
+  return { ...limits, maxSessionMinutes: Math.min(limits.maxSessionMinutes, LIMIT_RANGES.maxSessionMinutes.max) };
+};
+
+// Partial updates are allowed; returns { error } or { fields } with every limit filled in.
+const validateLimits = (body, current) => {
+  const fields = { ...current };
+  for (const [key, range] of Object.entries(LIMIT_RANGES)) {
+    if (body[key] === undefined || body[key] === '') continue;
+    const value = Number(body[key]);
+    if (!Number.isFinite(value) || value < range.min || value > range.max) {
+      return { error: `${key} must be a number between ${range.min} and ${range.max}` };
+    }
+    if (range.integer && !Number.isInteger(value)) return { error: `${key} must be a whole number` };
+    fields[key] = value;
+  }
+  return { fields };
+};
+
+const startOfDay = (now) => {
+  const day = new Date(now);
+  day.setHours(0, 0, 0, 0);
+  return day.getTime();
+};
+
+// Open conversations are counted at the full session length: either they are still
+// running, or the visitor closed the tab without reporting the end.
+const billedMinutes = (conversation, limits) => {
+  const capMs = limits.maxSessionMinutes * 60 * 1000;
+  const ms = typeof conversation.durationMs === 'number' ? Math.min(conversation.durationMs, capMs) : capMs;
+  return ms / 60000;
+};
+
+const usageToday = (conversations, limits, now = Date.now()) => {
+  const since = startOfDay(now);
+  const today = conversations.filter(c => new Date(c.startedAt).getTime() >= since);
+  const capMs = limits.maxSessionMinutes * 60 * 1000;
+  const minutes = today.reduce((sum, c) => sum + billedMinutes(c, limits), 0);
+  return {
+    sessions: today.length,
+    activeSessions: today.filter(c => !c.endedAt && now - new Date(c.startedAt).getTime() < capMs).length,
+    minutes: Math.round(minutes),
+    estimatedSpendUsd: Number((minutes * limits.costPerMinuteUsd).toFixed(2))
+  };
+};
+
+// Seconds left for a conversation started at startedAt; 0 once it is over its cap
+const remainingSeconds = (startedAt, limits, now = Date.now()) =>
+  Math.max(0, Math.floor((new Date(startedAt).getTime() + limits.maxSessionMinutes * 60 * 1000 - now) / 1000));
+
+// Sliding-window hit log per key; also used by auth.js for failed logins
+const createWindow = () => {
+  const hits = new Map();
+
+  const recent = (key, now) => (hits.get(key) || []).filter(t => now - t < HOUR_MS);
+
+  return {
+    // Seconds until key is under limit again; 0 when it already is
+    retryAfter(key, limit, now) {
+      if (!limit) return 0;
+      const times = recent(key, now);
+      if (times.length < limit) return 0;
+      return Math.ceil((times[times.length - limit] + HOUR_MS - now) / 1000);
+    },
+    record(key, now) {
+      if (hits.size > MAX_TRACKED_KEYS) {
+        hits.forEach((times, k) => {
+          if (!times.some(t => now - t < HOUR_MS)) hits.delete(k);
+        });
+      }
+      hits.set(key, [...recent(key, now), now]);
+    }
+  };
+};
+
+// Decides whether a session may start or reconnect and keeps today's refusal counts for the Admin tab.
+const createSessionGate = () => {
+  const byIp = createWindow();
+  const byPainting = createWindow();
+  const reconnectsByIp = createWindow();
+  const reconnectsByConversation = createWindow();
+  const emptyCounts = (now) => ({ day: startOfDay(now), ip: 0, painting: 0, budget: 0, reconnect: 0 });
+  let refused = emptyCounts(Date.now());
+
+  const refuse = (reason, retryAfterSeconds, now) => {
+    if (refused.day !== startOfDay(now)) refused = emptyCounts(now);
+    refused[reason] += 1;
+    return { reason, retryAfterSeconds };
+  };
+
+  return {
+    // Returns null and counts the session when it may start, otherwise { reason, retryAfterSeconds }
+    admit({ ip, paintingId, limits, spentUsd, now = Date.now() }) {
+      const ipWait = byIp.retryAfter(ip, limits.perIpPerHour, now);
+      if (ipWait) return refuse('ip', ipWait, now);
+
+      const paintingKey = paintingId || 'none';
+      const paintingWait = byPainting.retryAfter(paintingKey, limits.perPaintingPerHour, now);
+      if (paintingWait) return refuse('painting', paintingWait, now);
+
+      // Reserve a full session's worth, so the last one of the day can't overshoot the cap
+      const sessionCost = limits.maxSessionMinutes * limits.costPerMinuteUsd;
+      if (limits.dailyBudgetUsd && spentUsd + sessionCost > limits.dailyBudgetUsd) {
+        return refuse('budget', Math.ceil((startOfDay(now) + 24 * HOUR_MS - now) / 1000), now);
+      }
+
+      byIp.record(ip, now);
+      byPainting.record(paintingKey, now);
+      return null;
+    },
+    // The same for a reconnect to an admitted conversation. An IP may reconnect as often as
+    // its conversations may, so perIpPerHour: 0 turns the per-IP check off here too.
+    readmit({ ip, conversationId, limits, now = Date.now() }) {
+      const ipWait = reconnectsByIp.retryAfter(ip, limits.perIpPerHour * MAX_RECONNECTS_PER_CONVERSATION, now);
+      if (ipWait) return refuse('reconnect', ipWait, now);
+
+      const conversationWait = reconnectsByConversation.retryAfter(conversationId, MAX_RECONNECTS_PER_CONVERSATION, now);
+      if (conversationWait) return refuse('reconnect', conversationWait, now);
+
+      reconnectsByIp.record(ip, now);
+      reconnectsByConversation.record(conversationId, now);
+      return null;
+    },
+    refusedToday(now = Date.now()) {
+      if (refused.day !== startOfDay(now)) return { ip: 0, painting: 0, budget: 0, reconnect: 0 };
+      return { ip: refused.ip, painting: refused.painting, budget: refused.budget, reconnect: refused.reconnect };
+    }
+  };
+};
+
+module.exports = {
+  MAX_RESPONSE_OUTPUT_TOKENS,
+  DEFAULT_LIMITS,
+  effectiveLimits,
+  validateLimits,
+  usageToday,
+  remainingSeconds,
+  createWindow,
+  createSessionGate
+};
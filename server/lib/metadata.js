@@ -0,0 +1,173 @@
+// Structured catalogue details for a painting, kept apart from the free-text facts:
+//   painting.metadata = { artist, dateFrom, dateTo, circa, medium,
+//                         dimensions: { height, width, depth, unit },
+//                         location, provenance, creditLine, tags }
+// Every key is optional and only set keys are stored; null when nothing is set.
+// Years are whole numbers, negative for BC. Visitor.jsx shows the details as a caption
+// under the title (client/src/metadata.js formats them the same way) and
+// buildInstructions() adds them to the guide's instructions.
+
+const TEXT_LIMITS = {
+  artist: 200,
+  medium: 200,
+  location: 200,
+  creditLine: 300,
+  provenance: 2000
+};
+const MIN_YEAR = -10000;
+const UNITS = ['cm', 'mm', 'm', 'in'];
+const MAX_DIMENSION = 100000;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+
+const FIELD_NAMES = {
+  artist: 'Artist',
+  medium: 'Medium',
+  location: 'Location',
+  creditLine: 'Credit line',
+  provenance: 'Provenance'
+};
+
+// Provenance is a list of owners, one per line; the other texts are single lines
+const cleanText = (key, raw) => {
+  if (raw === undefined || raw === null) return '';
+  if (typeof raw !== 'string') throw new Error(`${FIELD_NAMES[key]} must be text`);
+  const value = key === 'provenance'
+    ? raw.split('\n').map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean).join('\n')
+    : raw.replace(/\s+/g, ' ').trim();
+  if (value.length > TEXT_LIMITS[key]) throw new Error(`${FIELD_NAMES[key]} can be at most ${TEXT_LIMITS[key]} characters`);
+  return value;
+};
+
+const isBlank = (raw) => raw === undefined || raw === null || String(raw).trim() === '';
+
+const cleanYear = (raw, label) => {
+  if (isBlank(raw)) return null;
+  const year = Number(raw);
+  const latest = new Date().getFullYear();
+  if (!Number.isInteger(year) || year === 0 || year < MIN_YEAR || year > latest) {
+    throw new Error(`${label} must be a year between ${-MIN_YEAR} BC and ${latest} (negative for BC)`);
+  }
+  return year;
+};
+
+const cleanLength = (raw, label) => {
+  if (isBlank(raw)) return null;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value <= 0 || value > MAX_DIMENSION) {
+    throw new Error(`${label} must be a positive number`);
+  }
+  return value;
+};
+
+const cleanDimensions = (raw) => {
+  if (raw === undefined || raw === null) return null;
+  if (typeof raw !== 'object' || Array.isArray(raw)) throw new Error('Dimensions must be an object with height, width, depth and unit');
+  const height = cleanLength(raw.height, 'Height');
+  const width = cleanLength(raw.width, 'Width');
+  const depth = cleanLength(raw.depth, 'Depth');
+  if (!height && !width && !depth) return null;
+  if (!height || !width) throw new Error('Dimensions need both a height and a width');
+  const unit = isBlank(raw.unit) ? 'cm' : String(raw.unit).trim();
+  if (!UNITS.includes(unit)) throw new Error(`Dimension unit must be one of: ${UNITS.join(', ')}`);
+  return depth ? { height, width, depth, unit } : { height, width, unit };
+};
+
+// An array, or a comma-separated string; repeats are dropped regardless of case
+const cleanTags = (raw) => {
+  if (raw === undefined || raw === null) return [];
+  const list = typeof raw === 'string' ? raw.split(',') : raw;
+  if (!Array.isArray(list)) throw new Error('Tags must be a list');
+  const seen = new Set();
+  const tags = list
+    .filter(tag => typeof tag === 'string')
+    .map(tag => tag.replace(/\s+/g, ' ').trim())
+    .filter(tag => {
+      const key = tag.toLowerCase();
+      if (!tag || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  if (tags.length > MAX_TAGS) throw new Error(`A painting can have at most ${MAX_TAGS} tags`);
+  const tooLong = tags.find(tag => tag.length > MAX_TAG_LENGTH);
+  if (tooLong) throw new Error(`Tags can be at most ${MAX_TAG_LENGTH} characters: "${tooLong.slice(0, 20)}…"`);
+  return tags;
+};
+
+// Accepts an object or a JSON string of one (multipart bodies); throws on invalid input.
+const sanitizeMetadata = (raw) => {
+  let value = raw;
+  if (typeof raw === 'string') {
+    if (!raw.trim()) return null;
+    try {
+      value = JSON.parse(raw);
+    } catch (err) {
+      throw new Error('Metadata must be valid JSON');
+    }
+  }
+  if (value === null || value === undefined) return null;
+  if (typeof value !== 'object' || Array.isArray(value)) throw new Error('Metadata must be a JSON object');
+
+  const metadata = {};
+  Object.keys(TEXT_LIMITS).forEach(key => {
+    const text = cleanText(key, value[key]);
+    if (text) metadata[key] = text;
+  });
+
+  const dateFrom = cleanYear(value.dateFrom, 'The start year');
+  const dateTo = cleanYear(value.dateTo, 'The end year');
+  if (dateTo !== null && dateFrom === null) throw new Error('An end year needs a start year');
+  if (dateTo !== null && dateTo < dateFrom) throw new Error('The end year cannot be before the start year');
+  if (dateFrom !== null) {
+    metadata.dateFrom = dateFrom;
+    if (dateTo !== null && dateTo !== dateFrom) metadata.dateTo = dateTo;
+    if (value.circa === true || value.circa === 'true') metadata.circa = true;
+  }
+
+  const dimensions = cleanDimensions(value.dimensions);
+  if (dimensions) metadata.dimensions = dimensions;
+
+  const tags = cleanTags(value.tags);
+  if (tags.length > 0) metadata.tags = tags;
+
+  return Object.keys(metadata).length > 0 ? metadata : null;
+};
+
+const formatYear = (year) => (year < 0 ? `${-year} BC` : String(year));
+
+// e.g. "c. 1503–1519"
+const formatDate = ({ dateFrom, dateTo, circa }) => {
+  if (!dateFrom) return '';
+  const range = dateTo ? `${formatYear(dateFrom)}–${formatYear(dateTo)}` : formatYear(dateFrom);
+  return circa ? `c. ${range}` : range;
+};
+
+// e.g. "77 × 53 cm"
+const formatDimensions = ({ height, width, depth, unit }) =>
+  `${[height, width, depth].filter(Boolean).join(' × ')} ${unit}`;
+
+// The details in a fixed order, as "Label: value" lines for the guide's instructions
+const metadataLines = (metadata) => {
+  if (!metadata) return [];
+  return [
+    ['Artist', metadata.artist],
+    ['Date', formatDate(metadata)],
+    ['Medium', metadata.medium],
+    [
+      metadata.dimensions && metadata.dimensions.depth ? 'Dimensions (height × width × depth)' : 'Dimensions (height × width)',
+      metadata.dimensions && formatDimensions(metadata.dimensions)
+    ],
+    ['Location in the museum', metadata.location],
+    ['Provenance', metadata.provenance && metadata.provenance.split('\n').join('; ')],
+    ['Credit line', metadata.creditLine],
+    ['Tags', metadata.tags && metadata.tags.join(', ')]
+  ]
+    .filter(([, value]) => value)
+    .map(([label, value]) => `${label}: ${value}`);
+};
+
+module.exports = {
+  cleanYear,
+  sanitizeMetadata,
+  metadataLines
+};
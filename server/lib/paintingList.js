@@ -0,0 +1,125 @@
+// Query options for GET /api/paintings, which Admin uses for the Manage Agents
+// grid and its painting pickers:
+//   q        words that must all appear in the title, slug, facts, artist or tags
+//            (case and accents ignored)
+//   ids      comma-separated painting ids, e.g. to reload one painting in full for editing
+//   status   active (default) | archived | all | draft (has unpublished changes);
+//            includeArchived=true from older clients means all
+//   sort     created | updated | title, with order asc | desc (default: created, desc)
+//   fields   comma-separated top-level fields to return, e.g. id,title,slug; id is always
+//            included. Leaving out facts, translations and qrCodeDataUrl keeps lists light.
+//            Lists can ask for a summary of the draft (SUMMARY_FIELDS) instead of the
+//            draft itself, which holds a full copy of the painting.
+//   page, limit  one page of results; the total number of matches is sent as X-Total-Count.
+//            Without them every match is returned.
+
+const STATUSES = {
+  active: p => !p.archived,
+  archived: p => Boolean(p.archived),
+  draft: p => Boolean(p.draft),
+  all: () => true
+};
+
+const SORTS = {
+  created: p => p.createdAt || '',
+  updated: p => p.updatedAt || p.createdAt || '',
+  title: p => String(p.title || '').toLocaleLowerCase()
+};
+
+const MAX_LIMIT = 200;
+
+// Derived fields, only returned when asked for by name
+const SUMMARY_FIELDS = {
+  hasDraft: p => Boolean(p.draft),
+  draftSavedAt: p => (p.draft ? p.draft.savedAt : undefined),
+  draftSavedBy: p => (p.draft ? p.draft.savedBy : undefined),
+  // The visitor page with the draft's preview token
+  previewUrl: p => (p.draft && p.previewToken && p.visitorUrl ? `${p.visitorUrl}&preview=${p.previewToken}` : undefined)
+};
+
+// "Café" and "cafe" should find each other
+const fold = (value) => String(value || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+const positiveInt = (raw) => {
+  const value = Number(raw);
+  return Number.isInteger(value) && value > 0 ? value : null;
+};
+
+// Returns { options } or { error } for a 400
+const parseListQuery = (query) => {
+  const status = query.status || (query.includeArchived === 'true' ? 'all' : 'active');
+  if (!STATUSES[status]) return { error: `status must be one of: ${Object.keys(STATUSES).join(', ')}` };
+
+  const sort = query.sort || 'created';
+  if (!SORTS[sort]) return { error: `sort must be one of: ${Object.keys(SORTS).join(', ')}` };
+  const order = query.order || (sort === 'title' ? 'asc' : 'desc');
+  if (!['asc', 'desc'].includes(order)) return { error: 'order must be asc or desc' };
+
+  let page = null;
+  let limit = null;
+  if (query.page !== undefined || query.limit !== undefined) {
+    page = query.page === undefined ? 1 : positiveInt(query.page);
+    limit = query.limit === undefined ? 50 : positiveInt(query.limit);
+    if (!page) return { error: 'page must be a positive whole number' };
+    if (!limit || limit > MAX_LIMIT) return { error: `limit must be between 1 and ${MAX_LIMIT}` };
+  }
+
+  const fields = query.fields
+    ? ['id', ...String(query.fields).split(',').map(f => f.trim()).filter(f => f && f !== 'id')]
+    : null;
+
+  const ids = query.ids ? String(query.ids).split(',').map(id => id.trim()).filter(Boolean) : null;
+
+  return {
+    options: {
+      words: fold(query.q).split(/\s+/).filter(Boolean),
+      ids,
+      status,
+      sort,
+      order,
+      page,
+      limit,
+      fields
+    }
+  };
+};
+
+const matches = (painting, words) => {
+  if (words.length === 0) return true;
+  const metadata = painting.metadata || {};
+  const haystack = fold([painting.title, painting.slug, painting.facts, metadata.artist, ...(metadata.tags || [])].join('\n'));
+  return words.every(word => haystack.includes(word));
+};
+
+const project = (painting, fields) => {
+  if (!fields) return painting;
+  const picked = {};
+  fields.forEach(field => {
+    const value = SUMMARY_FIELDS[field] ? SUMMARY_FIELDS[field](painting) : painting[field];
+    if (value !== undefined) picked[field] = value;
+  });
+  return picked;
+};
+
+// Returns { items, total }: the requested page (or all matches) and the number of matches
+const listPaintings = (paintings, { words, ids, status, sort, order, page, limit, fields }) => {
+  const key = SORTS[sort];
+  const direction = order === 'asc' ? 1 : -1;
+  const found = paintings
+    .filter(p => !ids || ids.includes(p.id))
+    .filter(STATUSES[status])
+    .filter(p => matches(p, words))
+    .sort((a, b) => {
+      const x = key(a);
+      const y = key(b);
+      if (x === y) return 0;
+      return (x < y ? -1 : 1) * direction;
+    });
+  const selected = page ? found.slice((page - 1) * limit, page * limit) : found;
+  return { items: selected.map(p => project(p, fields)), total: found.length };
+};
+
+module.exports = {
+  parseListQuery,
+  listPaintings
+};
@@ -0,0 +1,111 @@
+// Audience personas a visitor can pick before starting a conversation. The
+// built-ins below can be reworded (and their voice changed) by curators; those
+// edits are stored as overrides in the "personas" collection, keyed by persona id.
+
+const VOICES = ['alloy', 'ash', 'ballad', 'coral', 'echo', 'sage', 'shimmer', 'verse', 'marin', 'cedar'];
+
+const EDITABLE_FIELDS = ['name', 'description', 'audience', 'tone', 'instructions', 'voice'];
+
+const BUILT_IN_PERSONAS = [
+  {
+    id: 'general',
+    name: 'Museum guide',
+    description: 'A friendly introduction for every visitor.',
+    audience: 'a museum visitor standing in front of the painting',
+    tone: 'engaging, educational, and brief',
+    instructions: '',
+    voice: 'verse'
+  },
+  {
+    id: 'kids',
+    name: "Children's guide",
+    description: 'Playful and simple, for visitors aged 6 to 11.',
+    audience: 'a child between 6 and 11 years old, possibly with a parent',
+    tone: 'playful, warm and simple, with short sentences and everyday words',
+    instructions: 'Turn looking into a game: ask the child to find colours, animals, faces or objects in the painting. Avoid dates, jargon and long names unless the child asks. Praise their observations and keep every answer to two or three sentences.',
+    voice: 'shimmer'
+  },
+  {
+    id: 'expert',
+    name: 'Scholarly deep-dive',
+    description: 'Technique, iconography and historiography in depth.',
+    audience: 'an art history student or enthusiast who wants depth',
+    tone: 'precise, detailed and scholarly, while still conversational',
+    instructions: 'Discuss technique, materials, iconography, provenance and the work\'s place in the artist\'s career. Mention scholarly debates and differing attributions where relevant, and say clearly when something is uncertain. Longer answers are welcome when the visitor asks for them.',
+    voice: 'sage'
+  },
+  {
+    id: 'accessible',
+    name: 'Audio description',
+    description: 'Plain language and detailed spoken description for blind and low-vision visitors.',
+    audience: 'a visitor who is blind or has low vision',
+    tone: 'calm, clear and plain-language',
+    instructions: 'Start with a structured audio description: the format and size of the work, the overall composition, then the main figures and objects from foreground to background and left to right. Describe colours by comparison to familiar things, and describe textures and brushwork. Never assume the visitor can see the painting; avoid phrases like "as you can see". Use plain language and explain any art term you use.',
+    voice: 'coral'
+  }
+];
+
+const DEFAULT_PERSONA_ID = BUILT_IN_PERSONAS[0].id;
+
+const pickEditable = (source) => {
+  const picked = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (typeof source[field] === 'string') picked[field] = source[field];
+  });
+  return picked;
+};
+
+// Built-ins with curator overrides applied
+const effectivePersonas = (overrides = []) => BUILT_IN_PERSONAS.map(persona => {
+  const override = overrides.find(o => o.id === persona.id);
+  return override
+    ? { ...persona, ...pickEditable(override), customized: true }
+    : { ...persona, customized: false };
+});
+
+const validatePersonaOverride = (body) => {
+  const fields = pickEditable(body || {});
+  if (fields.name !== undefined && !fields.name.trim()) return { error: 'Persona name cannot be empty' };
+  if (fields.voice !== undefined && !VOICES.includes(fields.voice)) {
+    return { error: `Voice must be one of: ${VOICES.join(', ')}` };
+  }
+  return { fields };
+};
+
+// painting.personaIds lists the personas enabled for that painting; missing means all of them.
+const personasForPainting = (painting, personas) => {
+  const enabled = painting && Array.isArray(painting.personaIds) ? painting.personaIds : null;
+  const list = enabled ? personas.filter(p => enabled.includes(p.id)) : personas;
+  return list.length > 0 ? list : personas.filter(p => p.id === DEFAULT_PERSONA_ID);
+};
+
+// Parses the personaIds field sent by the Admin form (JSON string in multipart bodies).
+const sanitizePersonaIds = (raw) => {
+  if (raw === undefined || raw === null || raw === '') return null;
+  let value = raw;
+  if (typeof raw === 'string') {
+    try {
+      value = JSON.parse(raw);
+    } catch (err) {
+      throw new Error('personaIds must be a JSON array');
+    }
+  }
+  if (!Array.isArray(value)) throw new Error('personaIds must be a JSON array');
+  const known = BUILT_IN_PERSONAS.map(p => p.id);
+  const ids = value.filter(id => known.includes(id));
+  if (ids.length === 0) throw new Error('Enable at least one persona');
+  return ids;
+};
+
+const publicPersona = ({ id, name, description }) => ({ id, name, description });
+
+module.exports = {
+  VOICES,
+  BUILT_IN_PERSONAS,
+  DEFAULT_PERSONA_ID,
+  effectivePersonas,
+  validatePersonaOverride,
+  personasForPainting,
+  sanitizePersonaIds,
+  publicPersona
+};
@@ -0,0 +1,126 @@
+const { localizePainting, languageInstruction } = require('./languages');
+const { promptFacts } = require('./retrieval');
+const { metadataLines } = require('./metadata');
+
+// The one place where the expert's instructions are built. Templates use
+// {{placeholder}} syntax; curators can add their own in the Admin Templates tab
+// and assign them per painting or as the global default.
+
+const PLACEHOLDERS = {
+  title: 'Painting title (translated when available)',
+  facts: 'Curator facts about the work (long facts are shortened to an overview; the guide looks up the rest)',
+  description: 'Visual description of the work',
+  audience: 'Who the guide is talking to',
+  tone: 'How the guide should sound'
+};
+
+const DEFAULT_AUDIENCE = 'a museum visitor standing in front of the painting';
+const DEFAULT_TONE = 'engaging, educational, and brief';
+
+const BUILT_IN_TEMPLATES = [
+  {
+    id: 'default',
+    name: 'Art historian (built-in)',
+    builtIn: true,
+    body: `You are an expert art historian analyzing the painting '{{title}}'.
+Here are the key facts about this artwork:
+{{facts}}
+Description: {{description}}
+
+You are talking to {{audience}}. The image of the painting has been provided to you.
+Your goal is to be {{tone}}.
+Do not give long lectures. Encourage the visitor to observe details in the painting.
+Answer any questions they have based on your knowledge and the visual context provided.`
+  }
+];
+
+const DEFAULT_TEMPLATE_ID = BUILT_IN_TEMPLATES[0].id;
+
+const renderTemplate = (body, values) =>
+  body.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (values[name] !== undefined ? values[name] : ''));
+
+const placeholderValues = (painting, { audience, tone } = {}) => ({
+  title: painting.title || '',
+  facts: painting.facts ? promptFacts(painting.facts) : 'No specific facts provided.',
+  description: painting.description || '',
+  audience: audience || DEFAULT_AUDIENCE,
+  tone: tone || DEFAULT_TONE
+});
+
+// Painting's own template, then the global default, then the built-in.
+const resolveTemplate = (painting, templates, settings = {}) => {
+  const byId = (id) => id && templates.find(t => t.id === id);
+  return byId(painting && painting.templateId)
+    || byId(settings.defaultTemplateId)
+    || BUILT_IN_TEMPLATES[0];
+};
+
+// Lets the guide refer back to works the visitor has seen and point ahead to the next ones.
+const tourSection = (tour) => {
+  const lines = tour.works.map((work, i) => `${i + 1}. ${work.title}${i === tour.currentIndex ? ' (this painting)' : ''}`);
+  return [
+    `This painting is part of the exhibition '${tour.title}'.`,
+    tour.description,
+    'The works in the tour, in order:',
+    ...lines,
+    'Where it helps, make connections to the other works in the exhibition, and mention that the visitor can move on to the next painting when they are ready.'
+  ].filter(Boolean).join('\n');
+};
+
+// The structured catalogue details, always in the same order and format
+const metadataSection = (metadata) => [
+  'Catalogue details of the work:',
+  ...metadataLines(metadata).map(line => `- ${line}`)
+].join('\n');
+
+// The linked artist's profile (see lib/artists.js), so facts don't have to repeat it
+const artistSection = (artist) => [
+  `About the artist, ${artist.name}${artist.lifespan ? ` (${artist.lifespan})` : ''}:`,
+  artist.movements.length > 0 && `Movements: ${artist.movements.join(', ')}`,
+  artist.bio,
+  artist.otherWorks.length > 0 && `Other works by ${artist.name} on display in this museum: ${artist.otherWorks.join(', ')}. Mention them where it helps; the visitor can find them in the museum.`
+].filter(Boolean).join('\n');
+
+const round = (value) => Number(value.toFixed(2));
+
+// Concrete details the curator wants visitors to notice, with where they are
+const hotspotsSection = (hotspots) => [
+  'Points of interest marked by the curator (coordinates are fractions of the image from the top-left corner). Steer the visitor towards them, and call highlight_region with the same coordinates when you talk about one:',
+  ...hotspots.map(h => `- ${h.label} (x ${round(h.x)}, y ${round(h.y)}, width ${round(h.width)}, height ${round(h.height)})${h.notes ? `: ${h.notes}` : ''}`)
+].join('\n');
+
+// The persona supplies {{audience}} and {{tone}}, plus any extra guidance of its own.
+// tour is optional (see lib/exhibitions.js) and adds the exhibition context;
+// so is artist (see lib/artists.js), for paintings linked to an artist profile.
+const buildInstructions = ({ painting, template, lang, persona = {}, tour = null, artist = null }) => {
+  const localized = localizePainting(painting, lang);
+  const prompt = renderTemplate(template.body, placeholderValues(localized, persona));
+  const sections = [prompt.trim()];
+  if (metadataLines(painting.metadata).length > 0) sections.push(metadataSection(painting.metadata));
+  if (artist) sections.push(artistSection(artist));
+  if (painting.hotspots && painting.hotspots.length > 0) sections.push(hotspotsSection(painting.hotspots));
+  if (tour) sections.push(tourSection(tour));
+  if (persona.instructions) sections.push(`Guidance for this visitor:\n${persona.instructions}`);
+  sections.push(languageInstruction(lang));
+  return sections.join('\n\n');
+};
+
+const validateTemplate = ({ name, body }) => {
+  if (!name || !String(name).trim()) return 'Template name is required';
+  if (!body || !String(body).trim()) return 'Template body is required';
+  const unknown = [...String(body).matchAll(/\{\{\s*(\w+)\s*\}\}/g)]
+    .map(m => m[1])
+    .filter(n => !PLACEHOLDERS[n]);
+  if (unknown.length > 0) return `Unknown placeholder(s): ${[...new Set(unknown)].join(', ')}`;
+  return null;
+};
+
+module.exports = {
+  PLACEHOLDERS,
+  BUILT_IN_TEMPLATES,
+  DEFAULT_TEMPLATE_ID,
+  renderTemplate,
+  resolveTemplate,
+  buildInstructions,
+  validateTemplate
+};
@@ -0,0 +1,32 @@
+const { createOpenAIProvider } = require('./openai');
+const { createMockProvider } = require('./mock');
+
+// Every realtime provider exposes the same API:
+//   name
+//   configError()           message when the provider can't be used, otherwise null
+//   connection              { name, transport, url, model } handed to Visitor.jsx, which
+//                           connects over 'webrtc' (SDP exchange) or 'websocket';
+//                           model is the default
+//   models                  models curators may pick per painting
+//   createSession(config)   resolves to { value, expires_at }, the client secret for one
+//                           session; config is { model, session, maxResponseOutputTokens,
+//                           tokenTtlSeconds, maxSessionSeconds }, session being Realtime
+//                           session fields. The provider ends the session after
+//                           maxSessionSeconds where it can, rather than trusting the client
+//   attach(httpServer)      optional, for providers served by this process
+// Both transports carry the same Realtime (beta) client and server events.
+const createProvider = ({ name = 'openai', baseUrl } = {}) => {
+  if (name === 'openai') {
+    return createOpenAIProvider({
+      apiKey: process.env.OPENAI_API_KEY,
+      model: process.env.REALTIME_MODEL,
+      // Comma-separated, e.g. REALTIME_MODELS=gpt-realtime,gpt-realtime-mini
+      models: process.env.REALTIME_MODELS ? process.env.REALTIME_MODELS.split(',').map(m => m.trim()).filter(Boolean) : undefined,
+      url: process.env.REALTIME_URL
+    });
+  }
+  if (name === 'mock') return createMockProvider({ baseUrl });
+  throw new Error(`Unknown realtime provider '${name}'`);
+};
+
+module.exports = { createProvider };
@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+
+// Offline stand-in for the Realtime API, for developing and testing the visitor
+// flow without network access or an API key (REALTIME_PROVIDER=mock). It runs a
+// WebSocket endpoint in this process that accepts the same client events as the
+// real service (session.update, conversation.item.create, response.create...)
+// and answers with the same server events: canned text, streamed as transcript
+// deltas together with a synthesised pcm16 "voice", and a highlight_region call
+// when the visitor asks to be shown something. Microphone audio is ignored, so
+// questions have to be typed.
+
+const PATH = '/api/realtime/mock';
+const SAMPLE_RATE = 24000;
+const WORD_MS = 90;
+const POINTING_WORDS = /\b(where|show|detail)\b|dettagli|détail|detalle|細部|细节|部分/i;
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+// A short tone per word so the audio path is exercised; pcm16 mono, base64
+const toneFor = (word) => {
+  const samples = Math.round(SAMPLE_RATE * WORD_MS / 1000);
+  const frequency = 170 + (word.length % 6) * 20;
+  const pcm = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    const envelope = Math.sin(Math.PI * i / samples);
+    pcm.writeInt16LE(Math.round(Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE) * envelope * 5000), i * 2);
+  }
+  return pcm.toString('base64');
+};
+
+const textOf = (item) => (item.content || [])
+  .filter(c => c.type === 'input_text' || c.type === 'text')
+  .map(c => c.text)
+  .join(' ');
+
+const hasImage = (item) => (item.content || []).some(c => c.type === 'input_image');
+
+// What the guide says next, from the last item in the conversation
+const cannedReply = (items, session) => {
+  const last = items[items.length - 1] || {};
+  if (last.type === 'function_call_output') {
+    return 'I have marked that part of the painting on your screen. This is a canned answer from the offline mock guide.';
+  }
+  if (last.role === 'user' && hasImage(last)) {
+    const opening = String(session.instructions || '').replace(/\s+/g, ' ').slice(0, 120);
+    return `Hello, I am the offline mock guide. A real guide would now describe the painting. My instructions begin: "${opening}…"`;
+  }
+  if (last.role === 'user') {
+    return `You asked: "${textOf(last)}". This is a canned answer from the offline mock guide; switch to a real provider for actual answers.`;
+  }
+  return 'This is the offline mock guide. Ask me anything about the painting.';
+};
+
+// One WebSocket connection is one session
+const runSession = (socket, session, endsAt) => {
+  const items = [];
+  let timers = [];
+
+  const send = (event) => {
+    if (socket.readyState === socket.OPEN) socket.send(JSON.stringify({ event_id: randomId('event'), ...event }));
+  };
+  const later = (ms, fn) => timers.push(setTimeout(fn, ms));
+  const cancel = () => {
+    timers.forEach(clearTimeout);
+    timers = [];
+  };
+
+  const addItem = (item, fromResponse) => {
+    const stored = { ...item, id: item.id || randomId('item') };
+    items.push(stored);
+    if (!fromResponse) send({ type: 'conversation.item.created', item: stored });
+    return stored;
+  };
+
+  const callHighlight = (responseId) => {
+    const callId = randomId('call');
+    const args = JSON.stringify({ x: 0.35, y: 0.35, width: 0.3, height: 0.3, label: 'Here' });
+    const item = addItem({ type: 'function_call', name: 'highlight_region', call_id: callId, arguments: args }, true);
+    const base = { response_id: responseId, item_id: item.id, output_index: 0 };
+    send({ type: 'response.output_item.added', response_id: responseId, output_index: 0, item: { ...item, arguments: '' } });
+    send({ type: 'response.function_call_arguments.delta', ...base, call_id: callId, delta: args });
+    send({ type: 'response.function_call_arguments.done', ...base, call_id: callId, name: item.name, arguments: args });
+    send({ type: 'response.output_item.done', response_id: responseId, output_index: 0, item });
+    send({ type: 'response.done', response: { id: responseId, status: 'completed', output: [item] } });
+  };
+
+  const speak = (responseId, text) => {
+    const item = addItem({ type: 'message', role: 'assistant', content: [{ type: 'audio', transcript: text }] }, true);
+    const base = { response_id: responseId, item_id: item.id, output_index: 0, content_index: 0 };
+    send({ type: 'response.output_item.added', response_id: responseId, output_index: 0, item: { ...item, content: [] } });
+    send({ type: 'response.content_part.added', ...base, part: { type: 'audio', transcript: '' } });
+
+    const words = text.split(' ');
+    words.forEach((word, i) => later(i * WORD_MS, () => {
+      const delta = i === 0 ? word : ` ${word}`;
+      send({ type: 'response.audio_transcript.delta', ...base, delta });
+      send({ type: 'response.audio.delta', ...base, delta: toneFor(word) });
+    }));
+    later(words.length * WORD_MS, () => {
+      send({ type: 'response.audio.done', ...base });
+      send({ type: 'response.audio_transcript.done', ...base, transcript: text });
+      send({ type: 'response.content_part.done', ...base, part: { type: 'audio', transcript: text } });
+      send({ type: 'response.output_item.done', response_id: responseId, output_index: 0, item });
+      send({ type: 'response.done', response: { id: responseId, status: 'completed', output: [item] } });
+    });
+  };
+
+  const respond = () => {
+    const responseId = randomId('resp');
+    send({ type: 'response.created', response: { id: responseId, status: 'in_progress', output: [] } });
+    const last = items[items.length - 1] || {};
+    const canPoint = (session.tools || []).some(t => t.name === 'highlight_region');
+    if (canPoint && last.role === 'user' && !hasImage(last) && POINTING_WORDS.test(textOf(last))) {
+      later(WORD_MS, () => callHighlight(responseId));
+    } else {
+      speak(responseId, cannedReply(items, session));
+    }
+  };
+
+  const handlers = {
+    'session.update': (event) => {
+      Object.assign(session, event.session || {});
+      send({ type: 'session.updated', session });
+    },
+    'conversation.item.create': (event) => addItem(event.item || {}),
+    'response.create': respond,
+    'response.cancel': cancel,
+    // No speech recognition here
+    'input_audio_buffer.append': () => {},
+    'input_audio_buffer.commit': () => {},
+    'input_audio_buffer.clear': () => {}
+  };
+
+  socket.on('message', (data) => {
+    let event;
+    try {
+      event = JSON.parse(data);
+    } catch (err) {
+      send({ type: 'error', error: { type: 'invalid_request_error', message: `Invalid JSON: ${err.message}` } });
+      return;
+    }
+    const handler = handlers[event.type];
+    if (!handler) {
+      send({ type: 'error', error: { type: 'invalid_request_error', message: `Unsupported event type '${event.type}'` } });
+      return;
+    }
+    handler(event);
+  });
+  // The session length limit is enforced here, whatever the client's own timer does
+  const expiry = setTimeout(() => {
+    send({ type: 'error', error: { type: 'session_expired', message: 'Maximum session duration reached' } });
+    socket.close(4002, 'Session time limit reached');
+  }, Math.max(0, endsAt - Date.now()));
+
+  socket.on('close', () => {
+    cancel();
+    clearTimeout(expiry);
+  });
+
+  send({ type: 'session.created', session });
+};
+
+const createMockProvider = ({ baseUrl }) => {
+  const pending = new Map(); // client secret -> session config, until it is used or expires
+
+  return {
+    name: 'mock',
+    connection: {
+      name: 'mock',
+      transport: 'websocket',
+      url: `${String(baseUrl || 'http://localhost:3000').replace(/^http/, 'ws')}${PATH}`,
+      model: 'mock-realtime'
+    },
+    models: ['mock-realtime'],
+    configError: () => null,
+
+    // The model is ignored; there is only one
+    async createSession({ session, tokenTtlSeconds, maxSessionSeconds }) {
+      const now = Date.now();
+      pending.forEach((entry, key) => {
+        if (entry.expiresAt < now) pending.delete(key);
+      });
+      const value = randomId('ek_mock');
+      const expiresAt = now + tokenTtlSeconds * 1000;
+      pending.set(value, {
+        expiresAt,
+        endsAt: now + maxSessionSeconds * 1000,
+        session: { ...session, id: randomId('sess'), model: 'mock-realtime' }
+      });
+      return { value, expires_at: Math.floor(expiresAt / 1000) };
+    },
+
+    attach(httpServer) {
+      const wss = new WebSocketServer({ server: httpServer, path: PATH });
+      wss.on('connection', (socket, req) => {
+        // Browsers can't set headers on a WebSocket, so the secret comes in the query string
+        const token = new URL(req.url, 'http://localhost').searchParams.get('token');
+        const entry = pending.get(token);
+        pending.delete(token);
+        if (!entry || entry.expiresAt < Date.now()) {
+          socket.close(4001, 'Invalid or expired client secret');
+          return;
+        }
+        runSession(socket, entry.session, entry.endsAt);
+      });
+    }
+  };
+};
+
+module.exports = { createMockProvider };
@@ -0,0 +1,34 @@
+const OpenAI = require('openai');
+
+const DEFAULT_MODEL = 'gpt-realtime';
+const DEFAULT_MODELS = [DEFAULT_MODEL, 'gpt-realtime-mini'];
+const DEFAULT_URL = 'https://api.openai.com/v1/realtime';
+
+// OpenAI Realtime over WebRTC: the server mints an ephemeral key, the browser
+// posts its SDP offer to url?model=... with it and talks to OpenAI directly.
+const createOpenAIProvider = ({ apiKey, model = DEFAULT_MODEL, models = DEFAULT_MODELS, url = DEFAULT_URL }) => {
+  const openai = new OpenAI({ apiKey });
+
+  return {
+    name: 'openai',
+    connection: { name: 'openai', transport: 'webrtc', url, model },
+    models: [...new Set([model, ...models])],
+    configError: () => (apiKey ? null : 'OpenAI API Key is missing on server'),
+
+    // Realtime sessions take no length setting, so maxSessionSeconds is not enforced here: the
+    // cap is client-side only (Visitor.jsx hangs up) and OpenAI ends a session after its own
+    // 30 minutes. limits.js keeps the configured cap within that. A client that reports an early
+    // end and stays connected is billed less than it uses, up to that 30 minute ceiling.
+    async createSession({ model: sessionModel, session, maxResponseOutputTokens, tokenTtlSeconds }) {
+      const response = await openai.beta.realtime.sessions.create({
+        ...session, // Set context at session creation
+        model: sessionModel || model,
+        max_response_output_tokens: maxResponseOutputTokens,
+        client_secret: { expires_at: { anchor: 'created_at', seconds: tokenTtlSeconds } }
+      });
+      return response.client_secret;
+    }
+  };
+};
+
+module.exports = { createOpenAIProvider };
@@ -0,0 +1,127 @@
+// Local retrieval over a painting's facts. Long facts (curators paste whole
+// encyclopedia articles) are split into chunks and ranked with BM25, so the
+// base prompt only carries an overview and the model looks up the rest with
+// the lookup_painting_facts tool during the conversation. No external service.
+
+// Facts up to this length are still inlined in the prompt as before
+const INLINE_FACTS_CHARS = 1200;
+const MAX_CHUNK_CHARS = 600;
+const DEFAULT_RESULTS = 3;
+
+// BM25 parameters (the usual defaults)
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'did', 'do', 'does', 'for', 'from', 'had', 'has', 'have',
+  'he', 'her', 'his', 'how', 'in', 'is', 'it', 'its', 'of', 'on', 'or', 'she', 'that', 'the', 'their', 'they',
+  'this', 'to', 'was', 'were', 'what', 'when', 'where', 'which', 'who', 'why', 'with'
+]);
+
+const LOOKUP_TOOL = {
+  type: 'function',
+  name: 'lookup_painting_facts',
+  description: 'Search the museum\'s curated notes about the painting the visitor is looking at. Use it before answering questions about history, provenance, technique, people or dates that are not in your instructions.',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', description: 'What to look up, in a few keywords' }
+    },
+    required: ['query']
+  }
+};
+
+// Wikipedia-style citation markers ([4], [a], [citation needed]) only add noise
+const cleanFacts = (text) => String(text || '')
+  .replace(/\r\n?/g, '\n')
+  .replace(/\[(\d+|[a-z]|citation needed)\]/gi, '')
+  .trim();
+
+// Lines, then sentences within long lines; then packed into chunks of up to MAX_CHUNK_CHARS.
+const chunkFacts = (text) => {
+  const units = cleanFacts(text)
+    .split(/\n+/)
+    .flatMap(line => (line.length > MAX_CHUNK_CHARS ? line.split(/(?<=[.!?])\s+|(?<=[。！？])/) : [line]))
+    .map(unit => unit.trim())
+    .filter(Boolean);
+
+  const chunks = [];
+  let current = '';
+  units.forEach(unit => {
+    if (current && current.length + unit.length + 1 > MAX_CHUNK_CHARS) {
+      chunks.push(current);
+      current = unit;
+    } else {
+      current = current ? `${current} ${unit}` : unit;
+    }
+  });
+  if (current) chunks.push(current);
+  return chunks;
+};
+
+// Words for alphabetic scripts, single characters for CJK (which has no spaces)
+const tokenize = (text) => (String(text).toLowerCase().match(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]|[\p{L}\p{N}]+/gu) || [])
+  .filter(token => !STOPWORDS.has(token))
+  .map(token => (token.length > 3 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token));
+
+const buildIndex = (text) => {
+  const chunks = chunkFacts(text);
+  const docs = chunks.map(chunk => {
+    const termFreq = new Map();
+    const tokens = tokenize(chunk);
+    tokens.forEach(token => termFreq.set(token, (termFreq.get(token) || 0) + 1));
+    return { length: tokens.length, termFreq };
+  });
+  const docFreq = new Map();
+  docs.forEach(doc => doc.termFreq.forEach((count, token) => docFreq.set(token, (docFreq.get(token) || 0) + 1)));
+  const avgLength = docs.reduce((sum, doc) => sum + doc.length, 0) / (docs.length || 1);
+  return { chunks, docs, docFreq, avgLength };
+};
+
+const search = (index, query, limit = DEFAULT_RESULTS) => {
+  const terms = [...new Set(tokenize(query))];
+  const n = index.docs.length;
+  return index.docs
+    .map((doc, i) => {
+      const score = terms.reduce((sum, term) => {
+        const tf = doc.termFreq.get(term);
+        if (!tf) return sum;
+        const df = index.docFreq.get(term);
+        const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+        return sum + idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * doc.length / index.avgLength));
+      }, 0);
+      return { text: index.chunks[i], score: Number(score.toFixed(3)) };
+    })
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+// Indexes are cheap to build but facts rarely change, so keep one per painting and language
+const cache = new Map();
+const factsIndex = (key, text) => {
+  const cached = cache.get(key);
+  if (cached && cached.text === text) return cached.index;
+  const index = buildIndex(text);
+  cache.set(key, { text, index });
+  return index;
+};
+
+const needsLookup = (facts) => cleanFacts(facts).length > INLINE_FACTS_CHARS;
+
+// What {{facts}} becomes: everything when short, otherwise the opening chunk and a pointer to the tool
+const promptFacts = (facts) => {
+  if (!needsLookup(facts)) return facts;
+  const [overview] = chunkFacts(facts);
+  return `${overview}\n(This is only an overview. Call the ${LOOKUP_TOOL.name} tool to look up anything else about the painting before answering.)`;
+};
+
+module.exports = {
+  LOOKUP_TOOL,
+  chunkFacts,
+  buildIndex,
+  search,
+  factsIndex,
+  needsLookup,
+  promptFacts
+};
@@ -0,0 +1,107 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Every change to a painting's content is kept as a revision: a snapshot of the
+// curated fields and the image right after the change, with who made it and when.
+// The Admin history view diffs snapshots, and restoring one writes it back onto
+// the painting as a new revision, so a restore can itself be undone.
+//
+// Images replaced by an edit stay on disk while a revision still refers to them;
+// record() prunes the oldest revisions past MAX_REVISIONS and reports the image
+// files nothing refers to any more, for the caller to delete.
+
+const REVISION_FIELDS = [
+  'title', 'slug', 'description', 'facts', 'translations', 'templateId', 'personaIds',
+  'hotspots', 'voiceSettings', 'openingLine', 'suggestedQuestions', 'metadata', 'artistId', 'imageUrl', 'images'
+];
+const MAX_REVISIONS = Number(process.env.MAX_REVISIONS) || 50;
+
+const snapshotOf = (painting) => {
+  const snapshot = {};
+  REVISION_FIELDS.forEach(field => {
+    snapshot[field] = painting[field] === undefined ? null : painting[field];
+  });
+  return snapshot;
+};
+
+// Field names whose value differs between two snapshots (before may be null)
+const changedFields = (before, after) => REVISION_FIELDS.filter(field => (
+  JSON.stringify(before ? before[field] : null) !== JSON.stringify(after[field])
+));
+
+const imagesOf = (snapshot) => [snapshot.imageUrl, ...Object.values(snapshot.images || {})].filter(Boolean);
+
+// author is req.user; only its id and username are kept
+const authorOf = (user) => (user ? { id: user.id, username: user.username } : null);
+
+// collection is a store collection (paintingRevisions)
+const createRevisionLog = (collection) => {
+  const list = async (paintingId) => (await collection.all())
+    .filter(r => r.paintingId === paintingId)
+    .sort((a, b) => b.number - a.number);
+
+  return {
+    list,
+
+    get: (id) => collection.get(id),
+
+    // Records the painting as it is after a change. Paintings created before revisions
+    // existed get their earlier state recorded first, so the first edit can be undone.
+    // Resolves to { revision, orphanedImages }; revision is null when nothing changed.
+    async record({ before = null, after, user, action, restoredFrom = null }) {
+      let revisions = await list(after.id);
+      if (revisions.length === 0 && before) {
+        const original = {
+          id: uuidv4(),
+          paintingId: after.id,
+          number: 1,
+          action: 'original',
+          author: null,
+          createdAt: before.updatedAt || before.createdAt || new Date().toISOString(),
+          changes: [],
+          snapshot: snapshotOf(before)
+        };
+        await collection.insert(original);
+        revisions = [original];
+      }
+
+      const previous = revisions[0] ? revisions[0].snapshot : null;
+      const snapshot = snapshotOf(after);
+      const changes = changedFields(previous, snapshot);
+      if (previous && changes.length === 0) return { revision: null, orphanedImages: [] };
+
+      const number = revisions[0] ? revisions[0].number + 1 : 1;
+      const revision = {
+        id: uuidv4(),
+        paintingId: after.id,
+        number,
+        action,
+        author: authorOf(user),
+        createdAt: new Date().toISOString(),
+        changes,
+        snapshot,
+        ...(restoredFrom ? { restoredFrom } : {})
+      };
+      await collection.insert(revision);
+
+      const kept = [revision, ...revisions].slice(0, MAX_REVISIONS);
+      const dropped = revisions.slice(MAX_REVISIONS - 1);
+      for (const old of dropped) await collection.remove(old.id);
+      const stillUsed = new Set(kept.flatMap(r => imagesOf(r.snapshot)));
+      const orphanedImages = [...new Set(dropped.flatMap(r => imagesOf(r.snapshot)))].filter(url => !stillUsed.has(url));
+      return { revision, orphanedImages };
+    },
+
+    // Drops a deleted painting's history; resolves to every image file it referred to
+    async removeAll(paintingId) {
+      const revisions = await list(paintingId);
+      for (const revision of revisions) await collection.remove(revision.id);
+      return [...new Set(revisions.flatMap(r => imagesOf(r.snapshot)))];
+    }
+  };
+};
+
+module.exports = {
+  REVISION_FIELDS,
+  imagesOf,
+  createRevisionLog
+};
@@ -0,0 +1,19 @@
+// Painting and exhibition slugs end up in visitor URLs and QR codes (/talk?slug=..., /p/<slug>,
+// /tour?slug=...), so they are kept to characters that need no escaping.
+
+const SLUG_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+const INVALID_SLUG = 'Slugs may only contain letters, numbers, - and _';
+
+// Blank or missing means no slug (null); throws when the slug doesn't match
+const sanitizeSlug = (raw) => {
+  const slug = typeof raw === 'string' ? raw.trim() : '';
+  if (!slug) return null;
+  if (!SLUG_PATTERN.test(slug)) throw new Error(INVALID_SLUG);
+  return slug;
+};
+
+module.exports = {
+  SLUG_PATTERN,
+  INVALID_SLUG,
+  sanitizeSlug
+};
@@ -0,0 +1,43 @@
+// Curator-written conversation starters: an opening line the guide begins with,
+// and suggested questions that Visitor.jsx shows as tappable chips. Both can be
+// translated (painting.translations[code].openingLine / .suggestedQuestions).
+
+const MAX_OPENING_LINE_LENGTH = 500;
+const MAX_QUESTIONS = 8;
+const MAX_QUESTION_LENGTH = 200;
+
+const sanitizeOpeningLine = (raw) => {
+  const line = typeof raw === 'string' ? raw.replace(/\s+/g, ' ').trim() : '';
+  if (line.length > MAX_OPENING_LINE_LENGTH) {
+    throw new Error(`The opening line can be at most ${MAX_OPENING_LINE_LENGTH} characters`);
+  }
+  return line;
+};
+
+// Accepts an array or a JSON string of one (multipart bodies); blanks and repeats are dropped.
+const sanitizeSuggestedQuestions = (raw) => {
+  let value = raw;
+  if (typeof raw === 'string') {
+    try {
+      value = JSON.parse(raw);
+    } catch (err) {
+      throw new Error('Suggested questions must be valid JSON');
+    }
+  }
+  if (value === null || value === undefined) return [];
+  if (!Array.isArray(value)) throw new Error('Suggested questions must be a JSON array');
+
+  const questions = [...new Set(value
+    .filter(q => typeof q === 'string')
+    .map(q => q.replace(/\s+/g, ' ').trim())
+    .filter(Boolean))];
+  if (questions.length > MAX_QUESTIONS) throw new Error(`A painting can have at most ${MAX_QUESTIONS} suggested questions`);
+  const tooLong = questions.find(q => q.length > MAX_QUESTION_LENGTH);
+  if (tooLong) throw new Error(`Suggested questions can be at most ${MAX_QUESTION_LENGTH} characters: "${tooLong.slice(0, 40)}…"`);
+  return questions;
+};
+
+module.exports = {
+  sanitizeOpeningLine,
+  sanitizeSuggestedQuestions
+};
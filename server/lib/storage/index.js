@@ -0,0 +1,19 @@
+const { createJsonStore } = require('./jsonStore');
+const { migrateFromJson } = require('./migrate');
+
+// Every store exposes the same collection API:
+//   all(), get(id), findOne(predicate), insert(doc), insertMany(docs),
+//   update(id, updater), remove(id)
+// All methods return promises. update() applies updater(current) atomically and
+// resolves to the new document, or null when the id does not exist.
+const createStore = ({ backend = 'sqlite', dataDir }) => {
+  if (backend === 'json') return createJsonStore({ dataDir });
+  if (backend === 'sqlite') {
+    // Loaded lazily so the JSON backend works without the native module
+    const { createSqliteStore } = require('./sqliteStore');
+    return createSqliteStore({ dataDir });
+  }
+  throw new Error(`Unknown storage backend '${backend}'`);
+};
+
+module.exports = { createStore, migrateFromJson };
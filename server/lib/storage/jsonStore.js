@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+
+// One JSON file per collection. Writes go to a temp file that is fsynced and
+// renamed over the original, so a crash never leaves half-written JSON, and
+// every mutation for a collection is queued so concurrent requests cannot
+// overwrite each other's changes.
+const createJsonStore = ({ dataDir }) => {
+  const collections = new Map();
+
+  const createCollection = (name) => {
+    const file = path.join(dataDir, `${name}.json`);
+    let queue = Promise.resolve();
+
+    const read = () => {
+      if (!fs.existsSync(file)) return [];
+      const raw = fs.readFileSync(file, 'utf8');
+      try {
+        return JSON.parse(raw);
+      } catch (err) {
+        throw new Error(`Corrupt data file ${file}: ${err.message}`);
+      }
+    };
+
+    const write = (docs) => {
+      const tmp = `${file}.${process.pid}.tmp`;
+      const fd = fs.openSync(tmp, 'w');
+      try {
+        fs.writeSync(fd, JSON.stringify(docs, null, 2));
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+      fs.renameSync(tmp, file);
+    };
+
+    // Serialises read-modify-write cycles on this collection
+    const exclusive = (fn) => {
+      const run = queue.then(() => fn(read()));
+      queue = run.catch(() => {});
+      return run;
+    };
+
+    return {
+      all: async () => read(),
+      get: async (id) => read().find(d => d.id === id) || null,
+      findOne: async (predicate) => read().find(predicate) || null,
+      insert: (doc) => exclusive((docs) => {
+        if (docs.some(d => d.id === doc.id)) throw new Error(`Duplicate id ${doc.id} in ${name}`);
+        write([...docs, doc]);
+        return doc;
+      }),
+      insertMany: (newDocs) => exclusive((docs) => {
+        write([...docs, ...newDocs]);
+        return newDocs;
+      }),
+      update: (id, updater) => exclusive((docs) => {
+        const index = docs.findIndex(d => d.id === id);
+        if (index === -1) return null;
+        const updated = { ...updater(docs[index]), id };
+        docs[index] = updated;
+        write(docs);
+        return updated;
+      }),
+      remove: (id) => exclusive((docs) => {
+        const remaining = docs.filter(d => d.id !== id);
+        if (remaining.length === docs.length) return false;
+        write(remaining);
+        return true;
+      })
+    };
+  };
+
+  return {
+    backend: 'json',
+    collection: (name) => {
+      if (!collections.has(name)) collections.set(name, createCollection(name));
+      return collections.get(name);
+    },
+    close: () => {}
+  };
+};
+
+module.exports = { createJsonStore };
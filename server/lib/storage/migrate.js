@@ -0,0 +1,37 @@
+const fs = require('fs');
+
+// One-shot import of the legacy JSON files into the current store. Documents
+// whose id already exists are skipped, so running it twice is harmless.
+const importJsonFiles = async (store, name, files) => {
+  const collection = store.collection(name);
+  const existingIds = new Set((await collection.all()).map(d => d.id));
+  const imported = [];
+
+  for (const file of files) {
+    if (!fs.existsSync(file)) continue;
+    const docs = JSON.parse(fs.readFileSync(file, 'utf8'));
+    for (const doc of docs) {
+      if (!doc.id || existingIds.has(doc.id)) continue;
+      existingIds.add(doc.id);
+      imported.push(doc);
+    }
+  }
+
+  if (imported.length > 0) await collection.insertMany(imported);
+  return imported.length;
+};
+
+const migrateFromJson = async (store, sources) => {
+  const meta = store.collection('meta');
+  if (await meta.get('json-migration')) return null;
+
+  const counts = {};
+  for (const [name, files] of Object.entries(sources)) {
+    counts[name] = await importJsonFiles(store, name, files);
+  }
+
+  await meta.insert({ id: 'json-migration', migratedAt: new Date().toISOString(), counts });
+  return counts;
+};
+
+module.exports = { migrateFromJson };
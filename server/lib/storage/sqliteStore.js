@@ -0,0 +1,73 @@
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// Documents are stored as JSON in a single table keyed by (collection, id), so
+// new painting fields never need a schema migration. Every mutation runs in a
+// transaction.
+const createSqliteStore = ({ dataDir, filename = 'art-critic.db' }) => {
+  const db = new Database(path.join(dataDir, filename));
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS documents (
+      collection TEXT NOT NULL,
+      id TEXT NOT NULL,
+      data TEXT NOT NULL,
+      PRIMARY KEY (collection, id)
+    )
+  `);
+
+  const statements = {
+    all: db.prepare('SELECT data FROM documents WHERE collection = ? ORDER BY rowid'),
+    get: db.prepare('SELECT data FROM documents WHERE collection = ? AND id = ?'),
+    insert: db.prepare('INSERT INTO documents (collection, id, data) VALUES (?, ?, ?)'),
+    update: db.prepare('UPDATE documents SET data = ? WHERE collection = ? AND id = ?'),
+    remove: db.prepare('DELETE FROM documents WHERE collection = ? AND id = ?')
+  };
+
+  const collections = new Map();
+
+  const createCollection = (name) => {
+    const all = () => statements.all.all(name).map(row => JSON.parse(row.data));
+    const get = (id) => {
+      const row = statements.get.get(name, id);
+      return row ? JSON.parse(row.data) : null;
+    };
+
+    const insertMany = db.transaction((docs) => {
+      docs.forEach(doc => statements.insert.run(name, doc.id, JSON.stringify(doc)));
+      return docs;
+    });
+
+    const update = db.transaction((id, updater) => {
+      const existing = get(id);
+      if (!existing) return null;
+      const updated = { ...updater(existing), id };
+      statements.update.run(JSON.stringify(updated), name, id);
+      return updated;
+    });
+
+    return {
+      all: async () => all(),
+      get: async (id) => get(id),
+      findOne: async (predicate) => all().find(predicate) || null,
+      insert: async (doc) => {
+        statements.insert.run(name, doc.id, JSON.stringify(doc));
+        return doc;
+      },
+      insertMany: async (docs) => insertMany(docs),
+      update: async (id, updater) => update(id, updater),
+      remove: async (id) => statements.remove.run(name, id).changes > 0
+    };
+  };
+
+  return {
+    backend: 'sqlite',
+    collection: (name) => {
+      if (!collections.has(name)) collections.set(name, createCollection(name));
+      return collections.get(name);
+    },
+    close: () => db.close()
+  };
+};
+
+module.exports = { createSqliteStore };
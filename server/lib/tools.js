@@ -0,0 +1,81 @@
+const { LOOKUP_TOOL } = require('./retrieval');
+const { localizePainting } = require('./languages');
+
+// Realtime function tools offered to the guide. The definitions live here and
+// are attached to each session by /api/session; Visitor.jsx runs the calls
+// (client/src/realtime/tools.js) and sends the function_call_output back.
+// Coordinates are fractions of the painting image, (0, 0) being the top-left corner.
+
+const regionProperties = {
+  x: { type: 'number', description: 'Left edge, 0 to 1' },
+  y: { type: 'number', description: 'Top edge, 0 to 1' },
+  width: { type: 'number', description: 'Width, 0 to 1' },
+  height: { type: 'number', description: 'Height, 0 to 1' },
+  label: { type: 'string', description: 'A few words shown next to the box, in the visitor\'s language' }
+};
+
+const HIGHLIGHT_REGION_TOOL = {
+  type: 'function',
+  name: 'highlight_region',
+  description: 'Draw a box on the painting image on the visitor\'s screen to show them the detail you are talking about (for example "look at the hands here"). Call it whenever you point out a specific area.',
+  parameters: {
+    type: 'object',
+    properties: regionProperties,
+    required: ['x', 'y', 'width', 'height']
+  }
+};
+
+const OPEN_DETAIL_ZOOM_TOOL = {
+  type: 'function',
+  name: 'open_detail_zoom',
+  description: 'Open a magnified view of part of the painting on the visitor\'s screen, for small details such as brushwork, a signature or a background landscape.',
+  parameters: {
+    type: 'object',
+    properties: {
+      x: { type: 'number', description: 'Horizontal centre of the detail, 0 to 1' },
+      y: { type: 'number', description: 'Vertical centre of the detail, 0 to 1' },
+      zoom: { type: 'number', description: 'Magnification, 1.5 to 5' },
+      label: regionProperties.label
+    },
+    required: ['x', 'y']
+  }
+};
+
+// The candidate paintings go into the definition itself so the model can only pick real ones
+const showRelatedPaintingTool = (related) => ({
+  type: 'function',
+  name: 'show_related_painting',
+  description: `Show the visitor a card for another painting in the museum, with a link to talk about it next. Use it when comparing works or suggesting what to see next. Available paintings:\n${related.map(p => `- ${p.id}: ${p.title}`).join('\n')}`,
+  parameters: {
+    type: 'object',
+    properties: {
+      painting_id: { type: 'string', enum: related.map(p => p.id) },
+      reason: { type: 'string', description: 'One sentence on why it is related, in the visitor\'s language' }
+    },
+    required: ['painting_id']
+  }
+});
+
+const MAX_RELATED = 20;
+
+// On a tour the rest of the tour, otherwise the other paintings on display
+const relatedPaintings = (painting, paintings, tour, lang) => {
+  if (tour) return tour.works.filter(w => w.id !== painting.id);
+  return paintings
+    .filter(p => p.id !== painting.id && !p.archived)
+    .slice(0, MAX_RELATED)
+    .map(p => ({ id: p.id, title: localizePainting(p, lang).title }));
+};
+
+// related: [{ id, title }] other paintings the guide may point to
+const sessionTools = ({ lookupFacts, related = [] }) => [
+  lookupFacts && LOOKUP_TOOL,
+  HIGHLIGHT_REGION_TOOL,
+  OPEN_DETAIL_ZOOM_TOOL,
+  related.length > 0 && showRelatedPaintingTool(related)
+].filter(Boolean);
+
+module.exports = {
+  relatedPaintings,
+  sessionTools
+};
@@ -0,0 +1,125 @@
+const { VOICES } = require('./personas');
+
+// How the guide sounds and takes turns, set per painting in the Admin form and
+// stored as painting.voiceSettings. sessionConfig() combines them with the
+// persona and the provider's defaults into the one Realtime session config that
+// /api/session creates the session with and Visitor.jsx sends in session.update.
+
+const SPEED_RANGE = { min: 0.25, max: 1.5 };
+const PAUSE_RANGE = { min: 200, max: 2000 };
+
+// Voice activity detection threshold: how clearly someone has to speak to take a turn.
+// Low suits noisy galleries; high picks up quiet voices but also background chatter.
+const SENSITIVITIES = {
+  low: 0.7,
+  medium: 0.5,
+  high: 0.3
+};
+
+// What happens once connected; the wording sent for each lives in Visitor.jsx
+//   describe - the guide introduces the painting straight away
+//   brief    - a one-line greeting, then it asks what the visitor wants to know
+//   wait     - silence until the visitor speaks first
+const GREETINGS = ['describe', 'brief', 'wait'];
+
+// voice and model null mean the persona's voice and the provider's default model
+const DEFAULT_VOICE_SETTINGS = {
+  voice: null,
+  model: null,
+  speed: 1,
+  sensitivity: 'medium',
+  pauseMs: 200,
+  greeting: 'describe'
+};
+
+const inRange = (value, { min, max }) => Number.isFinite(value) && value >= min && value <= max;
+
+// Parses the voiceSettings field sent by the Admin form (a JSON string in multipart bodies).
+// Missing keys fall back to the defaults; models is the provider's list.
+const sanitizeVoiceSettings = (raw, models) => {
+  let value = raw;
+  if (typeof raw === 'string') {
+    try {
+      value = JSON.parse(raw);
+    } catch (err) {
+      throw new Error('Voice settings must be valid JSON');
+    }
+  }
+  if (value === null || value === undefined) return { ...DEFAULT_VOICE_SETTINGS };
+  if (typeof value !== 'object' || Array.isArray(value)) throw new Error('Voice settings must be a JSON object');
+
+  const settings = { ...DEFAULT_VOICE_SETTINGS };
+  if (value.voice) {
+    if (!VOICES.includes(value.voice)) throw new Error(`Voice must be one of: ${VOICES.join(', ')}`);
+    settings.voice = value.voice;
+  }
+  if (value.model) {
+    if (!models.includes(value.model)) throw new Error(`Model must be one of: ${models.join(', ')}`);
+    settings.model = value.model;
+  }
+  if (value.speed !== undefined) {
+    const speed = Number(value.speed);
+    if (!inRange(speed, SPEED_RANGE)) throw new Error(`Speaking speed must be between ${SPEED_RANGE.min} and ${SPEED_RANGE.max}`);
+    settings.speed = speed;
+  }
+  if (value.sensitivity !== undefined) {
+    if (!SENSITIVITIES[value.sensitivity]) throw new Error(`Sensitivity must be one of: ${Object.keys(SENSITIVITIES).join(', ')}`);
+    settings.sensitivity = value.sensitivity;
+  }
+  if (value.pauseMs !== undefined) {
+    const pauseMs = Number(value.pauseMs);
+    if (!inRange(pauseMs, PAUSE_RANGE)) throw new Error(`Pause must be between ${PAUSE_RANGE.min} and ${PAUSE_RANGE.max} ms`);
+    settings.pauseMs = Math.round(pauseMs);
+  }
+  if (value.greeting !== undefined) {
+    if (!GREETINGS.includes(value.greeting)) throw new Error(`Greeting must be one of: ${GREETINGS.join(', ')}`);
+    settings.greeting = value.greeting;
+  }
+  return settings;
+};
+
+// Choices for the Admin form
+const voiceOptions = (models, defaultModel) => ({
+  voices: VOICES,
+  models,
+  defaultModel,
+  speed: SPEED_RANGE,
+  pauseMs: PAUSE_RANGE,
+  sensitivities: Object.keys(SENSITIVITIES),
+  greetings: GREETINGS,
+  defaults: DEFAULT_VOICE_SETTINGS
+});
+
+// painting may be null (no painting context); returns { model, greeting, session }.
+// A model the current provider doesn't offer (e.g. saved under another provider) falls back to the default.
+const sessionConfig = ({ painting, persona, models, defaultModel, lang, instructions, tools }) => {
+  const settings = { ...DEFAULT_VOICE_SETTINGS, ...(painting && painting.voiceSettings) };
+  return {
+    model: models.includes(settings.model) ? settings.model : defaultModel,
+    greeting: settings.greeting,
+    session: {
+      modalities: ['text', 'audio'],
+      instructions,
+      voice: settings.voice || persona.voice,
+      speed: settings.speed,
+      tools,
+      tool_choice: 'auto',
+      input_audio_format: 'pcm16',
+      output_audio_format: 'pcm16',
+      // Needed for the visitor's side of the transcript
+      input_audio_transcription: { model: 'whisper-1', language: lang },
+      turn_detection: {
+        type: 'server_vad',
+        threshold: SENSITIVITIES[settings.sensitivity],
+        prefix_padding_ms: 300,
+        silence_duration_ms: settings.pauseMs
+      }
+    }
+  };
+};
+
+module.exports = {
+  sanitizeVoiceSettings,
+  voiceOptions,
+  sessionConfig
+};
@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sanitizeTranscript, parseDays } = require('../lib/analytics');
+
+test('parseDays takes a whole number of days up to ten years, or nothing for all time', () => {
+  assert.deepEqual(parseDays('30'), { days: 30 });
+  assert.deepEqual(parseDays(undefined), { days: null });
+  assert.deepEqual(parseDays(''), { days: null });
+  ['0', '-7', '1.5', 'week', '3651'].forEach(raw => {
+    assert.equal(parseDays(raw).error, 'days must be a whole number between 1 and 3650', raw);
+  });
+});
+
+test('sanitizeTranscript keeps only user and assistant text', () => {
+  assert.equal(sanitizeTranscript('nope'), null);
+  assert.deepEqual(sanitizeTranscript([
+    { role: 'user', text: ' Who painted this? ' },
+    { role: 'system', text: 'hidden' },
+    { role: 'assistant', text: '' },
+    null
+  ]), [{ role: 'user', text: 'Who painted this?' }]);
+});
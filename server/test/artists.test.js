@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateArtist, artistContext, linksArtist, unlinkArtist } = require('../lib/artists');
+
+test('validateArtist cleans the name, years and movements', () => {
+  const { fields } = validateArtist({ name: '  Leonardo   da Vinci ', birthYear: '1452', deathYear: 1519, movements: 'Renaissance, High Renaissance, Renaissance' });
+  assert.deepEqual(fields, { name: 'Leonardo da Vinci', birthYear: 1452, deathYear: 1519, movements: ['Renaissance', 'High Renaissance'], bio: '' });
+  assert.equal(validateArtist({ name: ' ' }).error, 'Artist name is required');
+  assert.equal(validateArtist({ name: 'A', birthYear: 1500, deathYear: 1400 }).error, 'The year of death cannot be before the year of birth');
+});
+
+test('artistContext lists the other works on display', () => {
+  const artist = { id: 'a1', name: 'Leonardo', birthYear: 1452, deathYear: 1519 };
+  const paintings = [
+    { id: 'p1', title: 'Mona Lisa', artistId: 'a1' },
+    { id: 'p2', title: 'Lady with an Ermine', artistId: 'a1' },
+    { id: 'p3', title: 'Annunciation', artistId: 'a1', archived: true }
+  ];
+  const context = artistContext(artist, paintings, 'p1', 'en');
+  assert.equal(context.lifespan, '1452–1519');
+  assert.deepEqual(context.otherWorks, ['Lady with an Ermine']);
+});
+
+test('unlinkArtist clears the artist from the painting and from its draft', () => {
+  const draft = { content: { title: 'Mona Lisa', artistId: 'a1' }, savedAt: '2026-01-01T00:00:00.000Z', savedBy: 'ada' };
+  const inDraftOnly = { id: 'p1', artistId: null, draft };
+  assert.equal(linksArtist(inDraftOnly, 'a1'), true);
+  assert.deepEqual(unlinkArtist(inDraftOnly, 'a1'), { id: 'p1', artistId: null, draft: { ...draft, content: { title: 'Mona Lisa', artistId: null } } });
+
+  const published = { id: 'p2', artistId: 'a1', draft: { ...draft, content: { artistId: 'a2' } } };
+  assert.deepEqual(unlinkArtist(published, 'a1'), { ...published, artistId: null });
+  assert.equal(linksArtist({ id: 'p3', artistId: 'a2', draft: null }, 'a1'), false);
+});
@@ -0,0 +1,106 @@
+process.env.AUTH_SECRET = 'test-secret';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('../lib/storage');
+const {
+  verifyPassword, createToken, verifyToken, createUserStore, createAuthMiddleware, createLoginGate
+} = require('../lib/auth');
+
+// Runs an Express-style middleware chain; resolves to { status, body } or { next: true }
+const run = (middleware, req) => new Promise(resolve => {
+  const chain = [].concat(middleware);
+  const res = {
+    status(code) {
+      return { json: body => resolve({ status: code, body }) };
+    }
+  };
+  const step = (i) => {
+    if (i === chain.length) return resolve({ next: true });
+    chain[i](req, res, () => step(i + 1));
+  };
+  step(0);
+});
+
+const bearer = (token) => ({ headers: { authorization: `Bearer ${token}` } });
+
+const tempUsers = () => createStore({ backend: 'json', dataDir: fs.mkdtempSync(path.join(os.tmpdir(), 'auth-')) }).collection('users');
+
+test('createToken and verifyToken round-trip the claims', () => {
+  const claims = verifyToken(createToken({ id: 'u1', username: 'ada', role: 'curator' }));
+  assert.equal(claims.sub, 'u1');
+  assert.equal(claims.username, 'ada');
+  assert.equal(claims.role, 'curator');
+});
+
+test('verifyToken rejects tampered, malformed and expired tokens', (t) => {
+  const token = createToken({ id: 'u1', username: 'ada', role: 'viewer' });
+  const [, signature] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ sub: 'u1', username: 'ada', role: 'curator', exp: Date.now() + 1000 })).toString('base64url');
+  assert.equal(verifyToken(`${forged}.${signature}`), null);
+  assert.equal(verifyToken('not-a-token'), null);
+  assert.equal(verifyToken(''), null);
+  assert.equal(verifyToken(undefined), null);
+
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now + 13 * 60 * 60 * 1000);
+  assert.equal(verifyToken(token), null);
+});
+
+test('passwords are hashed with a salt and verified', async () => {
+  const users = createUserStore(tempUsers());
+  const user = await users.createUser({ username: 'ada', password: 'secret', role: 'curator' });
+  assert.notEqual(user.passwordHash, 'secret');
+  assert.equal(await verifyPassword('secret', user.passwordHash), true);
+  assert.equal(await verifyPassword('wrong', user.passwordHash), false);
+  assert.equal(await verifyPassword('secret', 'garbage'), false);
+  await assert.rejects(users.createUser({ username: 'ada', password: 'x', role: 'viewer' }), /already exists/);
+});
+
+test('requireAuth needs a valid token for an account that still exists', async () => {
+  const collection = tempUsers();
+  const users = createUserStore(collection);
+  const { requireAuth } = createAuthMiddleware(users);
+  const user = await users.createUser({ username: 'ada', password: 'secret', role: 'curator' });
+  const token = createToken(user);
+
+  assert.equal((await run(requireAuth, { headers: {} })).status, 401);
+  assert.equal((await run(requireAuth, bearer('bad.token'))).status, 401);
+
+  const req = bearer(token);
+  assert.deepEqual(await run(requireAuth, req), { next: true });
+  assert.deepEqual(req.user, { id: user.id, username: 'ada', role: 'curator' });
+
+  await users.remove(user.id);
+  assert.deepEqual(await run(requireAuth, bearer(token)), { status: 401, body: { error: 'Account no longer exists' } });
+});
+
+test('requireRole uses the stored role, not the one in the token', async () => {
+  const collection = tempUsers();
+  const users = createUserStore(collection);
+  const { requireRole } = createAuthMiddleware(users);
+  const user = await users.createUser({ username: 'ada', password: 'secret', role: 'curator' });
+  const token = createToken(user);
+
+  assert.deepEqual(await run(requireRole('curator'), bearer(token)), { next: true });
+  await collection.update(user.id, current => ({ ...current, role: 'viewer' }));
+  assert.equal((await run(requireRole('curator'), bearer(token))).status, 403);
+  assert.deepEqual(await run(requireRole('curator', 'viewer'), bearer(token)), { next: true });
+});
+
+test('the login gate refuses an IP or a username after too many failures', () => {
+  const gate = createLoginGate();
+  const now = Date.now();
+  for (let i = 0; i < 10; i++) gate.recordFailure({ ip: `ip-${i}`, username: 'ada', now });
+  // Ten wrong passwords for ada, from anywhere, lock ada for the rest of the hour
+  assert.equal(gate.retryAfter({ ip: 'ip-new', username: 'ada', now }), 60 * 60);
+  assert.equal(gate.retryAfter({ ip: 'ip-new', username: 'grace', now }), 0);
+
+  for (let i = 0; i < 20; i++) gate.recordFailure({ ip: 'ip-x', username: `user-${i}`, now });
+  // Twenty failures from one IP lock that IP out, whatever the username
+  assert.equal(gate.retryAfter({ ip: 'ip-x', username: 'grace', now: now + 60 * 1000 }), 59 * 60);
+  assert.equal(gate.retryAfter({ ip: 'ip-x', username: 'grace', now: now + 60 * 60 * 1000 }), 0);
+});
@@ -0,0 +1,218 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const sharp = require('sharp');
+const { planImport, previewOf, exportArchive } = require('../lib/catalogue');
+const { MAX_UPLOAD_BYTES } = require('../lib/images');
+
+const models = ['gpt-realtime'];
+const here = { models, templateIds: [], paintings: [], exhibitions: [], artists: [] };
+
+let png;
+test.before(async () => {
+  png = await sharp({ create: { width: 300, height: 200, channels: 3, background: '#336699' } }).png().toBuffer();
+});
+
+// files maps ZIP paths to strings or buffers
+const zipOf = (files) => {
+  const zip = new AdmZip();
+  Object.entries(files).forEach(([name, content]) => zip.addFile(name, Buffer.from(content)));
+  return zip.toBuffer();
+};
+
+const manifest = (value) => JSON.stringify(value);
+
+test('planImport reads a JSON manifest from a zipped folder', async () => {
+  const plan = await planImport(zipOf({
+    'export/paintings.json': manifest({ paintings: [{ title: 'Mona Lisa', slug: 'mona', image: 'images/mona.png' }] }),
+    'export/images/mona.png': png
+  }), here);
+  assert.equal(plan.manifest, 'export/paintings.json');
+  assert.equal(plan.rows.length, 1);
+  assert.deepEqual(plan.rows[0].errors, []);
+  assert.equal(plan.rows[0].fields.title, 'Mona Lisa');
+  assert.equal(plan.rows[0].fields.slug, 'mona');
+});
+
+test('planImport reads CSV with quoted fields, translations and catalogue details', async () => {
+  const csv = [
+    'title;slug;facts;image;title.it;suggestedQuestions;artist;dateFrom;height;width;tags',
+    '"Mona; Lisa";mona;"Painted ""en plein air""\non poplar";mona.png;La Gioconda;Who is she?|Why the smile?;Leonardo;1503;77;53;portrait|renaissance'
+  ].join('\n');
+  const plan = await planImport(zipOf({ 'paintings.csv': csv, 'mona.png': png }), here);
+  const [row] = plan.rows;
+  assert.deepEqual(row.errors, []);
+  assert.equal(row.fields.title, 'Mona; Lisa');
+  assert.equal(row.fields.facts, 'Painted "en plein air"\non poplar');
+  assert.equal(row.fields.translations.it.title, 'La Gioconda');
+  assert.deepEqual(row.fields.suggestedQuestions, ['Who is she?', 'Why the smile?']);
+  assert.deepEqual(row.fields.metadata, {
+    artist: 'Leonardo',
+    dateFrom: 1503,
+    dimensions: { height: 77, width: 53, unit: 'cm' },
+    tags: ['portrait', 'renaissance']
+  });
+});
+
+test('planImport rejects archives without a usable manifest', async () => {
+  await assert.rejects(planImport(Buffer.from('not a zip'), here), /not a valid ZIP/);
+  await assert.rejects(planImport(zipOf({ 'mona.png': png }), here), /no manifest/);
+  await assert.rejects(planImport(zipOf({ 'paintings.json': '{' }), here), /not valid JSON/);
+  await assert.rejects(planImport(zipOf({ 'paintings.json': manifest({ paintings: [] }) }), here), /no paintings/);
+});
+
+test('planImport checks slugs against the pattern, this installation and the other rows', async () => {
+  const plan = await planImport(zipOf({
+    'paintings.json': manifest([
+      { title: 'A', slug: 'bad slug', image: 'a.png' },
+      { title: 'B', slug: 'taken', image: 'a.png' },
+      { title: 'C', slug: 'twice', image: 'a.png' },
+      { title: 'D', slug: 'twice', image: 'a.png' }
+    ]),
+    'a.png': png
+  }), { ...here, paintings: [{ id: 'x', slug: 'taken' }] });
+  assert.deepEqual(plan.rows.map(r => r.errors), [
+    ['Slugs may only contain letters, numbers, - and _'],
+    ['Slug "taken" already exists'],
+    [],
+    ['Slug "twice" is also used by row 3']
+  ]);
+  assert.deepEqual(previewOf(plan), {
+    manifest: 'paintings.json',
+    rows: plan.rows.map(({ row, title, slug, image, errors, warnings }) => ({ row, title, slug, image, draft: false, errors, warnings })),
+    exhibitions: [],
+    artists: [],
+    valid: 1,
+    invalid: 3
+  });
+});
+
+test('planImport checks exhibition slugs against the pattern, this installation and the other entries', async () => {
+  const plan = await planImport(zipOf({
+    'paintings.json': manifest({
+      paintings: [{ title: 'A', image: 'a.png' }],
+      exhibitions: [
+        { title: 'Bad', slug: 'bad slug' },
+        { title: 'Taken', slug: 'taken' },
+        { title: 'First', slug: ' twice ' },
+        { title: 'Second', slug: 'twice' }
+      ]
+    }),
+    'a.png': png
+  }), { ...here, exhibitions: [{ id: 'e1', slug: 'taken' }] });
+  assert.deepEqual(plan.exhibitions.map(e => e.errors), [
+    ['Slugs may only contain letters, numbers, - and _'],
+    ['Exhibition slug "taken" already exists'],
+    [],
+    ['Exhibition slug "twice" already exists']
+  ]);
+  assert.equal(plan.exhibitions[2].slug, 'twice');
+});
+
+test('planImport reports missing, broken and oversized images per row', async () => {
+  const plan = await planImport(zipOf({
+    'paintings.json': manifest([
+      { title: 'Missing', image: 'nowhere.png' },
+      { title: 'Broken', image: 'broken.png' },
+      { title: 'No image' },
+      { title: 'Huge', image: 'huge.png' }
+    ]),
+    'broken.png': 'not an image',
+    // Zeros compress to almost nothing, so only the decompressed size gives it away
+    'huge.png': Buffer.alloc(MAX_UPLOAD_BYTES + 1)
+  }), here);
+  assert.match(plan.rows[0].errors[0], /not in the ZIP/);
+  assert.match(plan.rows[1].errors[0], /not a supported image/);
+  assert.deepEqual(plan.rows[2].errors, ['Image is required']);
+  assert.match(plan.rows[3].errors[0], /is larger than/);
+});
+
+test('planImport keeps ids from a backup unless they are taken', async () => {
+  const plan = await planImport(zipOf({
+    'paintings.json': manifest([{ id: 'keep', title: 'A', image: 'a.png' }, { id: 'taken', title: 'B', image: 'a.png' }]),
+    'a.png': png
+  }), { ...here, paintings: [{ id: 'taken' }] });
+  assert.equal(plan.rows[0].fields.id, 'keep');
+  assert.equal(plan.rows[1].fields.id, null);
+  assert.match(plan.rows[1].warnings[0], /gets a new id/);
+});
+
+test('planImport restores a draft, or leaves it out with a warning', async () => {
+  const plan = await planImport(zipOf({
+    'paintings.json': manifest([
+      { title: 'A', image: 'a.png', draft: { title: 'A (new)', image: 'b.png', savedAt: '2026-01-02T03:04:05.000Z', savedBy: 'ada' } },
+      { title: 'B', image: 'a.png', draft: { title: 'B (new)' } },
+      { title: 'C', image: 'a.png', draft: { title: '', image: 'missing.png' } }
+    ]),
+    'a.png': png,
+    'b.png': png
+  }), here);
+  const [changedImage, sameImage, broken] = plan.rows;
+  assert.equal(changedImage.draft.fields.title, 'A (new)');
+  assert.equal(changedImage.draft.imageEntry.entryName, 'b.png');
+  assert.equal(changedImage.draft.savedAt, '2026-01-02T03:04:05.000Z');
+  assert.equal(changedImage.draft.savedBy, 'ada');
+  assert.equal(sameImage.draft.imageEntry, null);
+  assert.equal(broken.draft, null);
+  assert.deepEqual(broken.errors, []);
+  assert.match(broken.warnings[0], /unpublished changes are left out: Title is required; Image "missing.png" is not in the ZIP/);
+});
+
+test('exportArchive writes a manifest that imports as is, drafts and artists included', async () => {
+  const uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'catalogue-test-'));
+  try {
+    fs.writeFileSync(path.join(uploadsDir, 'a.png'), png);
+    fs.writeFileSync(path.join(uploadsDir, 'b.png'), png);
+    const painting = {
+      id: 'p1',
+      slug: 'mona',
+      title: 'Mona Lisa',
+      facts: 'Oil on poplar',
+      imageUrl: 'http://localhost/uploads/a.png',
+      artistId: 'a1',
+      archived: true,
+      archivedAt: '2026-01-01T00:00:00.000Z',
+      createdAt: '2025-01-01T00:00:00.000Z',
+      previewToken: 'secret',
+      draft: {
+        content: { title: 'Mona Lisa (draft)', facts: 'Oil on poplar panel', artistId: 'a1', imageUrl: 'http://localhost/uploads/b.png' },
+        savedAt: '2026-02-01T00:00:00.000Z',
+        savedBy: 'ada'
+      }
+    };
+    const archive = exportArchive({
+      paintings: [painting, { id: 'p2', title: 'Lost image', imageUrl: 'http://localhost/uploads/gone.png' }],
+      exhibitions: [{ id: 'e1', title: 'Highlights', slug: 'highlights', description: '', paintingIds: ['p1'] }],
+      artists: [{ id: 'a1', name: 'Leonardo', birthYear: 1452, deathYear: 1519, movements: [], bio: '', imageUrl: null }],
+      uploadsDir
+    });
+
+    const zip = new AdmZip(archive);
+    const exported = JSON.parse(zip.readAsText('paintings.json'));
+    assert.equal(exported.paintings[0].image, 'images/a.png');
+    assert.equal(exported.paintings[0].draft.image, 'images/b.png');
+    assert.equal(exported.paintings[0].draft.title, 'Mona Lisa (draft)');
+    assert.equal(JSON.stringify(exported).includes('secret'), false);
+    assert.equal(exported.paintings[1].image, null);
+
+    const plan = await planImport(archive, here);
+    const [row, lost] = plan.rows;
+    assert.deepEqual(row.errors, []);
+    assert.deepEqual(row.warnings, []);
+    assert.equal(row.fields.id, 'p1');
+    assert.equal(row.fields.facts, 'Oil on poplar');
+    assert.equal(row.fields.artistId, 'a1');
+    assert.equal(row.fields.archived, true);
+    assert.equal(row.fields.createdAt, '2025-01-01T00:00:00.000Z');
+    assert.equal(row.draft.fields.facts, 'Oil on poplar panel');
+    assert.equal(row.draft.imageEntry.entryName, 'images/b.png');
+    assert.deepEqual(lost.errors, ['Image is required']);
+    assert.equal(plan.artists[0].fields.name, 'Leonardo');
+    assert.deepEqual(plan.exhibitions[0].paintingRows, [1]);
+  } finally {
+    fs.rmSync(uploadsDir, { recursive: true, force: true });
+  }
+});
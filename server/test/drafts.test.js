@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DRAFT_FIELDS, newPreviewToken, contentOf, withDraft, visitorPainting } = require('../lib/drafts');
+
+const published = {
+  id: 'p1',
+  slug: 'mona',
+  title: 'Mona Lisa',
+  facts: 'Oil on poplar',
+  imageUrl: '/uploads/a.png',
+  images: { thumbnail: '/uploads/a-thumb.webp' },
+  visitorUrl: 'http://localhost/talk?slug=mona'
+};
+const token = 'a'.repeat(32);
+const drafted = {
+  ...published,
+  previewToken: token,
+  draft: {
+    content: { ...contentOf(published), title: 'La Gioconda', imageUrl: '/uploads/b.png', images: { thumbnail: '/uploads/b-thumb.webp' } },
+    savedAt: '2026-02-01T00:00:00.000Z',
+    savedBy: 'ada'
+  }
+};
+
+test('drafts hold every revision field except the slug', () => {
+  assert.ok(!DRAFT_FIELDS.includes('slug'));
+  assert.ok(DRAFT_FIELDS.includes('title'));
+  assert.ok(DRAFT_FIELDS.includes('imageUrl'));
+});
+
+test('contentOf copies the drafted fields, with null for missing ones', () => {
+  const content = contentOf(published);
+  assert.deepEqual(Object.keys(content), DRAFT_FIELDS);
+  assert.equal(content.title, 'Mona Lisa');
+  assert.equal(content.description, null);
+  assert.equal(content.slug, undefined);
+  assert.equal(content.visitorUrl, undefined);
+});
+
+test('newPreviewToken makes a different 32 character hex token each time', () => {
+  const first = newPreviewToken();
+  assert.match(first, /^[0-9a-f]{32}$/);
+  assert.notEqual(first, newPreviewToken());
+});
+
+test('withDraft applies the draft onto the published painting', () => {
+  assert.equal(withDraft(published), published);
+  const edited = withDraft(drafted);
+  assert.equal(edited.title, 'La Gioconda');
+  assert.equal(edited.facts, 'Oil on poplar');
+  assert.equal(edited.imageUrl, '/uploads/b.png');
+  assert.equal(edited.slug, 'mona');
+});
+
+test('visitorPainting shows the draft only for the matching preview token', () => {
+  const preview = visitorPainting(drafted, token);
+  assert.equal(preview.title, 'La Gioconda');
+  assert.equal(preview.preview, true);
+
+  [undefined, '', 'b'.repeat(32), token.slice(1), ['x']].forEach(given => {
+    const seen = visitorPainting(drafted, given);
+    assert.equal(seen.title, 'Mona Lisa');
+    assert.equal(seen.preview, undefined);
+  });
+
+  // Neither the draft nor the token ever reach visitors
+  [visitorPainting(drafted, token), visitorPainting(drafted)].forEach(seen => {
+    assert.equal(seen.draft, undefined);
+    assert.equal(seen.previewToken, undefined);
+  });
+});
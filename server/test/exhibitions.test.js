@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateExhibition, tourContext } = require('../lib/exhibitions');
+
+test('validateExhibition keeps known paintings in order and drops the rest', () => {
+  const { fields } = validateExhibition({ title: ' Highlights ', paintingIds: ['b', 'x', 'a', 'b'] }, ['a', 'b']);
+  assert.deepEqual(fields, { title: 'Highlights', slug: null, description: '', paintingIds: ['b', 'a'] });
+  assert.equal(validateExhibition({ title: ' ' }, []).error, 'Exhibition title is required');
+  assert.equal(validateExhibition({ title: 'T', paintingIds: 'a' }, []).error, 'paintingIds must be an array');
+});
+
+test('validateExhibition checks the slug and that no other exhibition has it', () => {
+  const others = [{ id: 'e1', slug: 'highlights' }];
+  assert.equal(validateExhibition({ title: 'T', slug: ' spring-2026 ' }, [], others).fields.slug, 'spring-2026');
+  assert.match(validateExhibition({ title: 'T', slug: '../tour' }, [], others).error, /letters, numbers, - and _/);
+  assert.equal(validateExhibition({ title: 'T', slug: 'highlights' }, [], others).error, 'Exhibition slug "highlights" already exists');
+  assert.equal(validateExhibition({ title: 'T', slug: '' }, [], others).fields.slug, null);
+});
+
+test('tourContext lists the works in order, leaving out archived ones', () => {
+  const paintings = [
+    { id: 'a', title: 'A' },
+    { id: 'b', title: 'B', archived: true },
+    { id: 'c', title: 'C', translations: { it: { title: 'C (it)' } } }
+  ];
+  const tour = tourContext({ id: 'e1', title: 'Highlights', description: '', paintingIds: ['c', 'b', 'a'] }, paintings, 'a', 'it');
+  assert.deepEqual(tour.works, [{ id: 'c', title: 'C (it)' }, { id: 'a', title: 'A' }]);
+  assert.equal(tour.currentIndex, 1);
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderLabels } = require('../lib/labels');
+
+const LABELS = [
+  { title: 'Łódź, Αθηνά, Київ', description: 'Ritratto di Lisa Gherardini', url: 'https://example.org/p/mona-lisa' },
+  { title: '蒙娜丽莎，列奥纳多·达·芬奇的作品，现藏于卢浮宫博物馆的著名肖像画', description: 'モナ・リザ', url: 'https://example.org/p/zh' }
+];
+
+const titleLines = (svg) => (svg.match(/<text[^>]*font-weight="bold"[^>]*>[^<]*<\/text>/g) || [])
+  .map(text => text.replace(/<[^>]+>/g, ''));
+
+test('PDF labels embed Noto Sans, with Noto Sans SC for Chinese and Japanese', async () => {
+  const fonts = (await renderLabels(LABELS, { format: 'pdf', pageSize: 'a4' })).toString('latin1').match(/\/BaseFont \/\w+\+[\w-]+/g);
+  assert.ok(fonts.some(font => font.endsWith('+NotoSans-Bold')));
+  assert.ok(fonts.some(font => font.endsWith('+NotoSansSC-Bold')));
+  assert.ok(fonts.some(font => font.endsWith('+NotoSansSC-Regular')));
+  assert.ok(!fonts.some(font => font.includes('Helvetica')));
+});
+
+test('titles without spaces are broken between characters and cut off with an ellipsis', async () => {
+  const lines = titleLines(await renderLabels([LABELS[1]], { format: 'svg', single: true }));
+  assert.equal(lines.length, 2);
+  assert.ok(LABELS[1].title.startsWith(lines[0]));
+  assert.ok(lines[1].endsWith('…'));
+});
+
+test('titles in other scripts are kept as written', async () => {
+  assert.deepEqual(titleLines(await renderLabels([LABELS[0]], { format: 'svg', single: true })), ['Łódź, Αθηνά, Київ']);
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_LIMITS,
+  effectiveLimits,
+  validateLimits,
+  usageToday,
+  remainingSeconds,
+  createSessionGate
+} = require('../lib/limits');
+
+const NOON = new Date(2026, 4, 12, 12, 0, 0).getTime();
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const limits = { ...DEFAULT_LIMITS, perIpPerHour: 2, perPaintingPerHour: 3, maxSessionMinutes: 10, dailyBudgetUsd: 10, costPerMinuteUsd: 0.5 };
+const at = (ms) => new Date(ms).toISOString();
+
+test('effectiveLimits fills in defaults and keeps the session length within 30 minutes', () => {
+  assert.deepEqual(effectiveLimits(null), DEFAULT_LIMITS);
+  assert.equal(effectiveLimits({ limits: { perIpPerHour: 1 } }).perIpPerHour, 1);
+  assert.equal(effectiveLimits({ limits: { maxSessionMinutes: 45 } }).maxSessionMinutes, 30);
+});
+
+test('validateLimits accepts partial updates and rejects out-of-range values', () => {
+  assert.deepEqual(validateLimits({ dailyBudgetUsd: '40' }, DEFAULT_LIMITS).fields, { ...DEFAULT_LIMITS, dailyBudgetUsd: 40 });
+  assert.match(validateLimits({ maxSessionMinutes: 31 }, DEFAULT_LIMITS).error, /between 1 and 30/);
+  assert.match(validateLimits({ perIpPerHour: 2.5 }, DEFAULT_LIMITS).error, /whole number/);
+  assert.match(validateLimits({ costPerMinuteUsd: 'abc' }, DEFAULT_LIMITS).error, /must be a number/);
+});
+
+test('usageToday bills the reported duration, capped, and unended conversations in full', () => {
+  const conversations = [
+    // Ended after a minute
+    { startedAt: at(NOON - 2 * HOUR), endedAt: at(NOON - 2 * HOUR + MINUTE), durationMs: MINUTE },
+    // Reported more than the cap: billed at the cap
+    { startedAt: at(NOON - 3 * HOUR), endedAt: at(NOON - 2 * HOUR), durationMs: HOUR },
+    // Never reported an end
+    { startedAt: at(NOON - HOUR), endedAt: null, durationMs: null },
+    // Still running
+    { startedAt: at(NOON - 5 * MINUTE), endedAt: null, durationMs: null },
+    // Yesterday
+    { startedAt: at(NOON - 24 * HOUR), endedAt: null, durationMs: null }
+  ];
+  assert.deepEqual(usageToday(conversations, limits, NOON), {
+    sessions: 4,
+    activeSessions: 1,
+    minutes: 31,
+    estimatedSpendUsd: 15.5
+  });
+});
+
+test('remainingSeconds counts down from the start and stops at 0', () => {
+  assert.equal(remainingSeconds(at(NOON - 4 * MINUTE), limits, NOON), 6 * 60);
+  assert.equal(remainingSeconds(at(NOON - 11 * MINUTE), limits, NOON), 0);
+});
+
+test('admit limits sessions per IP over a sliding hour', () => {
+  const gate = createSessionGate();
+  const admit = (ip, now) => gate.admit({ ip, paintingId: `p-${now}`, limits, spentUsd: 0, now });
+  assert.equal(admit('a', NOON), null);
+  assert.equal(admit('a', NOON + MINUTE), null);
+  assert.deepEqual(admit('a', NOON + 2 * MINUTE), { reason: 'ip', retryAfterSeconds: 58 * 60 });
+  assert.equal(admit('b', NOON + 2 * MINUTE), null);
+  // An hour after the first session there is room again
+  assert.equal(admit('a', NOON + HOUR), null);
+});
+
+test('admit limits sessions per painting', () => {
+  const gate = createSessionGate();
+  for (let i = 0; i < 3; i++) {
+    assert.equal(gate.admit({ ip: `ip-${i}`, paintingId: 'p', limits, spentUsd: 0, now: NOON }), null);
+  }
+  assert.equal(gate.admit({ ip: 'ip-4', paintingId: 'p', limits, spentUsd: 0, now: NOON }).reason, 'painting');
+});
+
+test('admit reserves a full session against the daily budget', () => {
+  const gate = createSessionGate();
+  // A session costs 10 minutes x $0.50 = $5 of the $10 budget
+  assert.equal(gate.admit({ ip: 'a', paintingId: 'p', limits, spentUsd: 5, now: NOON }), null);
+  const refusal = gate.admit({ ip: 'b', paintingId: 'p', limits, spentUsd: 5.01, now: NOON });
+  assert.equal(refusal.reason, 'budget');
+  assert.equal(refusal.retryAfterSeconds, 12 * 60 * 60); // until midnight
+});
+
+test('a limit of 0 is turned off', () => {
+  const gate = createSessionGate();
+  const open = { ...limits, perIpPerHour: 0, perPaintingPerHour: 0, dailyBudgetUsd: 0 };
+  for (let i = 0; i < 20; i++) {
+    assert.equal(gate.admit({ ip: 'a', paintingId: 'p', limits: open, spentUsd: 1000, now: NOON }), null);
+  }
+});
+
+test('readmit limits reconnects per conversation and per IP', () => {
+  const gate = createSessionGate();
+  for (let i = 0; i < 10; i++) {
+    assert.equal(gate.readmit({ ip: 'a', conversationId: 'c1', limits, now: NOON + i }), null);
+  }
+  assert.equal(gate.readmit({ ip: 'a', conversationId: 'c1', limits, now: NOON + 10 }).reason, 'reconnect');
+  // perIpPerHour x 10 reconnects per IP: 20 in all, 10 of them used above
+  for (let i = 0; i < 10; i++) {
+    assert.equal(gate.readmit({ ip: 'a', conversationId: 'c2', limits, now: NOON + 20 + i }), null);
+  }
+  assert.equal(gate.readmit({ ip: 'a', conversationId: 'c3', limits, now: NOON + 40 }).reason, 'reconnect');
+  assert.equal(gate.readmit({ ip: 'b', conversationId: 'c4', limits, now: NOON + 40 }), null);
+});
+
+test('refusedToday counts refusals by reason and resets the next day', () => {
+  const gate = createSessionGate();
+  const now = Date.now();
+  const tight = { ...limits, perIpPerHour: 1 };
+  gate.admit({ ip: 'a', paintingId: 'p', limits: tight, spentUsd: 0, now });
+  gate.admit({ ip: 'a', paintingId: 'p', limits: tight, spentUsd: 0, now });
+  gate.admit({ ip: 'b', paintingId: 'p', limits: tight, spentUsd: 100, now });
+  assert.deepEqual(gate.refusedToday(now), { ip: 1, painting: 0, budget: 1, reconnect: 0 });
+  assert.deepEqual(gate.refusedToday(now + 24 * HOUR), { ip: 0, painting: 0, budget: 0, reconnect: 0 });
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sanitizeMetadata, metadataLines } = require('../lib/metadata');
+
+test('sanitizeMetadata keeps only the set keys and collapses whitespace', () => {
+  assert.deepEqual(sanitizeMetadata({
+    artist: '  Leonardo   da Vinci ',
+    medium: '',
+    provenance: ' Francis I \n\n  Louis XIV  ',
+    dateFrom: '1503',
+    dateTo: 1519,
+    circa: 'true',
+    dimensions: { height: '77', width: 53 },
+    tags: 'portrait, Renaissance, renaissance, '
+  }), {
+    artist: 'Leonardo da Vinci',
+    provenance: 'Francis I\nLouis XIV',
+    dateFrom: 1503,
+    dateTo: 1519,
+    circa: true,
+    dimensions: { height: 77, width: 53, unit: 'cm' },
+    tags: ['portrait', 'Renaissance']
+  });
+});
+
+test('sanitizeMetadata reads JSON strings from multipart bodies and treats empty as none', () => {
+  assert.deepEqual(sanitizeMetadata('{"medium": "Oil on poplar"}'), { medium: 'Oil on poplar' });
+  assert.equal(sanitizeMetadata(''), null);
+  assert.equal(sanitizeMetadata(null), null);
+  assert.equal(sanitizeMetadata({ artist: ' ', tags: [] }), null);
+  // A single year needs no end year, and circa without a date is dropped
+  assert.deepEqual(sanitizeMetadata({ dateFrom: -350, dateTo: -350, circa: true }), { dateFrom: -350, circa: true });
+  assert.equal(sanitizeMetadata({ circa: true }), null);
+});
+
+test('sanitizeMetadata rejects invalid details with a message for the curator', () => {
+  const next = new Date().getFullYear() + 1;
+  [
+    ['{', /valid JSON/],
+    [[], /JSON object/],
+    [{ artist: 42 }, /Artist must be text/],
+    [{ medium: 'x'.repeat(201) }, /Medium can be at most 200 characters/],
+    [{ dateFrom: 1.5 }, /start year must be a year/],
+    [{ dateFrom: 0 }, /start year must be a year/],
+    [{ dateFrom: next }, /start year must be a year between 10000 BC and/],
+    [{ dateTo: 1519 }, /An end year needs a start year/],
+    [{ dateFrom: 1519, dateTo: 1503 }, /end year cannot be before the start year/],
+    [{ dimensions: { height: 77 } }, /both a height and a width/],
+    [{ dimensions: { height: -1, width: 2 } }, /Height must be a positive number/],
+    [{ dimensions: { height: 1, width: 2, unit: 'ft' } }, /unit must be one of: cm, mm, m, in/],
+    [{ dimensions: [1, 2] }, /Dimensions must be an object/],
+    [{ tags: Array.from({ length: 21 }, (_, i) => `t${i}`) }, /at most 20 tags/],
+    [{ tags: ['x'.repeat(41)] }, /Tags can be at most 40 characters/]
+  ].forEach(([input, message]) => assert.throws(() => sanitizeMetadata(input), message, JSON.stringify(input)));
+});
+
+test('metadataLines lists the details in a fixed order for the guide', () => {
+  assert.deepEqual(metadataLines(null), []);
+  assert.deepEqual(metadataLines({
+    tags: ['portrait'],
+    artist: 'Leonardo da Vinci',
+    dateFrom: 1503,
+    dateTo: 1519,
+    circa: true,
+    dimensions: { height: 77, width: 53, depth: 2, unit: 'cm' },
+    provenance: 'Francis I\nLouis XIV'
+  }), [
+    'Artist: Leonardo da Vinci',
+    'Date: c. 1503–1519',
+    'Dimensions (height × width × depth): 77 × 53 × 2 cm',
+    'Provenance: Francis I; Louis XIV',
+    'Tags: portrait'
+  ]);
+  assert.deepEqual(metadataLines({ dateFrom: -350 }), ['Date: 350 BC']);
+});
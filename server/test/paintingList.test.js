@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseListQuery, listPaintings } = require('../lib/paintingList');
+
+const paintings = [
+  { id: 'a', title: 'Café Terrace at Night', slug: 'cafe', facts: 'Arles, 1888', createdAt: '2026-01-01', updatedAt: '2026-03-01' },
+  { id: 'b', title: 'mona lisa', slug: 'mona', facts: 'Oil on poplar', createdAt: '2026-01-03', qrCodeDataUrl: 'data:...' },
+  { id: 'c', title: 'Guernica', slug: 'guernica', facts: 'Oil on canvas', createdAt: '2026-01-02', archived: true },
+  { id: 'd', title: 'The Night Watch', facts: 'Oil on canvas', createdAt: '2026-01-04', draft: { content: {} } }
+];
+
+const list = (query) => {
+  const { options, error } = parseListQuery(query);
+  assert.equal(error, undefined);
+  return listPaintings(paintings, options);
+};
+const ids = (query) => list(query).items.map(p => p.id);
+
+test('parseListQuery defaults to active paintings, newest first, unpaged', () => {
+  assert.deepEqual(parseListQuery({}).options, {
+    words: [], ids: null, status: 'active', sort: 'created', order: 'desc', page: null, limit: null, fields: null
+  });
+  assert.equal(parseListQuery({ includeArchived: 'true' }).options.status, 'all');
+  assert.equal(parseListQuery({ sort: 'title' }).options.order, 'asc');
+});
+
+test('parseListQuery rejects unknown options and bad paging', () => {
+  assert.match(parseListQuery({ status: 'deleted' }).error, /status must be one of/);
+  assert.match(parseListQuery({ sort: 'price' }).error, /sort must be one of/);
+  assert.match(parseListQuery({ order: 'up' }).error, /asc or desc/);
+  assert.match(parseListQuery({ page: '0' }).error, /page must be a positive whole number/);
+  assert.match(parseListQuery({ page: '1.5' }).error, /page must be a positive whole number/);
+  assert.match(parseListQuery({ limit: '201' }).error, /limit must be between 1 and 200/);
+  assert.equal(parseListQuery({ page: '2' }).options.limit, 50);
+});
+
+test('listPaintings filters by status and by every search word, ignoring case and accents', () => {
+  assert.deepEqual(ids({}), ['d', 'b', 'a']);
+  assert.deepEqual(ids({ status: 'archived' }), ['c']);
+  assert.deepEqual(ids({ status: 'draft' }), ['d']);
+  assert.deepEqual(ids({ status: 'all', q: 'OIL canvas' }), ['d', 'c']);
+  assert.deepEqual(ids({ q: 'cafe' }), ['a']);
+  assert.deepEqual(ids({ q: 'night arles' }), ['a']);
+  assert.deepEqual(ids({ ids: 'a, c,x', status: 'all' }), ['c', 'a']);
+});
+
+test('listPaintings sorts by creation, last update or title', () => {
+  assert.deepEqual(ids({ order: 'asc' }), ['a', 'b', 'd']);
+  assert.deepEqual(ids({ sort: 'updated' }), ['a', 'd', 'b']);
+  assert.deepEqual(ids({ sort: 'title', status: 'all' }), ['a', 'c', 'b', 'd']);
+});
+
+test('listPaintings pages the matches and counts them all', () => {
+  assert.deepEqual(list({ page: '1', limit: '2' }), { items: [paintings[3], paintings[1]], total: 3 });
+  assert.deepEqual(list({ page: '2', limit: '2' }).items.map(p => p.id), ['a']);
+  assert.deepEqual(list({ page: '3', limit: '2' }), { items: [], total: 3 });
+});
+
+test('listPaintings returns only the requested fields, always with the id', () => {
+  assert.deepEqual(list({ fields: 'title,slug,qrCodeDataUrl', q: 'mona' }).items, [
+    { id: 'b', title: 'mona lisa', slug: 'mona', qrCodeDataUrl: 'data:...' }
+  ]);
+  // Missing fields are left out rather than sent as undefined
+  assert.deepEqual(list({ fields: 'slug', q: 'watch' }).items, [{ id: 'd' }]);
+});
+
+test('listPaintings can summarise the draft instead of returning it', () => {
+  const drafted = [{
+    id: 'e', title: 'Irises', createdAt: '2026-01-05', visitorUrl: 'https://example.org/visit?painting=e',
+    previewToken: 'tok', draft: { content: { title: 'Irises (1889)' }, savedAt: '2026-02-01', savedBy: 'ada' }
+  }];
+  const { options } = parseListQuery({ fields: 'title,hasDraft,draftSavedAt,draftSavedBy,previewUrl' });
+  assert.deepEqual(listPaintings(drafted, options).items, [{
+    id: 'e', title: 'Irises', hasDraft: true, draftSavedAt: '2026-02-01', draftSavedBy: 'ada',
+    previewUrl: 'https://example.org/visit?painting=e&preview=tok'
+  }]);
+  assert.deepEqual(list({ fields: 'hasDraft,previewUrl', q: 'mona' }).items, [{ id: 'b', hasDraft: false }]);
+});
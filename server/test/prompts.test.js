@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BUILT_IN_TEMPLATES, renderTemplate, resolveTemplate, buildInstructions, validateTemplate } = require('../lib/prompts');
+
+const painting = {
+  id: 'p1',
+  title: 'Mona Lisa',
+  description: 'A woman with a faint smile',
+  facts: 'Painted by Leonardo da Vinci.',
+  translations: { it: { title: 'La Gioconda' } }
+};
+
+test('renderTemplate fills placeholders, tolerates spaces and blanks unknown names', () => {
+  assert.equal(renderTemplate('{{title}} / {{ tone }} / {{nope}}.', { title: 'Mona Lisa', tone: 'brief' }), 'Mona Lisa / brief / .');
+});
+
+test('resolveTemplate prefers the painting, then the global default, then the built-in', () => {
+  const templates = [{ id: 'kids', body: 'k' }, { id: 'short', body: 's' }];
+  assert.equal(resolveTemplate({ templateId: 'kids' }, templates, { defaultTemplateId: 'short' }).id, 'kids');
+  assert.equal(resolveTemplate({}, templates, { defaultTemplateId: 'short' }).id, 'short');
+  // A deleted template falls through instead of breaking the session
+  assert.equal(resolveTemplate({ templateId: 'gone' }, templates, { defaultTemplateId: 'gone-too' }).id, 'default');
+  assert.equal(resolveTemplate(null, []).id, 'default');
+});
+
+test('buildInstructions uses the translated title, the defaults and the language instruction', () => {
+  const instructions = buildInstructions({ painting, template: BUILT_IN_TEMPLATES[0], lang: 'it' });
+  assert.match(instructions, /analyzing the painting 'La Gioconda'/);
+  assert.match(instructions, /Painted by Leonardo da Vinci\./);
+  assert.match(instructions, /talking to a museum visitor standing in front of the painting/);
+  assert.match(instructions, /engaging, educational, and brief/);
+  assert.ok(instructions.endsWith('Always speak and reply in Italian (Italiano), unless the visitor explicitly asks you to switch language.'));
+});
+
+test('buildInstructions takes audience, tone and guidance from the persona and fills in missing facts', () => {
+  const template = { body: '{{title}}|{{facts}}|{{audience}}|{{tone}}' };
+  const persona = { audience: 'children', tone: 'playful', instructions: 'Use short words.' };
+  const instructions = buildInstructions({ painting: { title: 'Untitled' }, template, lang: 'en', persona });
+  assert.equal(instructions.split('\n')[0], 'Untitled|No specific facts provided.|children|playful');
+  assert.match(instructions, /Guidance for this visitor:\nUse short words\./);
+});
+
+test('validateTemplate requires a name and a body and only known placeholders', () => {
+  assert.equal(validateTemplate({ name: 'Kids', body: 'Talk about {{title}} to {{audience}}' }), null);
+  assert.equal(validateTemplate({ name: ' ', body: 'x' }), 'Template name is required');
+  assert.equal(validateTemplate({ name: 'Kids', body: '' }), 'Template body is required');
+  assert.equal(validateTemplate({ name: 'Kids', body: '{{artist}} {{year}} {{artist}}' }), 'Unknown placeholder(s): artist, year');
+});
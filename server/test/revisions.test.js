@@ -0,0 +1,99 @@
+process.env.MAX_REVISIONS = '3';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJsonStore } = require('../lib/storage/jsonStore');
+const { REVISION_FIELDS, imagesOf, createRevisionLog } = require('../lib/revisions');
+
+const user = { id: 'u1', username: 'ada', role: 'curator' };
+
+// A revision log on a JSON store in a temporary directory
+const withLog = async (fn) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'revisions-test-'));
+  try {
+    await fn(createRevisionLog(createJsonStore({ dataDir }).collection('paintingRevisions')));
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+};
+
+const painting = (fields) => ({
+  id: 'p1',
+  title: 'Mona Lisa',
+  slug: 'mona',
+  facts: 'Oil on poplar',
+  imageUrl: '/uploads/a.png',
+  images: { thumbnail: '/uploads/a-thumb.webp' },
+  visitorUrl: 'http://localhost/talk?slug=mona',
+  ...fields
+});
+
+test('imagesOf lists the original and every variant', () => {
+  assert.deepEqual(imagesOf(painting()), ['/uploads/a.png', '/uploads/a-thumb.webp']);
+  assert.deepEqual(imagesOf({ imageUrl: null, images: null }), []);
+});
+
+test('record keeps a snapshot of the curated fields and diffs it against the previous one', () => withLog(async (log) => {
+  const created = painting();
+  const first = (await log.record({ after: created, user, action: 'create' })).revision;
+  assert.equal(first.number, 1);
+  assert.deepEqual(first.author, { id: 'u1', username: 'ada' });
+  assert.deepEqual(Object.keys(first.snapshot), REVISION_FIELDS);
+  assert.equal(first.snapshot.visitorUrl, undefined);
+  assert.deepEqual(first.changes, ['title', 'slug', 'facts', 'imageUrl', 'images']);
+
+  const edited = painting({ facts: 'Oil on poplar panel', translations: { it: { title: 'La Gioconda' } } });
+  const second = (await log.record({ before: created, after: edited, user, action: 'update' })).revision;
+  assert.equal(second.number, 2);
+  assert.deepEqual(second.changes, ['facts', 'translations']);
+
+  // Saving without changes records nothing
+  assert.deepEqual(await log.record({ before: edited, after: edited, user, action: 'update' }), { revision: null, orphanedImages: [] });
+  assert.deepEqual((await log.list('p1')).map(r => r.number), [2, 1]);
+}));
+
+test('the first edit of a painting from before revisions records its original state first', () => withLog(async (log) => {
+  const before = painting({ createdAt: '2025-01-01T00:00:00.000Z' });
+  await log.record({ before, after: painting({ title: 'La Gioconda' }), user, action: 'update' });
+  const [edit, original] = await log.list('p1');
+  assert.equal(original.action, 'original');
+  assert.equal(original.author, null);
+  assert.equal(original.createdAt, '2025-01-01T00:00:00.000Z');
+  assert.equal(original.snapshot.title, 'Mona Lisa');
+  assert.deepEqual(edit.changes, ['title']);
+}));
+
+test('restoring a snapshot is recorded as a new revision that can itself be undone', () => withLog(async (log) => {
+  const v1 = painting();
+  await log.record({ after: v1, user, action: 'create' });
+  const v2 = painting({ title: 'La Gioconda', imageUrl: '/uploads/b.png', images: { thumbnail: '/uploads/b-thumb.webp' } });
+  await log.record({ before: v1, after: v2, user, action: 'update' });
+
+  const [, first] = await log.list('p1');
+  const restored = { ...v2, ...(await log.get(first.id)).snapshot };
+  assert.equal(restored.visitorUrl, v2.visitorUrl);
+  const { revision } = await log.record({ before: v2, after: restored, user, action: 'restore', restoredFrom: first.number });
+  assert.equal(revision.number, 3);
+  assert.equal(revision.restoredFrom, 1);
+  assert.deepEqual(revision.changes, ['title', 'imageUrl', 'images']);
+  assert.deepEqual(revision.snapshot, first.snapshot);
+}));
+
+test('record prunes past MAX_REVISIONS and reports images no revision refers to', () => withLog(async (log) => {
+  let current = painting({ imageUrl: '/uploads/1.png', images: null });
+  await log.record({ after: current, user, action: 'create' });
+  const orphaned = [];
+  for (let i = 2; i <= 5; i++) {
+    const next = painting({ imageUrl: `/uploads/${i}.png`, images: null });
+    orphaned.push((await log.record({ before: current, after: next, user, action: 'update' })).orphanedImages);
+    current = next;
+  }
+  assert.deepEqual((await log.list('p1')).map(r => r.number), [5, 4, 3]);
+  assert.deepEqual(orphaned, [[], [], ['/uploads/1.png'], ['/uploads/2.png']]);
+
+  assert.deepEqual((await log.removeAll('p1')).sort(), ['/uploads/3.png', '/uploads/4.png', '/uploads/5.png']);
+  assert.deepEqual(await log.list('p1'), []);
+}));
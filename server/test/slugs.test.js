@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sanitizeSlug } = require('../lib/slugs');
+
+test('sanitizeSlug trims and accepts letters, numbers, - and _', () => {
+  assert.equal(sanitizeSlug(' mona-lisa_2 '), 'mona-lisa_2');
+  assert.equal(sanitizeSlug('A1'), 'A1');
+});
+
+test('sanitizeSlug treats blank and missing slugs as none', () => {
+  assert.equal(sanitizeSlug(''), null);
+  assert.equal(sanitizeSlug('   '), null);
+  assert.equal(sanitizeSlug(undefined), null);
+});
+
+test('sanitizeSlug rejects characters that would need escaping in a URL', () => {
+  ['mona lisa', '../etc', 'café', '-leading', 'a/b', 'a?b=c'].forEach(slug => {
+    assert.throws(() => sanitizeSlug(slug), /letters, numbers, - and _/, slug);
+  });
+});
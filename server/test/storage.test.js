@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore, migrateFromJson } = require('../lib/storage');
+
+const tempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'store-'));
+
+// The collection contract holds for both backends
+['json', 'sqlite'].forEach(backend => {
+  test(`${backend}: insert, get, findOne, update and remove`, async () => {
+    const store = createStore({ backend, dataDir: tempDir() });
+    const paintings = store.collection('paintings');
+    await paintings.insert({ id: 'a', title: 'Mona Lisa' });
+    await paintings.insertMany([{ id: 'b', title: 'The Night Watch' }, { id: 'c', title: 'Guernica' }]);
+
+    assert.deepEqual((await paintings.all()).map(p => p.id), ['a', 'b', 'c']);
+    assert.equal((await paintings.get('b')).title, 'The Night Watch');
+    assert.equal(await paintings.get('missing'), null);
+    assert.equal((await paintings.findOne(p => p.title === 'Guernica')).id, 'c');
+
+    // update() keeps the id whatever the updater returns
+    assert.deepEqual(await paintings.update('a', p => ({ ...p, title: 'La Gioconda', id: 'other' })), { id: 'a', title: 'La Gioconda' });
+    assert.equal(await paintings.update('missing', p => p), null);
+
+    assert.equal(await paintings.remove('b'), true);
+    assert.equal(await paintings.remove('b'), false);
+    assert.deepEqual((await paintings.all()).map(p => p.id), ['a', 'c']);
+    assert.deepEqual(await store.collection('users').all(), []);
+    store.close();
+  });
+
+  test(`${backend}: concurrent updates are all applied`, async () => {
+    const store = createStore({ backend, dataDir: tempDir() });
+    const counters = store.collection('counters');
+    await counters.insert({ id: 'visits', count: 0 });
+    await Promise.all(Array.from({ length: 25 }, () => counters.update('visits', c => ({ ...c, count: c.count + 1 }))));
+    assert.equal((await counters.get('visits')).count, 25);
+    store.close();
+  });
+
+  test(`${backend}: a failing updater leaves the document unchanged`, async () => {
+    const store = createStore({ backend, dataDir: tempDir() });
+    const paintings = store.collection('paintings');
+    await paintings.insert({ id: 'a', title: 'Mona Lisa' });
+    await assert.rejects(paintings.update('a', () => {
+      throw new Error('Slug already exists');
+    }), /Slug already exists/);
+    // The queue keeps going after a failure
+    await paintings.update('a', p => ({ ...p, archived: true }));
+    assert.deepEqual(await paintings.get('a'), { id: 'a', title: 'Mona Lisa', archived: true });
+    store.close();
+  });
+});
+
+test('json: writes replace the file in one step and leave no temp files', async () => {
+  const dataDir = tempDir();
+  const store = createStore({ backend: 'json', dataDir });
+  const paintings = store.collection('paintings');
+  await Promise.all([
+    paintings.insert({ id: 'a' }),
+    paintings.insert({ id: 'b' }),
+    paintings.update('a', p => ({ ...p, title: 'Mona Lisa' }))
+  ]);
+  assert.deepEqual(fs.readdirSync(dataDir), ['paintings.json']);
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dataDir, 'paintings.json'), 'utf8')), [{ id: 'a', title: 'Mona Lisa' }, { id: 'b' }]);
+  await assert.rejects(paintings.insert({ id: 'a' }), /Duplicate id a/);
+});
+
+test('json: a corrupt data file is reported rather than read as empty', async () => {
+  const dataDir = tempDir();
+  fs.writeFileSync(path.join(dataDir, 'paintings.json'), '[{"id": "a"');
+  const paintings = createStore({ backend: 'json', dataDir }).collection('paintings');
+  await assert.rejects(paintings.all(), /Corrupt data file/);
+});
+
+test('createStore rejects unknown backends', () => {
+  assert.throws(() => createStore({ backend: 'mongo', dataDir: tempDir() }), /Unknown storage backend 'mongo'/);
+});
+
+test('migrateFromJson imports legacy files once and skips ids it already has', async () => {
+  const dataDir = tempDir();
+  const legacy = path.join(tempDir(), 'paintings.json');
+  fs.writeFileSync(legacy, JSON.stringify([{ id: 'a', title: 'Mona Lisa' }, { id: 'b', title: 'Guernica' }, { title: 'no id' }]));
+  const store = createStore({ backend: 'sqlite', dataDir });
+  await store.collection('paintings').insert({ id: 'a', title: 'Already here' });
+
+  const sources = { paintings: [legacy, path.join(dataDir, 'missing.json')] };
+  assert.deepEqual(await migrateFromJson(store, sources), { paintings: 1 });
+  assert.deepEqual((await store.collection('paintings').all()).map(p => p.title), ['Already here', 'Guernica']);
+  assert.equal(await migrateFromJson(store, sources), null);
+  store.close();
+});
+
+test('migrateFromJson on the JSON backend adds the legacy file to the store\'s own', async () => {
+  const dataDir = tempDir();
+  const legacy = path.join(tempDir(), 'paintings.json');
+  fs.writeFileSync(legacy, JSON.stringify([{ id: 'a', title: 'Mona Lisa' }, { id: 'b', title: 'Guernica' }]));
+  const store = createStore({ backend: 'json', dataDir });
+  await store.collection('paintings').insert({ id: 'a', title: 'Already here' });
+
+  const sources = { paintings: [path.join(dataDir, 'paintings.json'), legacy] };
+  assert.deepEqual(await migrateFromJson(store, sources), { paintings: 1 });
+  assert.deepEqual((await store.collection('paintings').all()).map(p => p.title), ['Already here', 'Guernica']);
+  assert.equal(await migrateFromJson(store, sources), null);
+  store.close();
+});